@@ -0,0 +1,52 @@
+/**
+ * Headless simulation CLI
+ * Runs a scene file in Node without a renderer and prints the final body states.
+ *
+ * Usage:
+ *   npm run simulate -- [scene.json] [--seconds 5] [--dt 0.0166] [--until-rest]
+ */
+
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { createHeadlessSimulation } from "../src/utils/headless.js";
+
+const { values, positionals } = parseArgs({
+  options: {
+    seconds: { type: "string", default: "5" },
+    dt: { type: "string", default: String(1 / 60) },
+    "until-rest": { type: "boolean", default: false },
+  },
+  allowPositionals: true,
+});
+
+const scenePath =
+  positionals[0] ??
+  fileURLToPath(new URL("../src/scenes/default.json", import.meta.url));
+const seconds = Number(values.seconds);
+const dt = Number(values.dt);
+
+const simulation = createHeadlessSimulation(readFileSync(scenePath, "utf8"), {
+  dt,
+});
+
+let settledAfter;
+if (values["until-rest"]) {
+  settledAfter = simulation.stepUntilAtRest({ maxSeconds: seconds });
+} else {
+  simulation.advance(seconds);
+}
+
+console.log(
+  JSON.stringify(
+    {
+      scene: scenePath,
+      time: simulation.time,
+      atRest: simulation.isAtRest(),
+      ...(settledAfter !== undefined && { settledAfter }),
+      bodies: simulation.getBodyStates(),
+    },
+    null,
+    2
+  )
+);
@@ -16,7 +16,7 @@ export const metadata = {
 
 export default function Home() {
   return (
-    <div className="w-full h-screen overflow-hidden">
+    <div className="relative w-full h-screen overflow-hidden">
       <ThreeSceneWrapper />
     </div>
   );
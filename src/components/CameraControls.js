@@ -0,0 +1,79 @@
+"use client";
+
+/**
+ * Preset views offered as buttons (keys of CAMERA_VIEWS)
+ */
+const VIEWS = [
+  { name: "top", label: "Top" },
+  { name: "front", label: "Front" },
+  { name: "isometric", label: "Iso" },
+];
+
+const BUTTON_CLASS =
+  "backdrop-blur-md rounded-full py-1.5 px-3 disabled:opacity-40 disabled:cursor-not-allowed";
+
+/**
+ * CameraControls component - preset views, focus and follow-cam buttons
+ * @param {Object} props - Component props
+ * @param {string|null} props.selectedBody - Id of the body last grabbed, if any
+ * @param {string|null} props.followedBody - Id of the body the camera follows, if any
+ * @param {Function} props.onView - Move to a preset view by name
+ * @param {Function} props.onFocus - Move the camera onto the selected body
+ * @param {Function} props.onFollow - Follow a body by id, or stop with null
+ */
+export default function CameraControls({
+  selectedBody,
+  followedBody,
+  onView,
+  onFocus,
+  onFollow,
+}) {
+  return (
+    <div className="absolute right-6 top-1/2 transform -translate-y-1/2 z-10 flex flex-col items-end gap-2 text-xs text-white">
+      {VIEWS.map(({ name, label }) => (
+        <button
+          key={name}
+          type="button"
+          onClick={() => onView(name)}
+          title={`${label} view`}
+          className={`${BUTTON_CLASS} bg-black bg-opacity-30 hover:bg-opacity-50`}
+        >
+          {label}
+        </button>
+      ))}
+
+      <button
+        type="button"
+        onClick={onFocus}
+        disabled={!selectedBody}
+        title={
+          selectedBody ? `Focus on ${selectedBody}` : "Grab a body to focus it"
+        }
+        className={`${BUTTON_CLASS} bg-black bg-opacity-30 hover:bg-opacity-50`}
+      >
+        Focus
+      </button>
+
+      <button
+        type="button"
+        onClick={() => onFollow(followedBody ? null : selectedBody)}
+        disabled={!followedBody && !selectedBody}
+        aria-pressed={Boolean(followedBody)}
+        title={
+          followedBody
+            ? `Stop following ${followedBody}`
+            : selectedBody
+              ? `Follow ${selectedBody}`
+              : "Grab a body to follow it"
+        }
+        className={`${BUTTON_CLASS} ${
+          followedBody
+            ? "bg-blue-500 hover:bg-blue-400"
+            : "bg-black bg-opacity-30 hover:bg-opacity-50"
+        }`}
+      >
+        {followedBody ? "Unfollow" : "Follow"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+"use client";
+
+/**
+ * Drag modes offered as buttons (see DRAG_MODES in dragModes.js)
+ */
+const MODES = [
+  {
+    mode: "camera",
+    label: "Screen",
+    title: "Drag across the screen plane",
+  },
+  {
+    mode: "horizontal",
+    label: "Floor",
+    title: "Drag level with the floor at the grab height",
+  },
+  {
+    mode: "vertical",
+    label: "Lift",
+    title: "Lift straight up and down",
+  },
+];
+
+const BUTTON_CLASS = "backdrop-blur-md rounded-full py-1.5 px-3";
+
+/**
+ * DragModeControls component - picks the plane dragged bodies slide on, and
+ * whether they keep their orientation while held
+ * @param {Object} props - Component props
+ * @param {string} props.mode - Current drag mode
+ * @param {Function} props.onChange - Receives the picked mode
+ * @param {boolean} props.rigid - Whether grabs hold bodies rigidly
+ * @param {Function} props.onRigidChange - Receives the new rigid setting
+ */
+export default function DragModeControls({
+  mode,
+  onChange,
+  rigid,
+  onRigidChange,
+}) {
+  return (
+    <div className="absolute left-6 top-1/2 transform -translate-y-1/2 z-10 flex flex-col items-start gap-2 text-xs text-white">
+      <div
+        role="radiogroup"
+        aria-label="Drag mode"
+        className="flex flex-col items-start gap-2"
+      >
+        {MODES.map((option) => (
+          <button
+            key={option.mode}
+            type="button"
+            role="radio"
+            aria-checked={mode === option.mode}
+            onClick={() => onChange(option.mode)}
+            title={`${option.title} (scroll, or slide a second finger, to push and pull)`}
+            className={`${BUTTON_CLASS} ${
+              mode === option.mode
+                ? "bg-blue-500 hover:bg-blue-400"
+                : "bg-black bg-opacity-30 hover:bg-opacity-50"
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        aria-pressed={rigid}
+        onClick={() => onRigidChange(!rigid)}
+        title="Hold bodies without letting them swing (Shift-drag, or slide a second finger sideways, to turn them)"
+        className={`${BUTTON_CLASS} ${
+          rigid
+            ? "bg-blue-500 hover:bg-blue-400"
+            : "bg-black bg-opacity-30 hover:bg-opacity-50"
+        }`}
+      >
+        Rigid
+      </button>
+    </div>
+  );
+}
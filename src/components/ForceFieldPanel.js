@@ -0,0 +1,133 @@
+"use client";
+
+import { FORCE_FIELD_TYPES } from "../utils/forceFields";
+import { FORCE_FIELD_COLORS } from "../utils/forceFieldGizmos";
+
+/**
+ * Button labels for each force field type
+ */
+const FIELD_LABELS = {
+  wind: "Wind",
+  attractor: "Attractor",
+  repulsor: "Repulsor",
+  vortex: "Vortex",
+  water: "Water",
+  conveyor: "Conveyor",
+};
+
+/**
+ * What each force field type does, shown as the add buttons' tooltips
+ */
+const FIELD_HINTS = {
+  wind: "Blows bodies along one direction; light ones fly further.",
+  attractor: "Pulls bodies towards its center.",
+  repulsor: "Pushes bodies away from its center.",
+  vortex: "Swirls bodies around and lifts them up.",
+  water: "Floats light bodies, sinks heavy ones and slows everything down.",
+  conveyor: "Carries bodies resting on it along at a steady speed.",
+};
+
+/**
+ * Field color as CSS
+ * @param {string} type - Force field type
+ * @returns {string} CSS color
+ */
+const fieldColor = (type) =>
+  `#${FORCE_FIELD_COLORS[type].toString(16).padStart(6, "0")}`;
+
+/**
+ * ForceFieldPanel component - adds force fields to the scene and lists them
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the panel is expanded
+ * @param {Function} props.onToggle - Open or close the panel
+ * @param {boolean} props.visible - Whether the field gizmos are shown
+ * @param {Function} props.onVisibleChange - Receives whether to show the gizmos
+ * @param {Object[]} props.fields - { id, type } for every field in the scene
+ * @param {Function} props.onAdd - Receives the type of a field to add
+ * @param {Function} props.onRemove - Receives the id of a field to remove
+ */
+export default function ForceFieldPanel({
+  open,
+  onToggle,
+  visible,
+  onVisibleChange,
+  fields,
+  onAdd,
+  onRemove,
+}) {
+  return (
+    <div className="flex flex-col items-end gap-2 text-xs text-white">
+      {open && (
+        <div className="w-64 max-h-[60vh] overflow-y-auto bg-black bg-opacity-50 backdrop-blur-md rounded-2xl shadow-lg p-3 flex flex-col gap-2">
+          <p className="opacity-70">
+            Add a field where the camera is looking, then drag its handle to
+            move it.
+          </p>
+
+          <div className="flex flex-wrap gap-1">
+            {FORCE_FIELD_TYPES.map((type) => (
+              <button
+                key={type}
+                type="button"
+                onClick={() => onAdd(type)}
+                title={FIELD_HINTS[type]}
+                className="rounded-full py-1 px-2 bg-white bg-opacity-10 hover:bg-opacity-20"
+              >
+                {FIELD_LABELS[type]}
+              </button>
+            ))}
+          </div>
+
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={visible}
+              onChange={(event) => onVisibleChange(event.target.checked)}
+            />
+            <span>Show gizmos</span>
+          </label>
+
+          {fields.length > 0 && (
+            <>
+              <h2 className="font-bold mt-1">Fields</h2>
+              <ul className="flex flex-col gap-1">
+                {fields.map((field) => (
+                  <li key={field.id} className="flex items-center gap-2">
+                    <span
+                      className="w-2 h-2 rounded-full"
+                      style={{ background: fieldColor(field.type) }}
+                    ></span>
+                    <span className="flex-1 font-mono truncate">
+                      {field.id}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => onRemove(field.id)}
+                      className="opacity-70 hover:opacity-100"
+                      aria-label={`Remove ${field.id}`}
+                    >
+                      ✕
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={onToggle}
+        aria-pressed={open}
+        className={`backdrop-blur-md rounded-full py-1.5 px-3 ${
+          open
+            ? "bg-blue-500 hover:bg-blue-400"
+            : "bg-black bg-opacity-30 hover:bg-opacity-50"
+        }`}
+      >
+        Fields
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,316 @@
+"use client";
+
+import { JOINT_TYPES, MAX_LINKS } from "../utils/joints";
+import { JOINT_COLORS } from "../utils/jointRenderer";
+import Slider from "./Slider";
+
+/**
+ * Button labels for each joint type
+ */
+const JOINT_LABELS = {
+  hinge: "Hinge",
+  pointToPoint: "Ball",
+  distance: "Distance",
+  lock: "Lock",
+  spring: "Spring",
+  chain: "Chain",
+  rope: "Rope",
+};
+
+/**
+ * What each joint type does, shown under the type buttons
+ */
+const JOINT_HINTS = {
+  hinge: "Turns around one axis through the point between the bodies.",
+  pointToPoint: "Swings freely around the point between the bodies.",
+  distance: "Keeps the bodies' centers a fixed distance apart.",
+  lock: "Holds the bodies in their current pose to each other.",
+  spring: "Pulls or pushes the bodies towards a rest length apart.",
+  chain: "Hangs heavy metal links between the bodies.",
+  rope: "Hangs light, floppy beads between the bodies.",
+};
+
+const BUTTON_CLASS =
+  "rounded-full py-1 px-2 bg-white bg-opacity-10 hover:bg-opacity-20";
+
+/**
+ * Formats a power of ten slider position as a force
+ * @param {number} exponent - log10 of the force
+ * @returns {string} e.g. "1e6"
+ */
+const formatForce = (exponent) => `1e${exponent}`;
+
+/**
+ * Line color of a joint type as CSS
+ * @param {string} type - Constraint type
+ * @returns {string} CSS color
+ */
+const jointColor = (type) =>
+  `#${(JOINT_COLORS[type] ?? JOINT_COLORS.pointToPoint).toString(16).padStart(6, "0")}`;
+
+/**
+ * JointPanel component - connects the last two grabbed bodies with a joint,
+ * and lists the joints attached to them
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the panel is expanded
+ * @param {Function} props.onToggle - Open or close the panel
+ * @param {string|null} props.bodyA - Id of the body grabbed before the last one
+ * @param {string|null} props.bodyB - Id of the body grabbed last
+ * @param {Function} props.onSwap - Swap the two bodies
+ * @param {Object} props.options - Joint settings (see DEFAULT_JOINT_OPTIONS)
+ * @param {Function} props.onChange - Receives the settings that changed
+ * @param {Function} props.onConnect - Connect the two bodies
+ * @param {Object[]} props.joints - { id, type, bodyA, bodyB } for every joint in the scene
+ * @param {Function} props.onRemove - Receives the id of a joint to remove
+ */
+export default function JointPanel({
+  open,
+  onToggle,
+  bodyA,
+  bodyB,
+  onSwap,
+  options,
+  onChange,
+  onConnect,
+  joints,
+  onRemove,
+}) {
+  const { type } = options;
+  const ready = bodyA !== null && bodyB !== null;
+  const linked = type === "chain" || type === "rope";
+
+  // Joints on the chosen bodies, or every joint while none are chosen
+  const chosen = [bodyA, bodyB].filter((id) => id !== null);
+  const listed =
+    chosen.length === 0
+      ? joints
+      : joints.filter(
+          (joint) =>
+            chosen.includes(joint.bodyA) || chosen.includes(joint.bodyB)
+        );
+
+  const forceSlider = (
+    <Slider
+      label="Max force"
+      min={1}
+      max={8}
+      step={0.5}
+      value={Math.log10(options.maxForce)}
+      format={formatForce}
+      onChange={(exponent) => onChange({ maxForce: 10 ** exponent })}
+    />
+  );
+
+  return (
+    <div className="flex flex-col items-end gap-2 text-xs text-white">
+      {open && (
+        <div className="w-64 max-h-[60vh] overflow-y-auto bg-black bg-opacity-50 backdrop-blur-md rounded-2xl shadow-lg p-3 flex flex-col gap-2">
+          {ready ? (
+            <div className="flex items-center gap-2">
+              <span className="flex-1 font-mono truncate">
+                {bodyA} → {bodyB}
+              </span>
+              <button type="button" onClick={onSwap} className={BUTTON_CLASS}>
+                Swap
+              </button>
+            </div>
+          ) : (
+            <p className="opacity-70">
+              Grab two bodies, one after the other, to connect them.
+            </p>
+          )}
+
+          <div className="flex flex-wrap gap-1">
+            {JOINT_TYPES.map((jointType) => (
+              <button
+                key={jointType}
+                type="button"
+                onClick={() => onChange({ type: jointType })}
+                className={`rounded-full py-1 px-2 ${
+                  type === jointType
+                    ? "bg-blue-500"
+                    : "bg-white bg-opacity-10 hover:bg-opacity-20"
+                }`}
+              >
+                {JOINT_LABELS[jointType]}
+              </button>
+            ))}
+          </div>
+          <p className="opacity-70">{JOINT_HINTS[type]}</p>
+
+          {type === "hinge" && (
+            <>
+              <div className="flex items-center gap-2">
+                <span className="w-20">Axis</span>
+                {["x", "y", "z"].map((axis) => (
+                  <button
+                    key={axis}
+                    type="button"
+                    onClick={() => onChange({ axis })}
+                    className={`rounded-full py-1 px-2 uppercase ${
+                      options.axis === axis
+                        ? "bg-blue-500"
+                        : "bg-white bg-opacity-10 hover:bg-opacity-20"
+                    }`}
+                  >
+                    {axis}
+                  </button>
+                ))}
+              </div>
+              <Slider
+                label="Motor"
+                min={-10}
+                max={10}
+                step={0.5}
+                value={options.motorSpeed}
+                format={(speed) => (speed === 0 ? "off" : speed)}
+                onChange={(motorSpeed) => onChange({ motorSpeed })}
+              />
+            </>
+          )}
+
+          {type === "distance" && (
+            <LengthControl
+              label="Length"
+              value={options.distance}
+              onChange={(distance) => onChange({ distance })}
+            />
+          )}
+
+          {type === "spring" && (
+            <>
+              <LengthControl
+                label="Rest length"
+                value={options.restLength}
+                onChange={(restLength) => onChange({ restLength })}
+              />
+              <Slider
+                label="Stiffness"
+                min={1}
+                max={500}
+                step={1}
+                value={options.stiffness}
+                onChange={(stiffness) => onChange({ stiffness })}
+              />
+              <Slider
+                label="Damping"
+                min={0}
+                max={10}
+                step={0.1}
+                value={options.damping}
+                onChange={(damping) => onChange({ damping })}
+              />
+            </>
+          )}
+
+          {linked && (
+            <Slider
+              label="Links"
+              min={1}
+              max={MAX_LINKS}
+              step={1}
+              value={options.links}
+              onChange={(links) => onChange({ links })}
+            />
+          )}
+
+          {type !== "spring" && forceSlider}
+
+          {!linked && type !== "spring" && (
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={options.collideConnected}
+                onChange={(event) =>
+                  onChange({ collideConnected: event.target.checked })
+                }
+              />
+              <span>Bodies still collide with each other</span>
+            </label>
+          )}
+
+          <button
+            type="button"
+            onClick={onConnect}
+            disabled={!ready}
+            className={`${BUTTON_CLASS} self-start disabled:opacity-40 disabled:cursor-not-allowed`}
+          >
+            Connect
+          </button>
+
+          {listed.length > 0 && (
+            <>
+              <h2 className="font-bold mt-1">Joints</h2>
+              <ul className="flex flex-col gap-1">
+                {listed.map((joint) => (
+                  <li key={joint.id} className="flex items-center gap-2">
+                    <span
+                      className="w-2 h-2 rounded-full"
+                      style={{ background: jointColor(joint.type) }}
+                    ></span>
+                    <span className="flex-1 font-mono truncate">
+                      {joint.id}: {joint.bodyA} – {joint.bodyB}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => onRemove(joint.id)}
+                      className="opacity-70 hover:opacity-100"
+                      aria-label={`Remove ${joint.id}`}
+                    >
+                      ✕
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={onToggle}
+        aria-pressed={open}
+        className={`backdrop-blur-md rounded-full py-1.5 px-3 ${
+          open
+            ? "bg-blue-500 hover:bg-blue-400"
+            : "bg-black bg-opacity-30 hover:bg-opacity-50"
+        }`}
+      >
+        {open ? "Done joining" : "Joints"}
+      </button>
+    </div>
+  );
+}
+
+/**
+ * A length that is either the bodies' current distance or a set value
+ * @param {Object} props - Component props
+ * @param {string} props.label - Slider label
+ * @param {number|null} props.value - Length in meters, or null for the current distance
+ * @param {Function} props.onChange - Receives the new length, or null
+ */
+function LengthControl({ label, value, onChange }) {
+  return (
+    <>
+      <label className="flex items-center gap-2">
+        <input
+          type="checkbox"
+          checked={value === null}
+          onChange={(event) => onChange(event.target.checked ? null : 2)}
+        />
+        <span>Use the bodies&apos; current distance</span>
+      </label>
+      {value !== null && (
+        <Slider
+          label={label}
+          min={0}
+          max={10}
+          step={0.1}
+          value={value}
+          onChange={onChange}
+        />
+      )}
+    </>
+  );
+}
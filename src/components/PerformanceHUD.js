@@ -0,0 +1,89 @@
+"use client";
+
+import { QUALITY_LEVELS } from "../utils/adaptiveQuality";
+
+/**
+ * Formats milliseconds for the readout
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "4.2 ms"
+ */
+const formatMs = (ms) => `${ms.toFixed(1)} ms`;
+
+/**
+ * PerformanceHUD component - frame timings, scene counts and quality level
+ * @param {Object} props - Component props
+ * @param {Object} props.stats - { fps, physicsTime, renderTime, workTime, drawCalls, bodies, awake, level, mode }
+ * @param {boolean} props.open - Whether the full readout is showing
+ * @param {Function} props.onToggle - Show or hide the full readout
+ * @param {boolean} props.auto - Whether quality adapts to the measurements
+ * @param {Function} props.onAutoChange - Receives the new auto setting
+ * @param {Function} props.onLevelChange - Receives a QUALITY_LEVELS index picked by hand
+ */
+export default function PerformanceHUD({
+  stats,
+  open,
+  onToggle,
+  auto,
+  onAutoChange,
+  onLevelChange,
+}) {
+  const rows = [
+    ["Physics", `${formatMs(stats.physicsTime)} (${stats.mode})`],
+    ["Render", formatMs(stats.renderTime)],
+    ["Frame work", formatMs(stats.workTime)],
+    ["Draw calls", stats.drawCalls],
+    ["Bodies", stats.bodies],
+    ["Awake", stats.awake],
+  ];
+
+  return (
+    <div className="absolute top-6 left-6 z-10 flex flex-col items-start gap-2 text-xs text-white">
+      <button
+        type="button"
+        onClick={onToggle}
+        aria-expanded={open}
+        title="Performance"
+        className="bg-black bg-opacity-30 backdrop-blur-md rounded-full py-1.5 px-3 hover:bg-opacity-50 font-mono tabular-nums"
+      >
+        {Math.round(stats.fps)} fps
+      </button>
+
+      {open && (
+        <div className="w-52 bg-black bg-opacity-50 backdrop-blur-md rounded-2xl shadow-lg p-3 flex flex-col gap-1">
+          {rows.map(([label, value]) => (
+            <div key={label} className="flex justify-between gap-2">
+              <span className="opacity-70">{label}</span>
+              <span className="font-mono tabular-nums">{value}</span>
+            </div>
+          ))}
+
+          <label className="flex items-center gap-2 mt-2">
+            <input
+              type="checkbox"
+              checked={auto}
+              onChange={(event) => onAutoChange(event.target.checked)}
+            />
+            <span>Adapt quality to frame rate</span>
+          </label>
+          <div className="flex flex-wrap gap-1">
+            {QUALITY_LEVELS.map(({ name }, index) => (
+              <button
+                key={name}
+                type="button"
+                onClick={() => onLevelChange(index)}
+                aria-pressed={stats.level === index}
+                className={`rounded-full py-1 px-2 capitalize ${
+                  stats.level === index
+                    ? "bg-blue-500"
+                    : "bg-white bg-opacity-10 hover:bg-opacity-20"
+                }`}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,1621 @@
+"use client";
+
+import {
+  forwardRef,
+  useEffect,
+  useImperativeHandle,
+  useRef,
+  useState,
+} from "react";
+import * as CANNON from "cannon-es";
+import * as THREE from "three";
+import { getInputCapabilities } from "../utils/pointerInput";
+import {
+  serializeSceneBody,
+  createBodyId,
+  createConstraintId,
+  createForceFieldId,
+} from "../utils/sceneIO";
+import { FORCE_FIELD_DEFAULTS } from "../utils/forceFields";
+import { createForceFieldGizmos } from "../utils/forceFieldGizmos";
+import { SCENE_FORMAT_VERSION, getSceneErrors } from "../utils/sceneFormat";
+import {
+  PHYSICS_PRESETS,
+  readWorldTuning,
+  readBodyTuning,
+  readPhysicsConfig,
+} from "../utils/physicsTuning";
+import { createHistory } from "../utils/history";
+import { createDebugRenderer } from "../utils/debugRenderer";
+import { createCollisionBus } from "../utils/collisionEvents";
+import { createImpactSounds } from "../utils/impactSounds";
+import { createImpactEffects } from "../utils/impactEffects";
+import {
+  DEFAULT_JOINT_OPTIONS,
+  createJointSpec,
+  createLinkSpecs,
+} from "../utils/joints";
+import { createJointRenderer } from "../utils/jointRenderer";
+import {
+  QUALITY_LEVELS,
+  createPerformanceMonitor,
+  createQualityController,
+} from "../utils/adaptiveQuality";
+import { DEFAULT_THROW_OPTIONS } from "../utils/throwing";
+import { downloadJSON, readFileAsText } from "../utils/fileHelpers";
+import { createSceneView } from "../utils/sceneView";
+import { createSceneSimulation } from "../utils/sceneSimulation";
+import { createSceneInput } from "../utils/sceneInput";
+import defaultScene from "../scenes/default.json";
+import ReplayControls from "./ReplayControls";
+import SpawnPalette, { DEFAULT_SPAWN_OPTIONS } from "./SpawnPalette";
+import CameraControls from "./CameraControls";
+import DragModeControls from "./DragModeControls";
+import TuningPanel from "./TuningPanel";
+import PerformanceHUD from "./PerformanceHUD";
+import JointPanel from "./JointPanel";
+import ForceFieldPanel from "./ForceFieldPanel";
+
+/**
+ * Height above the floor that new attractors and repulsors are centered at
+ * (other fields are added resting on the floor)
+ */
+const FIELD_CENTER_HEIGHT = 2;
+
+/**
+ * How often (ms) the performance HUD is refreshed
+ */
+const STATS_INTERVAL = 500;
+
+/**
+ * Area bodies may leave before onBodyOutOfBounds reports them
+ */
+const DEFAULT_BOUNDS = { min: [-100, -50, -100], max: [100, 200, 100] };
+
+/**
+ * Impacts that make a sound, and how often (ms) one pair of bodies may sound
+ */
+const IMPACT_SOUND_FILTER = { minSpeed: 0.5, cooldown: 80 };
+
+/**
+ * Impacts that raise dust, and how often (ms) one pair of bodies may raise it
+ */
+const IMPACT_EFFECT_FILTER = { minSpeed: 3, cooldown: 200 };
+
+/**
+ * Adds world options on top of a scene's own world settings
+ * @param {string|Object} scene - Scene as a JSON string or parsed object
+ * @param {Object} world - World settings in the scene format, if any
+ * @returns {string|Object} The scene with the options applied
+ */
+function withWorldOptions(scene, world) {
+  if (!world) return scene;
+  const data = typeof scene === "string" ? JSON.parse(scene) : scene;
+  return {
+    ...data,
+    world: {
+      ...data.world,
+      ...world,
+      solver: { ...data.world?.solver, ...world.solver },
+    },
+  };
+}
+
+/**
+ * PhysicsScene component - an interactive physics scene that can be embedded
+ * in any page, sized by its parent (or className/style)
+ * Props other than the callbacks, className and style are read once, when the
+ * scene mounts; use the ref API to change the scene afterwards.
+ * @param {Object} props - Component props
+ * @param {string|Object} props.scene - Scene description to start from (see sceneFormat.js)
+ * @param {Object} props.world - World settings applied over the scene's, e.g. { gravity: [0, -1.62, 0] }
+ * @param {number} props.seed - Seed for the simulation's randomness (random when omitted)
+ * @param {boolean} props.ui - Show the playground controls (toolbar, palettes, panels)
+ * @param {boolean} props.interactive - Let pointers drag, spawn and delete bodies
+ * @param {boolean} props.worker - Step physics in a Web Worker when possible
+ * @param {boolean} props.instancing - Draw bodies of the same kind as instances
+ * @param {boolean} props.debug - Start with the physics debug overlay showing
+ * @param {boolean} props.adaptiveQuality - Adapt quality to the frame rate
+ * @param {boolean} props.kick - Give dynamic bodies a random push when the scene starts
+ * @param {boolean} props.sound - Play impact sounds (after the first press on the scene)
+ * @param {boolean} props.effects - Raise dust where bodies hit hard
+ * @param {Object} props.bounds - { min, max } corners of the area bodies may stay in
+ * @param {Function} props.onCollision - Receives { bodyA, bodyB, point, normal, speed, materials }
+ *   when two bodies start touching ("floor" stands for the floor)
+ * @param {Function} props.onDragStart - Receives { body, pointer, point }
+ * @param {Function} props.onDragEnd - Receives { body, pointer, velocity } (velocity is null when not thrown)
+ * @param {Function} props.onSleep - Receives { body } when a body falls asleep
+ * @param {Function} props.onBodyOutOfBounds - Receives { body, position } when a body leaves bounds
+ * @param {Function} props.onBodyFell - Receives { body, action } when a body falls
+ *   below the scene's kill plane and is respawned or removed
+ * @param {Function} props.onError - Receives the Error when the scene prop
+ *   cannot be loaded; the default scene is shown instead
+ * @param {string} props.className - Classes for the scene's root element
+ * @param {Object} props.style - Styles for the scene's root element
+ * @param {Object} ref - Receives the API: spawn(spec), remove(id), reset(),
+ *   pause(paused), step(count), getState(), applyImpulse(id, impulse, point),
+ *   addForceField(spec), removeForceField(id) and moveForceField(id, position)
+ */
+const PhysicsScene = forwardRef(function PhysicsScene(
+  {
+    scene: initialScene = defaultScene,
+    world: worldOptions,
+    seed,
+    ui = true,
+    interactive = true,
+    worker = true,
+    instancing = true,
+    debug = false,
+    adaptiveQuality = true,
+    kick = true,
+    sound = true,
+    effects = true,
+    bounds = DEFAULT_BOUNDS,
+    onCollision,
+    onDragStart,
+    onDragEnd,
+    onSleep,
+    onBodyOutOfBounds,
+    onBodyFell,
+    onError,
+    className = "",
+    style,
+  },
+  ref
+) {
+  const containerRef = useRef(null);
+  const engineRef = useRef(null);
+  const sceneFileInputRef = useRef(null);
+  const replayFileInputRef = useRef(null);
+  const [sceneError, setSceneError] = useState(null);
+  const [replayStatus, setReplayStatus] = useState(null);
+  const [spawnActive, setSpawnActive] = useState(false);
+  const [spawnOptions, setSpawnOptions] = useState(DEFAULT_SPAWN_OPTIONS);
+  const [materialNames, setMaterialNames] = useState([]);
+  const [dragMode, setDragMode] = useState("camera");
+  const [rigidGrab, setRigidGrab] = useState(false);
+  const [debugView, setDebugView] = useState(debug);
+  const [tuning, setTuning] = useState(null);
+  const [tuningOpen, setTuningOpen] = useState(false);
+  const [perfStats, setPerfStats] = useState(null);
+  const [statsOpen, setStatsOpen] = useState(false);
+  const [autoQuality, setAutoQuality] = useState(adaptiveQuality);
+  const [soundOn, setSoundOn] = useState(sound);
+  const [effectsOn, setEffectsOn] = useState(effects);
+  const [selectedBody, setSelectedBody] = useState(null);
+  const [previousBody, setPreviousBody] = useState(null);
+  const [jointsOpen, setJointsOpen] = useState(false);
+  const [jointOptions, setJointOptions] = useState(DEFAULT_JOINT_OPTIONS);
+  const [joints, setJoints] = useState([]);
+  const [followedBody, setFollowedBody] = useState(null);
+  const [fieldsOpen, setFieldsOpen] = useState(false);
+  const [fieldsVisible, setFieldsVisible] = useState(true);
+  const [fields, setFields] = useState([]);
+  const [historyStatus, setHistoryStatus] = useState({
+    canUndo: false,
+    canRedo: false,
+  });
+
+  // The engine reads spawn settings from this ref when the user clicks
+  const spawnRef = useRef({ active: false, options: DEFAULT_SPAWN_OPTIONS });
+  useEffect(() => {
+    spawnRef.current = { active: spawnActive, options: spawnOptions };
+  }, [spawnActive, spawnOptions]);
+
+  // New drags slide on the plane of the mode picked here, rigidly if asked to
+  const dragRef = useRef({ mode: "camera", rigid: false });
+  useEffect(() => {
+    dragRef.current = { mode: dragMode, rigid: rigidGrab };
+  }, [dragMode, rigidGrab]);
+
+  // The animate loop shows or hides the physics debug overlay to match
+  const debugViewRef = useRef(debug);
+  useEffect(() => {
+    debugViewRef.current = debugView;
+  }, [debugView]);
+
+  // The animate loop shows or hides the force field gizmos to match
+  const fieldsVisibleRef = useRef(true);
+  useEffect(() => {
+    fieldsVisibleRef.current = fieldsVisible;
+  }, [fieldsVisible]);
+
+  // The animate loop only adapts quality while this is on
+  const autoQualityRef = useRef(adaptiveQuality);
+  useEffect(() => {
+    autoQualityRef.current = autoQuality;
+  }, [autoQuality]);
+
+  // Collision listeners check these before playing a sound or raising dust
+  const soundRef = useRef(sound);
+  const effectsRef = useRef(effects);
+  useEffect(() => {
+    soundRef.current = soundOn;
+    effectsRef.current = effectsOn;
+  }, [soundOn, effectsOn]);
+
+  // Mount-time options for the engine
+  const optionsRef = useRef({
+    scene: initialScene,
+    world: worldOptions,
+    seed,
+    interactive,
+    worker,
+    instancing,
+    kick,
+    bounds,
+  });
+
+  // The engine calls whichever handlers the latest render passed
+  const callbacksRef = useRef({});
+  useEffect(() => {
+    callbacksRef.current = {
+      onCollision,
+      onDragStart,
+      onDragEnd,
+      onSleep,
+      onBodyOutOfBounds,
+      onBodyFell,
+      onError,
+    };
+  });
+
+  // The ref API forwards to the engine, which only exists while mounted
+  useImperativeHandle(
+    ref,
+    () => ({
+      spawn: (spec) => engineRef.current?.spawn(spec),
+      remove: (bodyId) => engineRef.current?.remove(bodyId),
+      reset: () => engineRef.current?.reset(),
+      pause: (paused = true) => engineRef.current?.pause(paused),
+      step: (count = 1) => engineRef.current?.step(count),
+      getState: () => engineRef.current?.getState() ?? null,
+      applyImpulse: (bodyId, impulse, point) =>
+        engineRef.current?.applyImpulse(bodyId, impulse, point),
+      addForceField: (spec) => engineRef.current?.addForceField(spec),
+      removeForceField: (fieldId) =>
+        engineRef.current?.removeForceField(fieldId),
+      moveForceField: (fieldId, position) =>
+        engineRef.current?.moveForceField(fieldId, position),
+    }),
+    []
+  );
+
+  useEffect(() => {
+    // Early return if container not ready
+    if (!containerRef.current) return;
+
+    // Mount-time props (see PhysicsScene)
+    const options = optionsRef.current;
+
+    // State tracking
+    let dragSnapshot = null; // Body states from before the current drag, for undo
+    let selectedBodyId = null; // Body last grabbed by the user, for focus and follow
+    let previousBodyId = null; // Body grabbed before that, for connecting the two
+    let followedBodyId = null;
+    let throwOptions = { ...DEFAULT_THROW_OPTIONS };
+    let loadedWorldSettings = null; // World settings as loaded, for the "default" preset
+    let debugOverlay = null;
+
+    // Undo/redo of spawns, deletes, edits and drags
+    const history = createHistory({ onChange: setHistoryStatus });
+
+    // Frame timings and the quality level they pick
+    const monitor = createPerformanceMonitor();
+    let lastStatsTime = -Infinity;
+    let lastFrameTime = null;
+    let animationFrameId = null;
+
+    // Renderer, camera, lights and controls, sized by the container
+    const view = createSceneView(containerRef.current);
+    const { scene, renderer, controls, director } = view;
+
+    // Dust puffs at hard impacts, the permanent joints, and the bounds,
+    // arrows and handles of the force fields
+    const impactEffects = createImpactEffects(scene);
+    const jointRenderer = createJointRenderer(scene);
+    const fieldGizmos = createForceFieldGizmos(scene);
+
+    // Collisions go to the onCollision prop, impact sounds and dust, each
+    // with its own speed threshold and per-pair cooldown
+    const collisionBus = createCollisionBus();
+    const impactSounds = createImpactSounds();
+    collisionBus.subscribe((collision) => emit("onCollision", collision));
+    collisionBus.subscribe((impact) => {
+      if (soundRef.current) impactSounds.play(impact);
+    }, IMPACT_SOUND_FILTER);
+    collisionBus.subscribe((impact) => {
+      if (effectsRef.current) impactEffects.spawn(impact);
+    }, IMPACT_EFFECT_FILTER);
+
+    // World, bodies, stepping and record/replay, loaded from the scene prop
+    const startSimulation = (startScene) =>
+      createSceneSimulation(
+        view,
+        { ...options, scene: startScene },
+        {
+          emit,
+          onCollisions: (collisions) =>
+            collisionBus.publish(collisions, performance.now()),
+          onInput: handleInput,
+          onLoad: publishScene,
+          onDragsChange: updateControls,
+          onReplayChange: () => {
+            updateControls();
+            publishReplayStatus();
+          },
+          onPhysicsFallback: (error) =>
+            setSceneError(`${error.message}; stepping on the main thread`),
+        }
+      );
+
+    // A scene prop that does not load is reported and the default scene shown
+    // instead, so a bad scene never takes the host page down with it
+    let startScene;
+    let simulation;
+    try {
+      startScene = withWorldOptions(options.scene, options.world);
+      simulation = startSimulation(startScene);
+    } catch (error) {
+      setSceneError(`Scene: ${error.message}`);
+      emit("onError", error);
+      startScene = defaultScene;
+      simulation = startSimulation(startScene);
+    }
+    const {
+      world,
+      sceneContext,
+      objects: physicsObjects,
+      drags,
+      physics,
+      dispatch,
+    } = simulation;
+
+    // Orbit, pan and zoom around the scene's camera target; sharing the vector
+    // keeps scene files, touch gestures and the controls on the same point
+    controls.target = sceneContext.cameraTarget;
+    publishScene();
+
+    // Pointers, wheel and keyboard on the canvas
+    const sceneInput = createSceneInput(view, simulation, {
+      interactive: options.interactive,
+      fieldGizmos,
+      getSpawnSettings: () => spawnRef.current,
+      getDragSettings: () => dragRef.current,
+      getThrowOptions: () => throwOptions,
+      actions: {
+        selectBody,
+        spawnBody,
+        deleteBody,
+        moveField,
+        undo,
+        redo,
+        beginDrag,
+        commitDrag,
+        updateControls,
+      },
+    });
+
+    // Browsers only start audio from a user gesture, so the first press does it
+    renderer.domElement.addEventListener("pointerdown", impactSounds.resume);
+
+    // Start at the best quality and let the frame timings bring it down; the
+    // loaded scene keeps its own solver iterations until the level changes
+    const quality = createQualityController({ onChange: applyQuality });
+    applyRenderQuality(QUALITY_LEVELS[QUALITY_LEVELS.length - 1]);
+
+    // Start the animation loop
+    animationFrameId = requestAnimationFrame(animate);
+
+    // Expose scene and replay operations to the UI outside this effect
+    engineRef.current = {
+      loadScene: replaceScene,
+      serializeScene: simulation.serialize,
+      exportReplay: simulation.exportReplay,
+      startReplay,
+      stopReplay: simulation.stopReplay,
+      controlReplay: simulation.controlReplay,
+      undo,
+      redo,
+      editBody,
+      tuneWorld,
+      tuneBody,
+      applyPreset,
+      exportPhysicsConfig,
+      setView: (name) => director.setView(name),
+      focusBody,
+      followBody,
+      setQualityLevel: (index) => quality.setLevel(index, performance.now()),
+      resumeAudio: impactSounds.resume,
+      connectBodies,
+      disconnectJoint,
+      swapJointBodies,
+      addFieldInView,
+      setThrowOptions: (changes) => {
+        throwOptions = { ...throwOptions, ...changes };
+      },
+      // The public ref API (see PhysicsScene)
+      spawn: spawnBody,
+      remove: deleteBody,
+      reset: () => replaceScene(startScene, { kick: options.kick }),
+      pause: simulation.setPaused,
+      step: simulation.step,
+      getState: simulation.serialize,
+      applyImpulse,
+      addForceField: addField,
+      removeForceField: removeField,
+      moveForceField: moveField,
+    };
+
+    /**
+     * Replace the running scene with a scene description
+     * @param {string|Object} json - Scene JSON (validated before anything is removed)
+     * @param {Object} options - { kick } to push the new bodies like on mount
+     */
+    function replaceScene(json, { kick = false } = {}) {
+      simulation.load(json, { kick });
+      collisionBus.clear();
+      history.clear();
+      selectBody(null);
+      followBody(null);
+    }
+
+    /**
+     * Switch to replay mode and play a replay from its first step
+     * @param {string|Object} json - Replay file contents
+     */
+    function startReplay(json) {
+      simulation.startReplay(json);
+
+      // Edits made before the replay don't apply to the replayed scene
+      dragSnapshot = null;
+      history.clear();
+    }
+
+    /**
+     * Push the replay status to React (null when live)
+     */
+    function publishReplayStatus() {
+      setReplayStatus(simulation.getReplayStatus());
+    }
+
+    /**
+     * Push a freshly loaded scene's joints, fields, materials and world
+     * settings to the panels
+     */
+    function publishScene() {
+      publishJoints();
+      publishFields();
+      setMaterialNames(world.materialRegistry.list());
+      resetTuning();
+    }
+
+    /**
+     * Bring the selection and the panels up to date with an applied input
+     * @param {Object} input - Input data ({ type, ... })
+     */
+    function handleInput(input) {
+      switch (input.type) {
+        case "connect":
+        case "disconnect":
+          publishJoints();
+          break;
+
+        case "remove":
+          if (selectedBodyId === input.body) selectBody(null);
+          if (previousBodyId === input.body) {
+            previousBodyId = null;
+            setPreviousBody(null);
+          }
+          if (followedBodyId === input.body) followBody(null);
+          publishJoints();
+          break;
+
+        case "tuneWorld":
+        case "tuneBody":
+          publishTuning();
+          break;
+
+        case "addField":
+          publishFields();
+          break;
+
+        case "removeField":
+          sceneInput.cancelFieldDrag(input.field);
+          publishFields();
+          break;
+      }
+    }
+
+    /**
+     * Turn the orbit controls off while the user drags a body
+     * Replays keep them on, so the camera can move while recorded drags play.
+     */
+    function updateControls() {
+      controls.enabled =
+        (drags.size === 0 && !sceneInput.isDraggingField()) ||
+        simulation.isReplaying();
+    }
+
+    /**
+     * Remember the body the user last grabbed, for focus, follow and joints
+     * The body grabbed before it becomes the other end of the next joint.
+     * @param {string|null} bodyId - Scene id of the body, or null to forget both
+     */
+    function selectBody(bodyId) {
+      if (bodyId === null) {
+        previousBodyId = null;
+      } else if (bodyId !== selectedBodyId) {
+        previousBodyId = selectedBodyId;
+      }
+      selectedBodyId = bodyId;
+      setSelectedBody(bodyId);
+      setPreviousBody(previousBodyId);
+      publishTuning();
+    }
+
+    /**
+     * Swap the two bodies the next joint connects
+     */
+    function swapJointBodies() {
+      if (previousBodyId === null) return;
+      selectBody(previousBodyId);
+    }
+
+    /**
+     * Connect the last two grabbed bodies, as an undoable, recorded input
+     * Chains and ropes spawn their links first, and are undone by removing them.
+     * @param {Object} settings - Joint settings (see DEFAULT_JOINT_OPTIONS)
+     * @throws {Error} When a chain or rope doesn't fit between the bodies
+     */
+    function connectBodies(settings) {
+      const objectA = physicsObjects.find(
+        ({ spec }) => spec.id === previousBodyId
+      );
+      const objectB = physicsObjects.find(
+        ({ spec }) => spec.id === selectedBodyId
+      );
+      if (!objectA || !objectB || simulation.isReplaying()) return;
+
+      if (settings.type === "chain" || settings.type === "rope") {
+        const { bodies, constraints } = createLinkSpecs(
+          settings.type,
+          createBodyId(sceneContext, settings.type),
+          objectA,
+          objectB,
+          settings
+        );
+        const add = () => {
+          bodies.forEach((spec) => dispatch({ type: "spawn", spec }));
+          constraints.forEach((spec) => dispatch({ type: "connect", spec }));
+        };
+        add();
+        history.push({
+          label: `add ${settings.type}`,
+          // Removing the links takes their joints with them
+          undo: () =>
+            bodies.forEach(({ id }) => dispatch({ type: "remove", body: id })),
+          redo: add,
+        });
+        return;
+      }
+
+      const spec = createJointSpec(
+        createConstraintId(sceneContext),
+        objectA,
+        objectB,
+        settings
+      );
+      dispatch({ type: "connect", spec });
+      history.push({
+        label: `add ${spec.id}`,
+        undo: () => dispatch({ type: "disconnect", constraint: spec.id }),
+        redo: () => dispatch({ type: "connect", spec }),
+      });
+    }
+
+    /**
+     * Remove a joint, keeping its description so the removal can be undone
+     * @param {string} constraintId - Scene id of the joint
+     */
+    function disconnectJoint(constraintId) {
+      const target = sceneContext.constraints.find(
+        ({ spec }) => spec.id === constraintId
+      );
+      if (!target || simulation.isReplaying()) return;
+
+      const spec = { ...target.spec };
+      dispatch({ type: "disconnect", constraint: constraintId });
+      history.push({
+        label: `remove ${constraintId}`,
+        undo: () => dispatch({ type: "connect", spec }),
+        redo: () => dispatch({ type: "disconnect", constraint: constraintId }),
+      });
+    }
+
+    /**
+     * Push the scene's joints to the joint panel
+     */
+    function publishJoints() {
+      setJoints(
+        sceneContext.constraints.map(({ spec }) => ({
+          id: spec.id,
+          type: spec.type,
+          bodyA: spec.bodyA,
+          bodyB: spec.bodyB,
+        }))
+      );
+    }
+
+    /**
+     * Push the scene's force fields to the field panel
+     */
+    function publishFields() {
+      setFields(
+        world.forceFields.map(({ id, spec }) => ({ id, type: spec.type }))
+      );
+    }
+
+    /**
+     * Add a force field as an undoable, recorded input
+     * @param {Object} description - Field description in the scene format; an
+     *   id like "wind-2" is made up when it has none
+     * @returns {string|null} Id of the new field, or null during replays
+     * @throws {Error} When the description is invalid or its id is taken
+     */
+    function addField(description) {
+      if (simulation.isReplaying()) return null;
+
+      const spec = {
+        ...description,
+        id:
+          description.id ?? createForceFieldId(sceneContext, description.type),
+      };
+      const errors = getSceneErrors({
+        version: SCENE_FORMAT_VERSION,
+        forceFields: [spec],
+      });
+      if (world.forceFields.some((field) => field.id === spec.id)) {
+        errors.push(`force field id "${spec.id}" is already in use`);
+      }
+      if (errors.length > 0) {
+        throw new Error(`Invalid force field:\n- ${errors.join("\n- ")}`);
+      }
+
+      dispatch({ type: "addField", spec });
+      history.push({
+        label: `add ${spec.id}`,
+        undo: () => dispatch({ type: "removeField", field: spec.id }),
+        redo: () => dispatch({ type: "addField", spec }),
+      });
+      return spec.id;
+    }
+
+    /**
+     * Add a force field with its default settings where the camera is looking,
+     * resting on the floor
+     * @param {string} type - Force field type
+     * @returns {string|null} Id of the new field
+     */
+    function addFieldInView(type) {
+      const defaults = FORCE_FIELD_DEFAULTS[type];
+      const floorY = sceneContext.floor?.spec.y ?? 0;
+      let rise = FIELD_CENTER_HEIGHT;
+      if (defaults.size) rise = defaults.size[1] / 2;
+      else if (defaults.height) rise = defaults.height / 2;
+
+      const { x, z } = sceneContext.cameraTarget;
+      return addField({ type, position: [x, floorY + rise, z] });
+    }
+
+    /**
+     * Remove a force field as an undoable, recorded input
+     * @param {string} fieldId - Scene id of the field
+     */
+    function removeField(fieldId) {
+      const field = world.forceFields.find(({ id }) => id === fieldId);
+      if (!field || simulation.isReplaying()) return;
+
+      const spec = { ...field.spec };
+      dispatch({ type: "removeField", field: fieldId });
+      history.push({
+        label: `remove ${fieldId}`,
+        undo: () => dispatch({ type: "addField", spec }),
+        redo: () => dispatch({ type: "removeField", field: fieldId }),
+      });
+    }
+
+    /**
+     * Move a force field as an undoable, recorded input
+     * @param {string} fieldId - Scene id of the field
+     * @param {number[]} position - New center [x, y, z]
+     */
+    function moveField(fieldId, position) {
+      const field = world.forceFields.find(({ id }) => id === fieldId);
+      if (!field || simulation.isReplaying()) return;
+
+      const from = [...(field.spec.position ?? [0, 0, 0])];
+      const to = [...position];
+      dispatch({ type: "moveField", field: fieldId, position: to });
+      history.push({
+        label: `move ${fieldId}`,
+        undo: () =>
+          dispatch({ type: "moveField", field: fieldId, position: from }),
+        redo: () =>
+          dispatch({ type: "moveField", field: fieldId, position: to }),
+      });
+    }
+
+    /**
+     * Current position of a body, for the camera director
+     * @param {string} bodyId - Scene id of the body
+     * @returns {THREE.Vector3|null} Position, or null once the body is gone
+     */
+    function getBodyPosition(bodyId) {
+      const target = physicsObjects.find(({ spec }) => spec.id === bodyId);
+      return target ? new THREE.Vector3().copy(target.body.position) : null;
+    }
+
+    /**
+     * Smoothly move the camera to look at a body
+     * @param {string} bodyId - Scene id of the body (the selected body by default)
+     */
+    function focusBody(bodyId = selectedBodyId) {
+      const target = physicsObjects.find(({ spec }) => spec.id === bodyId);
+      if (!target) return;
+      director.focusOn(
+        new THREE.Vector3().copy(target.body.position),
+        target.body.boundingRadius
+      );
+    }
+
+    /**
+     * Keep the camera on a moving body, or stop following
+     * @param {string|null} bodyId - Scene id of the body, or null to stop
+     */
+    function followBody(bodyId) {
+      followedBodyId = bodyId && getBodyPosition(bodyId) ? bodyId : null;
+      director.follow(
+        followedBodyId ? () => getBodyPosition(followedBodyId) : null
+      );
+      if (followedBodyId) focusBody(followedBodyId);
+      setFollowedBody(followedBodyId);
+    }
+
+    /**
+     * Add a body to the scene as an undoable, recorded spawn
+     * @param {Object} description - Body description in the scene format; an
+     *   id like "box-3" is made up when it has none
+     * @returns {string|null} Id of the new body, or null during replays
+     * @throws {Error} When the description is invalid or its id is taken
+     */
+    function spawnBody(description) {
+      if (simulation.isReplaying()) return null;
+
+      const spec = {
+        ...description,
+        id: description.id ?? createBodyId(sceneContext, description.shape),
+      };
+      const errors = getSceneErrors({
+        version: SCENE_FORMAT_VERSION,
+        bodies: [spec],
+      });
+      if (
+        [...physicsObjects, ...sceneContext.level].some(
+          (object) => object.spec.id === spec.id
+        )
+      ) {
+        errors.push(`body id "${spec.id}" is already in use`);
+      }
+      if (
+        typeof spec.material === "string" &&
+        !world.materialRegistry.has(spec.material)
+      ) {
+        errors.push(`material "${spec.material}" is not a known material`);
+      }
+      if (errors.length > 0) {
+        throw new Error(`Invalid body:\n- ${errors.join("\n- ")}`);
+      }
+
+      dispatch({ type: "spawn", spec });
+      history.push({
+        label: `spawn ${spec.id}`,
+        undo: () => dispatch({ type: "remove", body: spec.id }),
+        redo: () => dispatch({ type: "spawn", spec }),
+      });
+      return spec.id;
+    }
+
+    /**
+     * Descriptions of the joints attached to a body
+     * @param {string} bodyId - Scene id of the body
+     * @returns {Object[]} Constraint descriptions
+     */
+    function getAttachedJoints(bodyId) {
+      return sceneContext.constraints
+        .filter(({ spec }) => spec.bodyA === bodyId || spec.bodyB === bodyId)
+        .map(({ spec }) => ({ ...spec }));
+    }
+
+    /**
+     * Delete a body, keeping its description so the delete can be undone
+     * Joints attached to the body are removed with it and restored on undo.
+     * @param {string} bodyId - Scene id of the body
+     */
+    function deleteBody(bodyId) {
+      const target = physicsObjects.find(({ spec }) => spec.id === bodyId);
+      if (!target || simulation.isReplaying()) return;
+
+      const spec = serializeSceneBody(target);
+      const joints = getAttachedJoints(bodyId);
+      dispatch({ type: "remove", body: bodyId });
+      history.push({
+        label: `delete ${bodyId}`,
+        undo: () => {
+          dispatch({ type: "spawn", spec });
+          joints.forEach((joint) => dispatch({ type: "connect", spec: joint }));
+        },
+        redo: () => dispatch({ type: "remove", body: bodyId }),
+      });
+    }
+
+    /**
+     * Change the properties of a body, e.g. { color, mass, material }
+     * The body is rebuilt in its current state with the new properties, and
+     * the joints attached to it are reconnected.
+     * @param {string} bodyId - Scene id of the body
+     * @param {Object} changes - Body description keys to change
+     * @throws {Error} When the new material is unknown
+     */
+    function editBody(bodyId, changes) {
+      const target = physicsObjects.find(({ spec }) => spec.id === bodyId);
+      if (!target || simulation.isReplaying()) return;
+      if (
+        changes.material !== undefined &&
+        !world.materialRegistry.has(changes.material)
+      ) {
+        throw new Error(`Unknown material "${changes.material}"`);
+      }
+
+      const current = serializeSceneBody(target);
+      const before = {};
+      Object.keys(changes).forEach((key) => {
+        before[key] = current[key] ?? target.spec[key];
+      });
+
+      // Undo and redo keep whatever has happened to the body since the edit
+      const rebuild = (properties) => {
+        const current = physicsObjects.find(({ spec }) => spec.id === bodyId);
+        if (!current) return;
+        const joints = getAttachedJoints(bodyId);
+        dispatch({ type: "remove", body: bodyId });
+        dispatch({
+          type: "spawn",
+          spec: { ...serializeSceneBody(current), ...properties },
+        });
+        joints.forEach((joint) => dispatch({ type: "connect", spec: joint }));
+      };
+
+      rebuild(changes);
+      history.push({
+        label: `edit ${bodyId}`,
+        undo: () => rebuild(before),
+        redo: () => rebuild(changes),
+      });
+    }
+
+    /**
+     * Change world settings on the running simulation, e.g. { gravity }
+     * Tuning is recorded for replays but isn't part of the undo history.
+     * @param {Object} changes - World settings to change (see applyWorldSettings)
+     * @param {Object} options - { wake: false } to leave sleeping bodies asleep,
+     *   for changes they don't need to notice, like solver iterations
+     */
+    function tuneWorld(changes, { wake = true } = {}) {
+      dispatch({ type: "tuneWorld", settings: changes, wake });
+    }
+
+    /**
+     * Change the mass or damping of a body without rebuilding it
+     * @param {string} bodyId - Scene id of the body
+     * @param {Object} properties - Any of { mass, linearDamping, angularDamping }
+     */
+    function tuneBody(bodyId, properties) {
+      dispatch({ type: "tuneBody", body: bodyId, properties });
+    }
+
+    /**
+     * Apply a physics preset on top of the current world settings
+     * @param {string} name - Key of PHYSICS_PRESETS, or "default" for the settings as loaded
+     */
+    function applyPreset(name) {
+      if (name === "default") {
+        tuneWorld(loadedWorldSettings);
+        return;
+      }
+      const preset = PHYSICS_PRESETS[name];
+      if (!preset) throw new Error(`Unknown physics preset "${name}"`);
+      tuneWorld(preset.world);
+    }
+
+    /**
+     * Build a config object from the running world and the selected body
+     * @returns {Object} { world, body } (see readPhysicsConfig)
+     */
+    function exportPhysicsConfig() {
+      const target = physicsObjects.find(
+        ({ spec }) => spec.id === selectedBodyId
+      );
+      return readPhysicsConfig(world, target?.body ?? null);
+    }
+
+    /**
+     * Remember the world settings of a freshly loaded scene and show them
+     */
+    function resetTuning() {
+      loadedWorldSettings = readWorldTuning(world);
+      publishTuning();
+    }
+
+    /**
+     * Push the world and selected body settings to the tuning panel
+     */
+    function publishTuning() {
+      const target = physicsObjects.find(
+        ({ spec }) => spec.id === selectedBodyId
+      );
+      setTuning({
+        world: readWorldTuning(world),
+        body: target ? readBodyTuning(target.body) : null,
+      });
+    }
+
+    /**
+     * Remember the body states before a drag, for undo
+     * Drags with several fingers keep the states from before the first one.
+     */
+    function beginDrag() {
+      if (drags.size === 0) dragSnapshot = simulation.snapshotBodies();
+    }
+
+    /**
+     * Turn the drag that just ended into an undoable command
+     */
+    function commitDrag() {
+      // Drags with several fingers make one command, committed when the last one lets go
+      if (!dragSnapshot || drags.size > 0) return;
+
+      const before = dragSnapshot;
+      const after = simulation.snapshotBodies();
+      dragSnapshot = null;
+      history.push({
+        label: "drag",
+        undo: () => dispatch({ type: "restore", states: before }),
+        redo: () => dispatch({ type: "restore", states: after }),
+      });
+    }
+
+    /**
+     * Undo the most recent spawn, delete, edit or drag
+     */
+    function undo() {
+      if (simulation.isReplaying()) return;
+      endDragForHistory();
+      history.undo();
+    }
+
+    /**
+     * Redo the most recently undone command
+     */
+    function redo() {
+      if (simulation.isReplaying()) return;
+      endDragForHistory();
+      history.redo();
+    }
+
+    /**
+     * Drop the bodies being dragged before the history moves bodies around
+     */
+    function endDragForHistory() {
+      sceneInput.cancelLongPress();
+      dragSnapshot = null;
+      simulation.endAllDrags();
+    }
+
+    /**
+     * Push a body as a recorded input
+     * @param {string} bodyId - Scene id of the body
+     * @param {number[]} impulse - Impulse [x, y, z] in N·s
+     * @param {number[]} point - World point to push at (the center of mass when omitted)
+     */
+    function applyImpulse(bodyId, impulse, point) {
+      dispatch({ type: "impulse", body: bodyId, impulse, point });
+    }
+
+    /**
+     * Call a PhysicsScene event prop, if one was passed
+     * @param {string} name - Prop name, e.g. "onCollision"
+     * @param {Object} event - Event data
+     */
+    function emit(name, event) {
+      callbacksRef.current[name]?.(event);
+    }
+
+    /**
+     * Animation loop function
+     */
+    function animate(time) {
+      const frameStart = performance.now();
+
+      // Seconds since the previous frame, capped so a background tab doesn't fast-forward
+      const elapsed =
+        lastFrameTime === null
+          ? 0
+          : Math.min((time - lastFrameTime) / 1000, 0.25);
+      lastFrameTime = time;
+
+      // Step (or replay), report body events and sync the meshes
+      simulation.advance(elapsed);
+
+      impactEffects.update(elapsed);
+      jointRenderer.update(sceneContext.constraints);
+      fieldGizmos.setVisible(fieldsVisibleRef.current);
+      fieldGizmos.update(world.forceFields, elapsed);
+      updateDebugOverlay();
+      view.update(elapsed);
+
+      // Render the scene
+      const renderStart = performance.now();
+      view.render();
+      const frameEnd = performance.now();
+
+      trackPerformance(time, frameEnd - frameStart, frameEnd - renderStart);
+
+      // Request the next frame
+      animationFrameId = requestAnimationFrame(animate);
+    }
+
+    /**
+     * Record this frame's timings, adapt the quality level to them and
+     * refresh the performance HUD twice a second
+     * @param {number} time - Frame timestamp in milliseconds
+     * @param {number} work - Main-thread time spent on the frame
+     * @param {number} render - Part of it spent rendering
+     */
+    function trackPerformance(time, work, render) {
+      monitor.addFrame({ time, work, render, physics: physics.getStepTime() });
+      const stats = monitor.getStats();
+      if (autoQualityRef.current) quality.update(stats, time);
+
+      if (time - lastStatsTime < STATS_INTERVAL) return;
+      lastStatsTime = time;
+      setPerfStats({
+        ...stats,
+        drawCalls: renderer.info.render.calls,
+        bodies: physicsObjects.length,
+        awake: physicsObjects.filter(
+          ({ body }) =>
+            body.type === CANNON.Body.DYNAMIC &&
+            body.sleepState !== CANNON.Body.SLEEPING
+        ).length,
+        level: quality.level,
+        mode: physics.mode,
+      });
+    }
+
+    /**
+     * Apply a quality level picked by the controller: its render settings and
+     * its solver effort
+     * Solver iterations change the simulation, so they go through the recorded
+     * inputs like a tuning change (and are left alone during replays). They
+     * don't wake sleeping bodies, which rest just as well either way.
+     * @param {Object} level - Entry of QUALITY_LEVELS
+     */
+    function applyQuality(level) {
+      applyRenderQuality(level);
+      if (world.solver.iterations !== level.solverIterations) {
+        tuneWorld(
+          { solver: { iterations: level.solverIterations } },
+          { wake: false }
+        );
+      }
+    }
+
+    /**
+     * Apply the parts of a quality level that don't change the simulation:
+     * resolution, shadow detail and catch-up steps
+     * @param {Object} level - Entry of QUALITY_LEVELS
+     */
+    function applyRenderQuality(level) {
+      view.applyQuality(level);
+      simulation.setMaxCatchUpSteps(level.maxCatchUpSteps);
+    }
+
+    /**
+     * Show, hide and redraw the physics debug overlay (colliders, contacts,
+     * sleep states, constraint links and bounding boxes)
+     */
+    function updateDebugOverlay() {
+      const enabled = debugViewRef.current;
+      if (enabled && !debugOverlay) {
+        debugOverlay = createDebugRenderer(scene);
+        physics.setDebug(true);
+      } else if (!enabled && debugOverlay) {
+        debugOverlay.dispose();
+        debugOverlay = null;
+        physics.setDebug(false);
+      }
+      debugOverlay?.update(world, physics.getDebugInfo());
+    }
+
+    // Clean up function for React useEffect
+    return () => {
+      engineRef.current = null;
+
+      // Remove event listeners
+      sceneInput.dispose();
+      renderer.domElement.removeEventListener(
+        "pointerdown",
+        impactSounds.resume
+      );
+
+      // Cancel animation frame
+      cancelAnimationFrame(animationFrameId);
+
+      // Stop the physics worker and free the bodies, then the view
+      simulation.dispose();
+      debugOverlay?.dispose();
+      impactEffects.dispose();
+      jointRenderer.dispose();
+      fieldGizmos.dispose();
+      impactSounds.dispose();
+      view.dispose();
+    };
+  }, []);
+
+  /**
+   * Download the running scene as a JSON file
+   */
+  function handleSaveScene() {
+    if (!engineRef.current) return;
+    downloadJSON(
+      engineRef.current.serializeScene(),
+      "physical-cubes-scene.json"
+    );
+  }
+
+  /**
+   * Download the tuned world and selected body settings as a config object
+   */
+  function handleExportPhysicsConfig() {
+    if (!engineRef.current) return;
+    downloadJSON(
+      engineRef.current.exportPhysicsConfig(),
+      "physical-cubes-physics-config.json"
+    );
+  }
+
+  /**
+   * Load a scene from a user-picked JSON file
+   */
+  async function handleLoadScene(event) {
+    const file = event.target.files?.[0];
+    event.target.value = ""; // Allow picking the same file again
+    if (!file || !engineRef.current) return;
+
+    try {
+      engineRef.current.loadScene(await readFileAsText(file));
+      setSceneError(null);
+    } catch (error) {
+      setSceneError(`${file.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download everything recorded since the last scene load as a replay file
+   */
+  function handleExportReplay() {
+    const replay = engineRef.current?.exportReplay();
+    if (replay) downloadJSON(replay, "physical-cubes-replay.json");
+  }
+
+  /**
+   * Watch the current recording from its first step
+   */
+  function handleWatchReplay() {
+    const replay = engineRef.current?.exportReplay();
+    if (replay) engineRef.current.startReplay(replay);
+  }
+
+  /**
+   * Play a replay from a user-picked file
+   */
+  async function handleLoadReplay(event) {
+    const file = event.target.files?.[0];
+    event.target.value = ""; // Allow picking the same file again
+    if (!file || !engineRef.current) return;
+
+    try {
+      engineRef.current.startReplay(await readFileAsText(file));
+      setSceneError(null);
+    } catch (error) {
+      setSceneError(`${file.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Connect the last two grabbed bodies with the joint panel's settings
+   */
+  function handleConnect() {
+    if (!engineRef.current) return;
+
+    try {
+      engineRef.current.connectBodies(jointOptions);
+      setSceneError(null);
+    } catch (error) {
+      setSceneError(error.message);
+    }
+  }
+
+  // Whether the device has a touch screen (alongside any mouse or pen)
+  const [touchCapable, setTouchCapable] = useState(false);
+  useEffect(() => {
+    setTouchCapable(getInputCapabilities().touch);
+  }, []);
+
+  return (
+    <div className={`relative overflow-hidden ${className}`} style={style}>
+      {ui && (
+        <>
+          {/* Centered minimal app title with transparent background */}
+          <div className="absolute top-6 left-1/2 transform -translate-x-1/2 z-10">
+            <div className="app-title bg-black bg-opacity-30 backdrop-blur-md rounded-full shadow-lg py-2 px-5 flex items-center gap-2 cursor-pointer">
+              <div className="w-5 h-5 bg-blue-500 rounded-md flex items-center justify-center shadow-inner">
+                <div className="w-2.5 h-2.5 bg-blue-300 rounded transform rotate-45"></div>
+              </div>
+              <h1 className="text-sm font-bold text-white">Physical Cubes</h1>
+            </div>
+          </div>
+
+          {/* Scene file controls */}
+          <div className="absolute top-6 right-6 z-10 flex gap-2">
+            {!replayStatus && (
+              <>
+                <button
+                  type="button"
+                  onClick={() => engineRef.current?.undo()}
+                  disabled={!historyStatus.canUndo}
+                  title={
+                    historyStatus.canUndo
+                      ? `Undo ${historyStatus.undoLabel} (Ctrl+Z)`
+                      : "Nothing to undo"
+                  }
+                  className="bg-black bg-opacity-30 backdrop-blur-md rounded-full py-1.5 px-3 text-xs text-white hover:bg-opacity-50 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  Undo
+                </button>
+                <button
+                  type="button"
+                  onClick={() => engineRef.current?.redo()}
+                  disabled={!historyStatus.canRedo}
+                  title={
+                    historyStatus.canRedo
+                      ? `Redo ${historyStatus.redoLabel} (Ctrl+Shift+Z)`
+                      : "Nothing to redo"
+                  }
+                  className="bg-black bg-opacity-30 backdrop-blur-md rounded-full py-1.5 px-3 text-xs text-white hover:bg-opacity-50 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  Redo
+                </button>
+              </>
+            )}
+            <button
+              type="button"
+              onClick={() => setDebugView((enabled) => !enabled)}
+              aria-pressed={debugView}
+              title="Show colliders, contacts, sleep states, constraints and bounding boxes"
+              className={`backdrop-blur-md rounded-full py-1.5 px-3 text-xs text-white ${
+                debugView
+                  ? "bg-blue-500 hover:bg-blue-400"
+                  : "bg-black bg-opacity-30 hover:bg-opacity-50"
+              }`}
+            >
+              Debug
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                engineRef.current?.resumeAudio();
+                setSoundOn((enabled) => !enabled);
+              }}
+              aria-pressed={soundOn}
+              title="Play impact sounds"
+              className={`backdrop-blur-md rounded-full py-1.5 px-3 text-xs text-white ${
+                soundOn
+                  ? "bg-blue-500 hover:bg-blue-400"
+                  : "bg-black bg-opacity-30 hover:bg-opacity-50"
+              }`}
+            >
+              Sound
+            </button>
+            <button
+              type="button"
+              onClick={() => setEffectsOn((enabled) => !enabled)}
+              aria-pressed={effectsOn}
+              title="Raise dust where bodies hit hard"
+              className={`backdrop-blur-md rounded-full py-1.5 px-3 text-xs text-white ${
+                effectsOn
+                  ? "bg-blue-500 hover:bg-blue-400"
+                  : "bg-black bg-opacity-30 hover:bg-opacity-50"
+              }`}
+            >
+              Effects
+            </button>
+            <button
+              type="button"
+              onClick={handleSaveScene}
+              className="bg-black bg-opacity-30 backdrop-blur-md rounded-full py-1.5 px-3 text-xs text-white hover:bg-opacity-50"
+            >
+              Save scene
+            </button>
+            <button
+              type="button"
+              onClick={() => sceneFileInputRef.current?.click()}
+              className="bg-black bg-opacity-30 backdrop-blur-md rounded-full py-1.5 px-3 text-xs text-white hover:bg-opacity-50"
+            >
+              Load scene
+            </button>
+            <input
+              ref={sceneFileInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleLoadScene}
+              className="hidden"
+            />
+            {!replayStatus && (
+              <>
+                <button
+                  type="button"
+                  onClick={handleWatchReplay}
+                  className="bg-black bg-opacity-30 backdrop-blur-md rounded-full py-1.5 px-3 text-xs text-white hover:bg-opacity-50"
+                >
+                  Replay
+                </button>
+                <button
+                  type="button"
+                  onClick={handleExportReplay}
+                  className="bg-black bg-opacity-30 backdrop-blur-md rounded-full py-1.5 px-3 text-xs text-white hover:bg-opacity-50"
+                >
+                  Export replay
+                </button>
+              </>
+            )}
+            <button
+              type="button"
+              onClick={() => replayFileInputRef.current?.click()}
+              className="bg-black bg-opacity-30 backdrop-blur-md rounded-full py-1.5 px-3 text-xs text-white hover:bg-opacity-50"
+            >
+              Load replay
+            </button>
+            <input
+              ref={replayFileInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleLoadReplay}
+              className="hidden"
+            />
+          </div>
+
+          {/* Spawn tool palette */}
+          {!replayStatus && (
+            <SpawnPalette
+              active={spawnActive}
+              onToggle={() => setSpawnActive((active) => !active)}
+              options={spawnOptions}
+              onChange={(changes) =>
+                setSpawnOptions((options) => ({ ...options, ...changes }))
+              }
+              materials={materialNames}
+            />
+          )}
+
+          {/* Replay transport controls */}
+          {replayStatus && (
+            <ReplayControls
+              status={replayStatus}
+              onPlay={() => engineRef.current?.controlReplay((p) => p.play())}
+              onPause={() => engineRef.current?.controlReplay((p) => p.pause())}
+              onStepForward={() =>
+                engineRef.current?.controlReplay((p) => p.stepForward())
+              }
+              onSeek={(step) =>
+                engineRef.current?.controlReplay((p) => p.seek(step))
+              }
+              onSpeedChange={(speed) =>
+                engineRef.current?.controlReplay((p) => p.setSpeed(speed))
+              }
+              onExit={() => engineRef.current?.stopReplay()}
+            />
+          )}
+
+          {/* Scene load and physics worker errors */}
+          {sceneError && (
+            <div className="absolute top-20 right-6 z-10 max-w-sm bg-red-900 bg-opacity-80 backdrop-blur-md rounded-lg p-3 text-xs text-white">
+              <div className="flex items-start justify-between gap-3">
+                <pre className="whitespace-pre-wrap font-mono">
+                  {sceneError}
+                </pre>
+                <button
+                  type="button"
+                  onClick={() => setSceneError(null)}
+                  className="text-white opacity-70 hover:opacity-100"
+                  aria-label="Dismiss scene error"
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Drag plane picker */}
+          <DragModeControls
+            mode={dragMode}
+            onChange={setDragMode}
+            rigid={rigidGrab}
+            onRigidChange={setRigidGrab}
+          />
+
+          {/* Camera views, focus and follow */}
+          <CameraControls
+            selectedBody={selectedBody}
+            followedBody={followedBody}
+            onView={(name) => engineRef.current?.setView(name)}
+            onFocus={() => engineRef.current?.focusBody()}
+            onFollow={(bodyId) => engineRef.current?.followBody(bodyId)}
+          />
+
+          {/* Frame timings, scene counts and quality level */}
+          {perfStats && (
+            <PerformanceHUD
+              stats={perfStats}
+              open={statsOpen}
+              onToggle={() => setStatsOpen((open) => !open)}
+              auto={autoQuality}
+              onAutoChange={setAutoQuality}
+              onLevelChange={(index) => {
+                setAutoQuality(false);
+                engineRef.current?.setQualityLevel(index);
+              }}
+            />
+          )}
+
+          <div className="absolute bottom-6 right-6 z-10 flex flex-col items-end gap-2">
+            {/* Wind, attractors, water and the other force fields */}
+            {!replayStatus && (
+              <ForceFieldPanel
+                open={fieldsOpen}
+                onToggle={() => setFieldsOpen((open) => !open)}
+                visible={fieldsVisible}
+                onVisibleChange={setFieldsVisible}
+                fields={fields}
+                onAdd={(type) => engineRef.current?.addFieldInView(type)}
+                onRemove={(id) => engineRef.current?.removeForceField(id)}
+              />
+            )}
+
+            {/* Joints between the last two grabbed bodies */}
+            {!replayStatus && (
+              <JointPanel
+                open={jointsOpen}
+                onToggle={() => setJointsOpen((open) => !open)}
+                bodyA={previousBody}
+                bodyB={selectedBody}
+                onSwap={() => engineRef.current?.swapJointBodies()}
+                options={jointOptions}
+                onChange={(changes) =>
+                  setJointOptions((options) => ({ ...options, ...changes }))
+                }
+                onConnect={handleConnect}
+                joints={joints}
+                onRemove={(id) => engineRef.current?.disconnectJoint(id)}
+              />
+            )}
+
+            {/* Live world and body tuning */}
+            {!replayStatus && tuning && (
+              <TuningPanel
+                open={tuningOpen}
+                onToggle={() => setTuningOpen((open) => !open)}
+                world={tuning.world}
+                body={tuning.body}
+                bodyId={selectedBody}
+                onWorldChange={(changes) =>
+                  engineRef.current?.tuneWorld(changes)
+                }
+                onBodyChange={(changes) =>
+                  engineRef.current?.tuneBody(selectedBody, changes)
+                }
+                onPreset={(name) => engineRef.current?.applyPreset(name)}
+                onExport={handleExportPhysicsConfig}
+              />
+            )}
+
+            {/* Touch status indicator that shows only on touch screens */}
+            {touchCapable && (
+              <div className="flex items-center gap-1.5 bg-black bg-opacity-30 backdrop-blur-md rounded-full py-1.5 px-3">
+                <div className="w-2 h-2 rounded-full bg-green-400 pulse-animation"></div>
+                <span className="text-xs text-white">Touch Mode</span>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      {/* Canvas container - fills the scene's root element */}
+      <div
+        ref={containerRef}
+        className="absolute inset-0 w-full h-full"
+        style={{
+          overflow: "hidden",
+          background:
+            "linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%)",
+        }}
+        aria-label="3D interactive scene with draggable cubes"
+      ></div>
+
+      {/* Add enhanced animations */}
+      <style jsx global>{`
+        .pulse-animation {
+          animation: pulse 2s infinite;
+          box-shadow: 0 0 0 0 rgba(74, 222, 128, 0.7);
+        }
+
+        @keyframes pulse {
+          0% {
+            opacity: 0.7;
+            box-shadow: 0 0 0 0 rgba(74, 222, 128, 0.7);
+          }
+          50% {
+            opacity: 1;
+            box-shadow: 0 0 0 5px rgba(74, 222, 128, 0);
+          }
+          100% {
+            opacity: 0.7;
+            box-shadow: 0 0 0 0 rgba(74, 222, 128, 0);
+          }
+        }
+
+        .fade-out-animation {
+          animation: fadeOut 1s ease-in forwards;
+          animation-delay: 4s; /* Shorter delay for better UX */
+        }
+
+        @keyframes fadeOut {
+          from {
+            opacity: 1;
+            transform: translateY(0);
+          }
+          to {
+            opacity: 0;
+            transform: translateY(10px);
+            pointer-events: none;
+          }
+        }
+
+        /* Add a subtle hover effect for the app title */
+        .app-title {
+          transition:
+            transform 0.2s ease-out,
+            box-shadow 0.2s ease-out;
+        }
+
+        .app-title:hover {
+          transform: translateY(-2px);
+          box-shadow: 0 10px 20px rgba(0, 0, 0, 0.2);
+        }
+      `}</style>
+    </div>
+  );
+});
+
+export default PhysicsScene;
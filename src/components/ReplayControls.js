@@ -0,0 +1,92 @@
+"use client";
+
+/**
+ * Playback speeds offered in the speed picker
+ */
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * ReplayControls component - transport bar shown while a replay is playing
+ * @param {Object} props - Component props
+ * @param {Object} props.status - Player status ({ step, length, playing, speed, dt })
+ * @param {Function} props.onPlay - Resume playback
+ * @param {Function} props.onPause - Pause playback
+ * @param {Function} props.onStepForward - Advance exactly one step
+ * @param {Function} props.onSeek - Jump to a step index
+ * @param {Function} props.onSpeedChange - Change playback speed
+ * @param {Function} props.onExit - Leave replay mode and continue live
+ */
+export default function ReplayControls({
+  status,
+  onPlay,
+  onPause,
+  onStepForward,
+  onSeek,
+  onSpeedChange,
+  onExit,
+}) {
+  const seconds = (steps) => (steps * status.dt).toFixed(2);
+
+  return (
+    <div className="absolute bottom-6 left-1/2 transform -translate-x-1/2 z-10 w-[min(32rem,calc(100%-3rem))] bg-black bg-opacity-50 backdrop-blur-md rounded-2xl shadow-lg py-3 px-4 text-white text-xs">
+      <div className="flex items-center gap-3">
+        <span className="flex items-center gap-1.5 font-bold">
+          <span className="w-2 h-2 rounded-full bg-blue-400"></span>
+          Replay
+        </span>
+
+        <button
+          type="button"
+          onClick={status.playing ? onPause : onPlay}
+          className="rounded-full bg-white bg-opacity-10 hover:bg-opacity-20 py-1 px-3"
+        >
+          {status.playing ? "Pause" : "Play"}
+        </button>
+        <button
+          type="button"
+          onClick={onStepForward}
+          className="rounded-full bg-white bg-opacity-10 hover:bg-opacity-20 py-1 px-3"
+          aria-label="Step forward one physics step"
+        >
+          Step
+        </button>
+
+        <select
+          value={status.speed}
+          onChange={(event) => onSpeedChange(Number(event.target.value))}
+          className="bg-transparent border border-white border-opacity-20 rounded-full py-1 px-2"
+          aria-label="Playback speed"
+        >
+          {SPEEDS.map((speed) => (
+            <option key={speed} value={speed} className="text-black">
+              {speed}×
+            </option>
+          ))}
+        </select>
+
+        <button
+          type="button"
+          onClick={onExit}
+          className="ml-auto rounded-full bg-white bg-opacity-10 hover:bg-opacity-20 py-1 px-3"
+        >
+          Continue live
+        </button>
+      </div>
+
+      <div className="flex items-center gap-3 mt-2">
+        <input
+          type="range"
+          min={0}
+          max={status.length}
+          value={status.step}
+          onChange={(event) => onSeek(Number(event.target.value))}
+          className="flex-1"
+          aria-label="Seek replay"
+        />
+        <span className="font-mono tabular-nums">
+          {seconds(status.step)}s / {seconds(status.length)}s
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+"use client";
+
+/**
+ * Slider component - a labeled range input with its value
+ * @param {Object} props - Component props
+ * @param {string} props.label - Label text
+ * @param {number} props.value - Current value
+ * @param {number} props.min - Smallest value
+ * @param {number} props.max - Largest value
+ * @param {number} props.step - Value increment
+ * @param {Function} props.onChange - Receives the new value as a number
+ * @param {boolean} props.disabled - Grey the slider out
+ * @param {Function} props.format - Turns the value into the text shown next to the slider
+ */
+export default function Slider({
+  label,
+  value,
+  min,
+  max,
+  step,
+  onChange,
+  disabled = false,
+  format = (number) => Number(number.toFixed(3)),
+}) {
+  return (
+    <label
+      className={`flex items-center gap-2 ${disabled ? "opacity-40" : ""}`}
+    >
+      <span className="w-20">{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        disabled={disabled}
+        onChange={(event) => onChange(Number(event.target.value))}
+        className="flex-1"
+      />
+      <span className="w-12 text-right font-mono tabular-nums">
+        {format(value)}
+      </span>
+    </label>
+  );
+}
@@ -0,0 +1,140 @@
+"use client";
+
+import { SHAPE_TYPES } from "../utils/physicsShapes";
+
+/**
+ * Shapes offered in the palette (compound bodies need a parts list)
+ */
+const SPAWN_SHAPES = SHAPE_TYPES.filter((shape) => shape !== "compound");
+
+/**
+ * Settings used for new bodies until the user changes them
+ */
+export const DEFAULT_SPAWN_OPTIONS = {
+  shape: "box",
+  size: 2,
+  color: "#3b82f6",
+  mass: 1,
+  material: "cube",
+};
+
+/**
+ * SpawnPalette component - spawn mode toggle and settings for new bodies
+ * @param {Object} props - Component props
+ * @param {boolean} props.active - Whether clicking empty space spawns bodies
+ * @param {Function} props.onToggle - Turn spawn mode on or off
+ * @param {Object} props.options - Current settings ({ shape, size, color, mass, material })
+ * @param {Function} props.onChange - Receives the settings that changed
+ * @param {string[]} props.materials - Material names to choose from
+ */
+export default function SpawnPalette({
+  active,
+  onToggle,
+  options,
+  onChange,
+  materials,
+}) {
+  return (
+    <div className="absolute bottom-6 left-6 z-10 flex flex-col items-start gap-2 text-xs text-white">
+      {active && (
+        <div className="w-56 bg-black bg-opacity-50 backdrop-blur-md rounded-2xl shadow-lg p-3 flex flex-col gap-2">
+          <div className="flex flex-wrap gap-1">
+            {SPAWN_SHAPES.map((shape) => (
+              <button
+                key={shape}
+                type="button"
+                onClick={() => onChange({ shape })}
+                className={`rounded-full py-1 px-2 capitalize ${
+                  options.shape === shape
+                    ? "bg-blue-500"
+                    : "bg-white bg-opacity-10 hover:bg-opacity-20"
+                }`}
+              >
+                {shape}
+              </button>
+            ))}
+          </div>
+
+          <label className="flex items-center gap-2">
+            <span className="w-14">Size</span>
+            <input
+              type="range"
+              min={0.5}
+              max={4}
+              step={0.25}
+              value={options.size}
+              onChange={(event) =>
+                onChange({ size: Number(event.target.value) })
+              }
+              className="flex-1"
+            />
+            <span className="w-8 text-right font-mono tabular-nums">
+              {options.size}
+            </span>
+          </label>
+
+          <label className="flex items-center gap-2">
+            <span className="w-14">Mass</span>
+            <input
+              type="range"
+              min={0}
+              max={10}
+              step={0.5}
+              value={options.mass}
+              onChange={(event) =>
+                onChange({ mass: Number(event.target.value) })
+              }
+              className="flex-1"
+            />
+            <span className="w-8 text-right font-mono tabular-nums">
+              {options.mass === 0 ? "static" : options.mass}
+            </span>
+          </label>
+
+          <label className="flex items-center gap-2">
+            <span className="w-14">Material</span>
+            <select
+              value={options.material}
+              onChange={(event) => onChange({ material: event.target.value })}
+              className="flex-1 bg-transparent border border-white border-opacity-20 rounded-full py-1 px-2"
+            >
+              {materials.map((material) => (
+                <option key={material} value={material} className="text-black">
+                  {material}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex items-center gap-2">
+            <span className="w-14">Color</span>
+            <input
+              type="color"
+              value={options.color}
+              onChange={(event) => onChange({ color: event.target.value })}
+              className="h-6 w-10 bg-transparent"
+            />
+          </label>
+
+          <p className="opacity-70">
+            Click the floor or empty space to drop a body. Right-click or
+            long-press a body to delete it.
+          </p>
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={onToggle}
+        aria-pressed={active}
+        className={`backdrop-blur-md rounded-full py-1.5 px-3 ${
+          active
+            ? "bg-blue-500 hover:bg-blue-400"
+            : "bg-black bg-opacity-30 hover:bg-opacity-50"
+        }`}
+      >
+        {active ? "Done spawning" : "Spawn"}
+      </button>
+    </div>
+  );
+}
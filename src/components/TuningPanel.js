@@ -0,0 +1,221 @@
+"use client";
+
+import { PHYSICS_PRESETS } from "../utils/physicsTuning";
+import Slider from "./Slider";
+
+/**
+ * Contact values a new override starts from
+ */
+const DEFAULT_CONTACT = { friction: 0.5, restitution: 0.2 };
+
+const BUTTON_CLASS =
+  "rounded-full py-1 px-2 bg-white bg-opacity-10 hover:bg-opacity-20";
+
+/**
+ * TuningPanel component - live world and body settings, presets and config export
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the panel is expanded
+ * @param {Function} props.onToggle - Open or close the panel
+ * @param {Object} props.world - Current world settings (see readWorldTuning)
+ * @param {Object|null} props.body - Selected body's settings (see readBodyTuning), if any
+ * @param {string|null} props.bodyId - Id of the selected body
+ * @param {Function} props.onWorldChange - Receives world settings that changed
+ * @param {Function} props.onBodyChange - Receives body settings that changed
+ * @param {Function} props.onPreset - Receives a key of PHYSICS_PRESETS, or "default"
+ * @param {Function} props.onExport - Download the current values as a config object
+ */
+export default function TuningPanel({
+  open,
+  onToggle,
+  world,
+  body,
+  bodyId,
+  onWorldChange,
+  onBodyChange,
+  onPreset,
+  onExport,
+}) {
+  const setGravity = (axis, value) =>
+    onWorldChange({
+      gravity: world.gravity.map((current, index) =>
+        index === axis ? value : current
+      ),
+    });
+
+  return (
+    <div className="flex flex-col items-end gap-2 text-xs text-white">
+      {open && (
+        <div className="w-64 max-h-[60vh] overflow-y-auto bg-black bg-opacity-50 backdrop-blur-md rounded-2xl shadow-lg p-3 flex flex-col gap-2">
+          <div className="flex flex-wrap gap-1">
+            <button
+              type="button"
+              onClick={() => onPreset("default")}
+              title="Go back to the settings the scene was loaded with"
+              className={BUTTON_CLASS}
+            >
+              Default
+            </button>
+            {Object.entries(PHYSICS_PRESETS).map(([name, { label }]) => (
+              <button
+                key={name}
+                type="button"
+                onClick={() => onPreset(name)}
+                className={BUTTON_CLASS}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <h2 className="font-bold mt-1">World</h2>
+          {["X", "Y", "Z"].map((axis, index) => (
+            <Slider
+              key={axis}
+              label={`Gravity ${axis}`}
+              min={-20}
+              max={20}
+              step={0.01}
+              value={world.gravity[index]}
+              onChange={(value) => setGravity(index, value)}
+            />
+          ))}
+          <Slider
+            label="Iterations"
+            min={1}
+            max={50}
+            step={1}
+            value={world.solver.iterations}
+            onChange={(iterations) => onWorldChange({ solver: { iterations } })}
+          />
+          <Slider
+            label="Tolerance"
+            min={0.0001}
+            max={0.05}
+            step={0.0001}
+            value={world.solver.tolerance}
+            onChange={(tolerance) => onWorldChange({ solver: { tolerance } })}
+          />
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={world.allowSleep}
+              onChange={(event) =>
+                onWorldChange({ allowSleep: event.target.checked })
+              }
+            />
+            <span>Let resting bodies sleep</span>
+          </label>
+          <Slider
+            label="Sleep after"
+            min={0}
+            max={3}
+            step={0.05}
+            value={world.sleepTimeLimit}
+            disabled={!world.allowSleep}
+            onChange={(sleepTimeLimit) => onWorldChange({ sleepTimeLimit })}
+          />
+          <Slider
+            label="Sleep speed"
+            min={0}
+            max={1}
+            step={0.01}
+            value={world.sleepSpeedLimit}
+            disabled={!world.allowSleep}
+            onChange={(sleepSpeedLimit) => onWorldChange({ sleepSpeedLimit })}
+          />
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={world.contact !== null}
+              onChange={(event) =>
+                onWorldChange({
+                  contact: event.target.checked ? DEFAULT_CONTACT : null,
+                })
+              }
+            />
+            <span>Same contact for every material</span>
+          </label>
+          {world.contact && (
+            <>
+              <Slider
+                label="Friction"
+                min={0}
+                max={2}
+                step={0.05}
+                value={world.contact.friction ?? DEFAULT_CONTACT.friction}
+                onChange={(friction) =>
+                  onWorldChange({ contact: { ...world.contact, friction } })
+                }
+              />
+              <Slider
+                label="Restitution"
+                min={0}
+                max={1}
+                step={0.05}
+                value={world.contact.restitution ?? DEFAULT_CONTACT.restitution}
+                onChange={(restitution) =>
+                  onWorldChange({ contact: { ...world.contact, restitution } })
+                }
+              />
+            </>
+          )}
+
+          <h2 className="font-bold mt-1">{bodyId ?? "Body"}</h2>
+          {body ? (
+            <>
+              <Slider
+                label="Mass"
+                min={0.1}
+                max={20}
+                step={0.1}
+                value={body.mass}
+                disabled={body.mass === 0}
+                onChange={(mass) => onBodyChange({ mass })}
+              />
+              <Slider
+                label="Linear damp"
+                min={0}
+                max={1}
+                step={0.01}
+                value={body.linearDamping}
+                onChange={(linearDamping) => onBodyChange({ linearDamping })}
+              />
+              <Slider
+                label="Angular damp"
+                min={0}
+                max={1}
+                step={0.01}
+                value={body.angularDamping}
+                onChange={(angularDamping) => onBodyChange({ angularDamping })}
+              />
+            </>
+          ) : (
+            <p className="opacity-70">Grab a body to tune it.</p>
+          )}
+
+          <button
+            type="button"
+            onClick={onExport}
+            title="Download the current values as { world, body } for createPhysicsWorld and createBody"
+            className={`${BUTTON_CLASS} self-start mt-1`}
+          >
+            Export config
+          </button>
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={onToggle}
+        aria-pressed={open}
+        className={`backdrop-blur-md rounded-full py-1.5 px-3 ${
+          open
+            ? "bg-blue-500 hover:bg-blue-400"
+            : "bg-black bg-opacity-30 hover:bg-opacity-50"
+        }`}
+      >
+        {open ? "Done tuning" : "Tune"}
+      </button>
+    </div>
+  );
+}
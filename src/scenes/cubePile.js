@@ -0,0 +1,50 @@
+/**
+ * Generated stress-test scene
+ * A pile of small cubes dropped in layers, used to check rendering and physics
+ * with thousands of bodies (open the app with ?cubes=2000).
+ */
+
+import { SCENE_FORMAT_VERSION, DEFAULT_CAMERA } from "../utils/sceneFormat.js";
+
+/**
+ * Creates a scene description with a pile of cubes
+ * @param {number} count - Number of cubes
+ * @param {Object} options - { size, spacing, columns }
+ * @returns {Object} Scene description that loadScene accepts
+ */
+export function createCubePileScene(
+  count,
+  { size = 1, spacing = 1.25, columns = 20 } = {}
+) {
+  const perLayer = columns * columns;
+  const offset = ((columns - 1) * spacing) / 2;
+
+  const bodies = Array.from({ length: count }, (_, index) => {
+    const layer = Math.floor(index / perLayer);
+    const row = Math.floor((index % perLayer) / columns);
+    const column = index % columns;
+
+    // Shift alternate layers by half a cube so the pile tumbles instead of stacking
+    const shift = (layer % 2) * (spacing / 2);
+
+    return {
+      id: `cube-${index}`,
+      shape: "box",
+      size,
+      material: "cube",
+      color: `hsl(${Math.round((index * 137.5) % 360)}, 70%, 55%)`,
+      position: [
+        column * spacing - offset + shift,
+        2 + layer * spacing,
+        row * spacing - offset + shift,
+      ],
+    };
+  });
+
+  return {
+    version: SCENE_FORMAT_VERSION,
+    floor: { y: 0, size: [50, 50], material: "floor" },
+    bodies,
+    camera: { ...DEFAULT_CAMERA, position: [0, 25, 35] },
+  };
+}
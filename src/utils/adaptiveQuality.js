@@ -0,0 +1,183 @@
+/**
+ * Performance monitoring and adaptive quality
+ * Averages per-frame timings over the last second, and steps a quality ladder
+ * down while frames blow the budget and back up once there is headroom, so
+ * quality follows what the device actually manages rather than what its user
+ * agent suggests.
+ */
+
+/**
+ * Quality levels from cheapest to best (the scene starts at the best)
+ * - pixelRatio: most renderer pixels per CSS pixel (capped by the display)
+ * - shadowMapSize: shadow map width and height
+ * - solverIterations: solver iterations per step
+ * - maxCatchUpSteps: most fixed physics steps one frame may run to catch up
+ *   with the clock before the rest of the time is dropped; the step size
+ *   itself never changes
+ */
+export const QUALITY_LEVELS = [
+  {
+    name: "low",
+    pixelRatio: 0.75,
+    shadowMapSize: 512,
+    solverIterations: 8,
+    maxCatchUpSteps: 2,
+  },
+  {
+    name: "medium",
+    pixelRatio: 1,
+    shadowMapSize: 1024,
+    solverIterations: 12,
+    maxCatchUpSteps: 4,
+  },
+  {
+    name: "high",
+    pixelRatio: 1.5,
+    shadowMapSize: 2048,
+    solverIterations: 16,
+    maxCatchUpSteps: 6,
+  },
+  {
+    name: "ultra",
+    pixelRatio: 2,
+    shadowMapSize: 2048,
+    solverIterations: 20,
+    maxCatchUpSteps: 10,
+  },
+];
+
+/**
+ * Frame budget in milliseconds (60 fps)
+ */
+export const FRAME_BUDGET = 1000 / 60;
+
+/**
+ * Timings older than this (ms) drop out of the averages
+ */
+const SAMPLE_WINDOW = 1000;
+
+/**
+ * How long (ms) frames must stay over budget before quality drops, and under
+ * HEADROOM of the budget before it rises again
+ */
+const DOWNGRADE_AFTER = 1000;
+const UPGRADE_AFTER = 4000;
+const HEADROOM = 0.6;
+
+/**
+ * Time (ms) after a change before measuring again, so the new level settles in
+ */
+const SETTLE_TIME = 1000;
+
+/**
+ * Creates a monitor that averages frame timings
+ * @returns {Object} Monitor with addFrame(sample) and getStats()
+ */
+export function createPerformanceMonitor() {
+  const samples = []; // { time, work, physics, render }, oldest first
+
+  return {
+    /**
+     * Records one frame
+     * @param {Object} sample - { time, work, physics, render } in milliseconds:
+     *   frame timestamp, main-thread work, physics step time and render time
+     */
+    addFrame(sample) {
+      samples.push(sample);
+      while (sample.time - samples[0].time > SAMPLE_WINDOW) samples.shift();
+    },
+
+    /**
+     * Averages the frames of the last second
+     * @returns {Object} { fps, frameTime, workTime, physicsTime, renderTime } (ms)
+     */
+    getStats() {
+      const count = samples.length;
+      const average = (key) =>
+        count > 0
+          ? samples.reduce((sum, sample) => sum + sample[key], 0) / count
+          : 0;
+      const frameTime =
+        count > 1
+          ? (samples[count - 1].time - samples[0].time) / (count - 1)
+          : 0;
+
+      return {
+        fps: frameTime > 0 ? 1000 / frameTime : 0,
+        frameTime,
+        workTime: average("work"),
+        physicsTime: average("physics"),
+        renderTime: average("render"),
+      };
+    },
+  };
+}
+
+/**
+ * Creates a controller that picks a quality level from measured timings
+ * @param {Object} options - Controller options
+ * @param {Object[]} options.levels - Quality levels, cheapest first
+ * @param {number} options.level - Index of the starting level
+ * @param {number} options.budget - Frame budget in milliseconds
+ * @param {Function} options.onChange - Receives the new level and its index
+ * @returns {Object} Controller API
+ */
+export function createQualityController({
+  levels = QUALITY_LEVELS,
+  level = levels.length - 1,
+  budget = FRAME_BUDGET,
+  onChange,
+}) {
+  let current = level;
+  let lastChange = null;
+  let overSince = null;
+  let underSince = null;
+
+  function setLevel(index, now) {
+    current = Math.min(Math.max(index, 0), levels.length - 1);
+    lastChange = now;
+    overSince = null;
+    underSince = null;
+    onChange(levels[current], current);
+  }
+
+  return {
+    /**
+     * Index of the current level
+     */
+    get level() {
+      return current;
+    },
+
+    /**
+     * Feeds the latest averages; may change the level
+     * @param {Object} stats - { frameTime, workTime, physicsTime } from getStats()
+     * @param {number} now - Timestamp in milliseconds
+     */
+    update({ frameTime, workTime, physicsTime }, now) {
+      // Wait for a full window of frames after starting or changing level
+      lastChange ??= now;
+      if (now - lastChange < Math.max(SETTLE_TIME, SAMPLE_WINDOW)) return;
+
+      // Physics in a worker runs alongside the main thread, so either can be the bottleneck
+      const load = Math.max(workTime, physicsTime);
+      const over = frameTime > budget * 1.2 || load > budget;
+      const under = frameTime < budget * 1.1 && load < budget * HEADROOM;
+      overSince = over ? (overSince ?? now) : null;
+      underSince = under ? (underSince ?? now) : null;
+
+      if (overSince !== null && now - overSince >= DOWNGRADE_AFTER) {
+        if (current > 0) setLevel(current - 1, now);
+      } else if (underSince !== null && now - underSince >= UPGRADE_AFTER) {
+        if (current < levels.length - 1) setLevel(current + 1, now);
+      }
+    },
+
+    /**
+     * Jumps to a level, e.g. one picked by hand
+     * @param {number} index - Index into levels
+     * @param {number} now - Timestamp in milliseconds
+     */
+    setLevel,
+  };
+}
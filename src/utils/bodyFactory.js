@@ -0,0 +1,146 @@
+/**
+ * Generic body factory
+ * Builds matching Three.js meshes and Cannon.js bodies from one shape description
+ */
+
+import * as THREE from "three";
+import { createPhysicsBody, normalizeSize, wedgeHull } from "./physicsShapes";
+
+/**
+ * Creates the Three.js geometry for a single (non-compound) shape
+ * @param {Object} spec - Shape description ({ shape, size })
+ * @returns {THREE.BufferGeometry} Geometry matching the physics shape
+ */
+export function createShapeGeometry(spec) {
+  const [x, y, z] = normalizeSize(spec.size);
+
+  switch (spec.shape) {
+    case "box":
+      return new THREE.BoxGeometry(x, y, z);
+
+    case "sphere":
+      return new THREE.SphereGeometry(x / 2, 24, 16);
+
+    case "cylinder":
+      return new THREE.CylinderGeometry(x / 2, x / 2, y, 16);
+
+    case "capsule":
+      return new THREE.CapsuleGeometry(x / 2, Math.max(y - x, 0), 8, 16);
+
+    case "wedge": {
+      // Triangulate the same hull the physics shape uses, with flat normals
+      const { vertices, faces } = wedgeHull([x, y, z]);
+      const positions = [];
+      faces.forEach((face) => {
+        for (let i = 1; i < face.length - 1; i++) {
+          [face[0], face[i], face[i + 1]].forEach((index) => {
+            positions.push(...vertices[index]);
+          });
+        }
+      });
+
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute(
+        "position",
+        new THREE.Float32BufferAttribute(positions, 3)
+      );
+      geometry.computeVertexNormals();
+      return geometry;
+    }
+
+    default:
+      throw new Error(`Cannot create geometry for shape "${spec.shape}"`);
+  }
+}
+
+/**
+ * Creates a standard material for a body
+ * @param {number|string} color - Body color
+ * @returns {THREE.MeshStandardMaterial} Material
+ */
+export function createBodyMaterial(color) {
+  return new THREE.MeshStandardMaterial({
+    color,
+    metalness: 0.3,
+    roughness: 0.4,
+  });
+}
+
+/**
+ * Creates the visual object for a shape description
+ * Compound shapes become a group with one child mesh per part.
+ * @param {Object} spec - Shape description ({ shape, size, parts, color })
+ * @param {number|string} color - Fallback color for parts without their own
+ * @returns {THREE.Object3D} Mesh or group
+ */
+export function createShapeMesh(spec, color) {
+  if (spec.shape === "compound") {
+    const group = new THREE.Group();
+    (spec.parts || []).forEach((part) => {
+      const child = createShapeMesh(part, part.color ?? color);
+      child.position.fromArray(part.offset || [0, 0, 0]);
+      child.rotation.fromArray([...(part.rotation || [0, 0, 0]), "XYZ"]);
+      group.add(child);
+    });
+    return group;
+  }
+
+  const mesh = new THREE.Mesh(
+    createShapeGeometry(spec),
+    createBodyMaterial(spec.color ?? color)
+  );
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  return mesh;
+}
+
+/**
+ * Creates a body with both a Three.js visual and a Cannon.js physics body
+ * @param {THREE.Scene} scene - Scene to add the visual to
+ * @param {CANNON.World} world - Physics world
+ * @param {Object} options - Body options
+ * @param {string} options.shape - box, sphere, cylinder, capsule, wedge or compound
+ * @param {number|number[]} options.size - Edge length or [width, height, depth]
+ * @param {Object[]} options.parts - Child shapes for compound bodies ({ shape, size, offset, rotation, color })
+ * @param {number} options.mass - Body mass (0 for static)
+ * @param {boolean} options.kinematic - Massless body moved by its velocity only
+ * @param {string} options.material - Name of a material in the world's registry
+ * @param {number|string} options.color - Body color
+ * @param {Object} options.position - Initial position ({ x, y, z })
+ * @param {Object} options.quaternion - Initial orientation ({ x, y, z, w })
+ * @param {number} options.linearDamping - Linear damping (see DEFAULT_BODY_SETTINGS)
+ * @param {number} options.angularDamping - Angular damping (see DEFAULT_BODY_SETTINGS)
+ * @param {Object} options.instances - Instanced renderer to draw supported shapes with (see instancedRenderer.js)
+ * @param {Object} options.random - Seeded generator (see random.js) that picks
+ *   the color of a body without one; such bodies are white when omitted
+ * @returns {Object} Object containing mesh, physics body and the spec it was built from
+ */
+export function createBody(scene, world, options) {
+  const { instances, random, ...rest } = options;
+  const spec = {
+    shape: "box",
+    size: 2,
+    mass: 1,
+    material: "cube",
+    ...rest,
+  };
+
+  // Resolve the color up front so the spec always describes what is drawn
+  if (spec.color === undefined || spec.color === null) {
+    spec.color = random
+      ? new THREE.Color(random.next(), random.next(), random.next()).getHex()
+      : 0xffffff;
+  }
+
+  const body = createPhysicsBody(world, spec);
+
+  // Instanced bodies get a transform proxy in place of their own mesh
+  const mesh = instances?.supports(spec)
+    ? instances.add(spec)
+    : createShapeMesh(spec, spec.color);
+  mesh.position.copy(body.position);
+  mesh.quaternion.copy(body.quaternion);
+  scene.add(mesh);
+
+  return { mesh, body, spec };
+}
@@ -0,0 +1,174 @@
+/**
+ * Camera director
+ * Smooth moves to preset views and bodies, and a follow-cam, layered on top of
+ * OrbitControls so the user can orbit, pan and zoom at any time.
+ */
+
+import * as THREE from "three";
+
+/**
+ * Preset views, as directions from the orbit target toward the camera
+ */
+export const CAMERA_VIEWS = {
+  top: [0, 1, 0.001], // Nudged off vertical so the camera keeps its up direction
+  front: [0, 0, 1],
+  isometric: [1, 1, 1],
+};
+
+/**
+ * How long a camera move takes (seconds)
+ */
+const TRANSITION_DURATION = 0.6;
+
+/**
+ * Focusing frames a body at this many times its bounding radius, but no closer than MIN_FOCUS_DISTANCE
+ */
+const FOCUS_DISTANCE_SCALE = 4;
+const MIN_FOCUS_DISTANCE = 5;
+
+/**
+ * Creates a director that animates a camera and its orbit controls
+ * @param {THREE.PerspectiveCamera} camera - Camera to move
+ * @param {OrbitControls} controls - Orbit controls driving the camera
+ * @returns {Object} Director API
+ */
+export function createCameraDirector(camera, controls) {
+  let transition = null; // { fromPosition, fromTarget, toPosition, toTarget, elapsed }
+  let follow = null; // { getPosition, last }
+
+  // Any orbit, pan or zoom by the user takes over from a running move
+  const cancelTransition = () => {
+    transition = null;
+  };
+  controls.addEventListener("start", cancelTransition);
+
+  /**
+   * Starts a smooth move of the camera and its target
+   * @param {THREE.Vector3} position - Final camera position
+   * @param {THREE.Vector3} target - Final orbit target
+   */
+  function moveTo(position, target) {
+    transition = {
+      fromPosition: camera.position.clone(),
+      fromTarget: controls.target.clone(),
+      toPosition: position,
+      toTarget: target,
+      elapsed: 0,
+    };
+  }
+
+  return {
+    /**
+     * Moves to a preset view at the current distance from the target
+     * @param {string} name - Key of CAMERA_VIEWS
+     * @throws {Error} When the view doesn't exist
+     */
+    setView(name) {
+      const direction = CAMERA_VIEWS[name];
+      if (!direction) throw new Error(`Unknown camera view "${name}"`);
+
+      const target = controls.target.clone();
+      const distance = camera.position.distanceTo(target);
+      moveTo(
+        new THREE.Vector3(...direction).setLength(distance).add(target),
+        target
+      );
+    },
+
+    /**
+     * Moves the target onto a point and frames it, keeping the viewing angle
+     * @param {THREE.Vector3} point - Point to look at
+     * @param {number} radius - Size of what is being framed
+     */
+    focusOn(point, radius = 1) {
+      const target = point.clone();
+      const distance = Math.max(
+        radius * FOCUS_DISTANCE_SCALE,
+        MIN_FOCUS_DISTANCE
+      );
+      moveTo(
+        camera.position
+          .clone()
+          .sub(controls.target)
+          .setLength(distance)
+          .add(target),
+        target
+      );
+    },
+
+    /**
+     * Keeps the camera at its offset from a moving point, or stops following
+     * @param {Function|null} getPosition - Returns the point to follow, or null once it is gone
+     */
+    follow(getPosition) {
+      const position = getPosition?.();
+      follow = position ? { getPosition, last: position.clone() } : null;
+    },
+
+    /**
+     * @returns {boolean} Whether the camera is following a point
+     */
+    isFollowing() {
+      return follow !== null;
+    },
+
+    /**
+     * Advances the current move and follows the followed point
+     * Call once per frame, before controls.update().
+     * @param {number} elapsed - Seconds since the previous frame
+     */
+    update(elapsed) {
+      if (transition) {
+        transition.elapsed += elapsed;
+        const t = Math.min(transition.elapsed / TRANSITION_DURATION, 1);
+        const eased = t * t * (3 - 2 * t);
+
+        camera.position.lerpVectors(
+          transition.fromPosition,
+          transition.toPosition,
+          eased
+        );
+        controls.target.lerpVectors(
+          transition.fromTarget,
+          transition.toTarget,
+          eased
+        );
+        if (t === 1) transition = null;
+      }
+
+      if (follow) {
+        const position = follow.getPosition();
+        if (!position) {
+          follow = null;
+          return;
+        }
+
+        // Shift the camera, target and any running move by how far the point moved
+        const delta = position.clone().sub(follow.last);
+        follow.last.copy(position);
+        camera.position.add(delta);
+        controls.target.add(delta);
+        if (transition) {
+          [
+            transition.fromPosition,
+            transition.fromTarget,
+            transition.toPosition,
+            transition.toTarget,
+          ].forEach((vector) => vector.add(delta));
+        }
+      }
+    },
+
+    /**
+     * Stops a running move where it is
+     */
+    cancel: cancelTransition,
+
+    /**
+     * Stops listening to the controls
+     */
+    dispose() {
+      controls.removeEventListener("start", cancelTransition);
+    },
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Camera gesture helpers
+ * Orbit, pan and zoom a camera around a target point, driven by two-finger
+ * touch gestures (see readPinch).
+ */
+
+import * as THREE from "three";
+
+/**
+ * Closest and farthest the camera may zoom to its target
+ */
+const MIN_DISTANCE = 2;
+const MAX_DISTANCE = 150;
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Reads the centroid, spread and angle of two touches
+ * @param {Object} a - First touch ({ clientX, clientY })
+ * @param {Object} b - Second touch ({ clientX, clientY })
+ * @returns {Object} { x, y, distance, angle } in client pixels and radians
+ */
+export function readPinch(a, b) {
+  const dx = b.clientX - a.clientX;
+  const dy = b.clientY - a.clientY;
+  return {
+    x: (a.clientX + b.clientX) / 2,
+    y: (a.clientY + b.clientY) / 2,
+    distance: Math.hypot(dx, dy),
+    angle: Math.atan2(dy, dx),
+  };
+}
+
+/**
+ * Turns the camera around the vertical axis through its target
+ * @param {THREE.PerspectiveCamera} camera - Camera to move
+ * @param {THREE.Vector3} target - Point the camera looks at
+ * @param {number} angle - Rotation in radians (positive turns counterclockwise seen from above)
+ */
+export function orbitCamera(camera, target, angle) {
+  const offset = camera.position.clone().sub(target).applyAxisAngle(UP, angle);
+  camera.position.copy(target).add(offset);
+  camera.lookAt(target);
+}
+
+/**
+ * Slides the camera and its target across the screen plane
+ * @param {THREE.PerspectiveCamera} camera - Camera to move
+ * @param {THREE.Vector3} target - Point the camera looks at (moved in place)
+ * @param {number} dx - Horizontal drag in client pixels
+ * @param {number} dy - Vertical drag in client pixels
+ * @param {number} viewportHeight - Height of the canvas in client pixels
+ */
+export function panCamera(camera, target, dx, dy, viewportHeight) {
+  // World units per pixel at the target's depth, so the scene follows the fingers
+  const distance = camera.position.distanceTo(target);
+  const scale =
+    (2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) /
+    viewportHeight;
+
+  const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+  const up = new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion);
+  const offset = right
+    .multiplyScalar(-dx * scale)
+    .add(up.multiplyScalar(dy * scale));
+
+  camera.position.add(offset);
+  target.add(offset);
+}
+
+/**
+ * Moves the camera toward or away from its target
+ * @param {THREE.PerspectiveCamera} camera - Camera to move
+ * @param {THREE.Vector3} target - Point the camera looks at
+ * @param {number} factor - Above 1 zooms in, below 1 zooms out
+ */
+export function zoomCamera(camera, target, factor) {
+  const offset = camera.position.clone().sub(target);
+  const distance = THREE.MathUtils.clamp(
+    offset.length() / factor,
+    MIN_DISTANCE,
+    MAX_DISTANCE
+  );
+  camera.position.copy(target).add(offset.setLength(distance));
+}
@@ -0,0 +1,79 @@
+/**
+ * Collision events
+ * Hands the collisions the physics backend reports (see readCollision in
+ * physicsCommands.js) to any number of listeners. Each listener sets its own
+ * impact speed threshold and a cooldown per pair of bodies, so a sound can
+ * answer light taps while a dust effect waits for hard hits, and a body
+ * rattling against the floor doesn't fire on every contact.
+ */
+
+/**
+ * Builds an order-independent key for a pair of body ids
+ * @param {string} a - First body id
+ * @param {string} b - Second body id
+ * @returns {string} Pair key
+ */
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Creates a collision event bus
+ * @returns {Object} Bus with subscribe(listener, filter), publish(collisions, time) and clear()
+ */
+export function createCollisionBus() {
+  const subscriptions = new Set();
+
+  return {
+    /**
+     * Adds a listener
+     * @param {Function} listener - Receives each collision that passes the filter
+     * @param {Object} filter - Which collisions to pass on
+     * @param {number} filter.minSpeed - Slowest impact in m/s (all impacts when 0)
+     * @param {number} filter.cooldown - Milliseconds before the same pair of
+     *   bodies is reported again (every time when 0)
+     * @returns {Function} Removes the listener
+     */
+    subscribe(listener, { minSpeed = 0, cooldown = 0 } = {}) {
+      const subscription = {
+        listener,
+        minSpeed,
+        cooldown,
+        lastTimes: new Map(), // pair key -> time the pair was last passed on
+      };
+      subscriptions.add(subscription);
+      return () => subscriptions.delete(subscription);
+    },
+
+    /**
+     * Passes collisions on to the listeners whose filters they meet
+     * @param {Object[]} collisions - { bodyA, bodyB, point, normal, speed, ... }
+     * @param {number} time - Current time in milliseconds
+     */
+    publish(collisions, time) {
+      subscriptions.forEach((subscription) => {
+        const { listener, minSpeed, cooldown, lastTimes } = subscription;
+
+        // Forget pairs whose cooldown is over, so the map only holds recent hits
+        lastTimes.forEach((lastTime, key) => {
+          if (time - lastTime >= cooldown) lastTimes.delete(key);
+        });
+
+        collisions.forEach((collision) => {
+          if (collision.speed < minSpeed) return;
+          const key = pairKey(collision.bodyA, collision.bodyB);
+          if (lastTimes.has(key)) return;
+          if (cooldown > 0) lastTimes.set(key, time);
+          listener(collision);
+        });
+      });
+    },
+
+    /**
+     * Ends every cooldown, e.g. after a new scene is loaded
+     */
+    clear() {
+      subscriptions.forEach(({ lastTimes }) => lastTimes.clear());
+    },
+  };
+}
@@ -0,0 +1,309 @@
+/**
+ * Physics debug overlay
+ * Draws what the solver sees rather than what the meshes show: every collider
+ * as a wireframe colored by sleep state, bounding boxes, contact points with
+ * their normals, and the links between constrained bodies. Colliders and boxes
+ * come from the main-thread world; contacts and links come from the world that
+ * is actually stepped (see readDebugInfo in physicsCommands.js).
+ */
+
+import * as THREE from "three";
+import * as CANNON from "cannon-es";
+
+/**
+ * Line colors: wireframes by body state, then boxes, contacts and links
+ */
+const DEBUG_COLORS = {
+  awake: 0x22c55e,
+  sleepy: 0xfacc15,
+  sleeping: 0x3b82f6,
+  static: 0x9ca3af,
+  aabb: 0xffffff,
+  contact: 0xef4444,
+  link: 0xe879f9,
+};
+
+/**
+ * Infinite planes are drawn as a grid this wide, with a line every PLANE_CELL
+ */
+const PLANE_SIZE = 200;
+const PLANE_CELL = 4;
+
+/**
+ * Length of drawn contact normals
+ */
+const NORMAL_LENGTH = 0.5;
+
+/**
+ * Creates a debug overlay in a scene
+ * @param {THREE.Scene} scene - Scene to draw into
+ * @returns {Object} Overlay with update(world, info) and dispose()
+ */
+export function createDebugRenderer(scene) {
+  const root = new THREE.Group();
+  root.name = "physicsDebug";
+  scene.add(root);
+
+  const materials = Object.fromEntries(
+    Object.entries(DEBUG_COLORS).map(([name, color]) => [
+      name,
+      new THREE.LineBasicMaterial({ color }),
+    ])
+  );
+  materials.aabb.transparent = true;
+  materials.aabb.opacity = 0.3;
+
+  // Contacts and links are drawn over the bodies so they aren't hidden inside them
+  [materials.contact, materials.link].forEach((material) => {
+    material.depthTest = false;
+  });
+
+  const boxGeometry = new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1));
+  const bodies = new Map(); // CANNON.Body -> { wireframe, lines, aabb }
+
+  const contacts = new THREE.LineSegments(
+    createDynamicGeometry(),
+    materials.contact
+  );
+  const contactPoints = new THREE.Points(
+    createDynamicGeometry(),
+    new THREE.PointsMaterial({
+      color: DEBUG_COLORS.contact,
+      size: 4,
+      sizeAttenuation: false,
+      depthTest: false,
+    })
+  );
+  const links = new THREE.LineSegments(createDynamicGeometry(), materials.link);
+  [contacts, contactPoints, links].forEach((object) => {
+    object.frustumCulled = false;
+    object.renderOrder = 1;
+    root.add(object);
+  });
+  const axes = new THREE.AxesHelper(20);
+  root.add(axes);
+
+  /**
+   * Adds the wireframe and bounding box for a body
+   * @param {CANNON.Body} body - Physics body
+   */
+  function addBody(body) {
+    const wireframe = new THREE.Group();
+    const lines = body.shapes
+      .map((shape, index) => {
+        const geometry = createShapeGeometry(shape);
+        if (!geometry) return null;
+        const line = new THREE.LineSegments(geometry, materials.awake);
+        line.position.copy(body.shapeOffsets[index]);
+        line.quaternion.copy(body.shapeOrientations[index]);
+        wireframe.add(line);
+        return line;
+      })
+      .filter(Boolean);
+
+    const aabb = new THREE.LineSegments(boxGeometry, materials.aabb);
+    root.add(wireframe, aabb);
+    bodies.set(body, { wireframe, lines, aabb });
+  }
+
+  /**
+   * Removes the wireframe and bounding box for a body
+   * @param {CANNON.Body} body - Physics body
+   */
+  function removeBody(body) {
+    const { wireframe, lines, aabb } = bodies.get(body);
+    lines.forEach((line) => line.geometry.dispose());
+    root.remove(wireframe, aabb);
+    bodies.delete(body);
+  }
+
+  return {
+    /**
+     * Redraws the overlay
+     * Call once per frame after the body states have been synced.
+     * @param {CANNON.World} world - Main-thread world (colliders and boxes)
+     * @param {Object|null} info - { contacts, links } from readDebugInfo, if any yet
+     */
+    update(world, info) {
+      const current = new Set(world.bodies);
+      bodies.forEach((_, body) => {
+        if (!current.has(body)) removeBody(body);
+      });
+
+      world.bodies.forEach((body) => {
+        if (!bodies.has(body)) addBody(body);
+        const { wireframe, lines, aabb } = bodies.get(body);
+
+        wireframe.position.copy(body.position);
+        wireframe.quaternion.copy(body.quaternion);
+        const material = materials[getBodyState(body)];
+        lines.forEach((line) => {
+          line.material = material;
+        });
+
+        // Mirror bodies are moved by state copies, so their boxes are always stale
+        body.updateAABB();
+        const { lowerBound, upperBound } = body.aabb;
+        aabb.visible = [lowerBound, upperBound].every(
+          ({ x, y, z }) => isFinite(x) && isFinite(y) && isFinite(z)
+        );
+        if (aabb.visible) {
+          aabb.position.copy(lowerBound).add(upperBound).multiplyScalar(0.5);
+          aabb.scale
+            .copy(upperBound)
+            .sub(lowerBound)
+            .max(new THREE.Vector3(1e-3, 1e-3, 1e-3));
+        }
+      });
+
+      // Contacts are stored as point + normal; draw the point and a short normal
+      const contactData = info?.contacts ?? [];
+      const points = [];
+      const segments = [];
+      for (let i = 0; i + 5 < contactData.length; i += 6) {
+        const [x, y, z, nx, ny, nz] = contactData.slice(i, i + 6);
+        points.push(x, y, z);
+        segments.push(
+          x,
+          y,
+          z,
+          x + nx * NORMAL_LENGTH,
+          y + ny * NORMAL_LENGTH,
+          z + nz * NORMAL_LENGTH
+        );
+      }
+      setPositions(contactPoints.geometry, points);
+      setPositions(contacts.geometry, segments);
+      setPositions(links.geometry, info?.links ?? []);
+    },
+
+    /**
+     * Removes the overlay from the scene and frees its resources
+     */
+    dispose() {
+      [...bodies.keys()].forEach(removeBody);
+      scene.remove(root);
+      boxGeometry.dispose();
+      [contacts, contactPoints, links].forEach(({ geometry }) =>
+        geometry.dispose()
+      );
+      contactPoints.material.dispose();
+      Object.values(materials).forEach((material) => material.dispose());
+      axes.dispose();
+    },
+  };
+}
+
+/**
+ * Names the color a body is drawn in
+ * @param {CANNON.Body} body - Physics body
+ * @returns {string} Key of DEBUG_COLORS
+ */
+function getBodyState(body) {
+  if (body.type !== CANNON.Body.DYNAMIC) return "static";
+  if (body.sleepState === CANNON.Body.SLEEPING) return "sleeping";
+  if (body.sleepState === CANNON.Body.SLEEPY) return "sleepy";
+  return "awake";
+}
+
+/**
+ * Creates an empty geometry whose points are replaced every frame
+ * @returns {THREE.BufferGeometry} Geometry (see setPositions)
+ */
+function createDynamicGeometry() {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(new Float32Array(0), 3)
+  );
+  return geometry;
+}
+
+/**
+ * Replaces the points of a dynamic geometry, growing its buffer when needed
+ * @param {THREE.BufferGeometry} geometry - Geometry from createDynamicGeometry
+ * @param {ArrayLike<number>} values - Point coordinates, 3 numbers per point
+ */
+function setPositions(geometry, values) {
+  let attribute = geometry.getAttribute("position");
+  if (attribute.array.length < values.length) {
+    attribute = new THREE.BufferAttribute(
+      new Float32Array(values.length * 2),
+      3
+    );
+    attribute.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute("position", attribute);
+  }
+  attribute.array.set(values);
+  attribute.needsUpdate = true;
+  geometry.setDrawRange(0, values.length / 3);
+}
+
+/**
+ * Builds a wireframe for a collider shape in the shape's own frame
+ * @param {CANNON.Shape} shape - Collider shape
+ * @returns {THREE.BufferGeometry|null} Line-segment geometry, or null for shapes it can't draw
+ */
+function createShapeGeometry(shape) {
+  switch (shape.type) {
+    case CANNON.Shape.types.BOX: {
+      const { x, y, z } = shape.halfExtents;
+      return new THREE.EdgesGeometry(
+        new THREE.BoxGeometry(x * 2, y * 2, z * 2)
+      );
+    }
+
+    case CANNON.Shape.types.SPHERE:
+      return new THREE.WireframeGeometry(
+        new THREE.SphereGeometry(shape.radius, 12, 8)
+      );
+
+    case CANNON.Shape.types.PARTICLE:
+      return new THREE.WireframeGeometry(new THREE.SphereGeometry(0.05, 4, 2));
+
+    // Cylinders are convex polyhedra too; outline every face
+    case CANNON.Shape.types.CONVEXPOLYHEDRON:
+    case CANNON.Shape.types.CYLINDER: {
+      const points = [];
+      shape.faces.forEach((face) => {
+        face.forEach((index, i) => {
+          const next = face[(i + 1) % face.length];
+          points.push(shape.vertices[index], shape.vertices[next]);
+        });
+      });
+      return new THREE.BufferGeometry().setFromPoints(
+        points.map(({ x, y, z }) => new THREE.Vector3(x, y, z))
+      );
+    }
+
+    case CANNON.Shape.types.TRIMESH: {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute(
+        "position",
+        new THREE.Float32BufferAttribute(shape.vertices, 3)
+      );
+      geometry.setIndex([...shape.indices]);
+      const wireframe = new THREE.WireframeGeometry(geometry);
+      geometry.dispose();
+      return wireframe;
+    }
+
+    // Planes are infinite along their local XY plane; a large grid shows how far
+    case CANNON.Shape.types.PLANE: {
+      const points = [];
+      const half = PLANE_SIZE / 2;
+      for (let offset = -half; offset <= half; offset += PLANE_CELL) {
+        points.push(
+          new THREE.Vector3(offset, -half, 0),
+          new THREE.Vector3(offset, half, 0),
+          new THREE.Vector3(-half, offset, 0),
+          new THREE.Vector3(half, offset, 0)
+        );
+      }
+      return new THREE.BufferGeometry().setFromPoints(points);
+    }
+
+    default:
+      return null;
+  }
+}
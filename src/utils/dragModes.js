@@ -0,0 +1,134 @@
+/**
+ * Drag modes
+ * Each mode decides which plane a dragged point slides on, and draws a guide
+ * for that plane so the user can see where the body can go.
+ */
+
+import * as THREE from "three";
+
+/**
+ * Available drag modes
+ * - camera: the plane facing the camera through the grab point
+ * - horizontal: the horizontal plane at the grab height
+ * - vertical: straight up and down through the grab point
+ */
+export const DRAG_MODES = ["camera", "horizontal", "vertical"];
+
+/**
+ * Closest a pushed or pulled joint may come to the camera
+ */
+const MIN_DEPTH = 1;
+
+const GUIDE_COLOR = 0xffffff;
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Creates the plane a drag in the given mode slides on
+ * @param {string} mode - One of DRAG_MODES
+ * @param {THREE.Vector3} point - Point the plane passes through
+ * @param {THREE.Camera} camera - Camera the user looks through
+ * @returns {THREE.Plane} Drag plane
+ */
+export function createDragPlane(mode, point, camera) {
+  const facing = camera.getWorldDirection(new THREE.Vector3()).negate();
+
+  switch (mode) {
+    case "camera":
+      return new THREE.Plane().setFromNormalAndCoplanarPoint(facing, point);
+
+    case "horizontal":
+      return new THREE.Plane().setFromNormalAndCoplanarPoint(UP, point);
+
+    case "vertical": {
+      // An upright plane facing the camera; points are then pinned to the vertical axis
+      facing.y = 0;
+      if (facing.lengthSq() < 1e-6) facing.set(0, 0, 1);
+      return new THREE.Plane().setFromNormalAndCoplanarPoint(
+        facing.normalize(),
+        point
+      );
+    }
+
+    default:
+      throw new Error(`Unknown drag mode "${mode}"`);
+  }
+}
+
+/**
+ * Finds where a pointer ray meets the drag plane
+ * @param {string} mode - One of DRAG_MODES
+ * @param {THREE.Ray} ray - Pointer ray
+ * @param {THREE.Plane} plane - Drag plane
+ * @param {THREE.Vector3} anchor - Point the drag axis passes through (vertical mode)
+ * @returns {THREE.Vector3|null} Joint position, or null when the ray misses the plane
+ */
+export function getDragPoint(mode, ray, plane, anchor) {
+  const point = ray.intersectPlane(plane, new THREE.Vector3());
+  if (point && mode === "vertical") {
+    point.x = anchor.x;
+    point.z = anchor.z;
+  }
+  return point;
+}
+
+/**
+ * Pushes a point away from the camera, or pulls it closer, along the view ray
+ * @param {THREE.Vector3} point - Current joint position
+ * @param {THREE.Camera} camera - Camera the user looks through
+ * @param {number} amount - Distance to push (negative pulls)
+ * @returns {THREE.Vector3} New joint position
+ */
+export function pushAlongViewRay(point, camera, amount) {
+  const offset = point.clone().sub(camera.position);
+  const depth = Math.max(offset.length() + amount, MIN_DEPTH);
+  return camera.position.clone().add(offset.setLength(depth));
+}
+
+/**
+ * Creates the visible guide for a drag mode
+ * A grid shows the plane in the camera and horizontal modes, a line the lift axis.
+ * @param {THREE.Scene} scene - Scene to add the guide to
+ * @param {string} mode - One of DRAG_MODES
+ * @returns {THREE.Object3D} Guide (see updateDragGuide)
+ */
+export function createDragGuide(scene, mode) {
+  let guide;
+  if (mode === "vertical") {
+    guide = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(0, -20, 0),
+        new THREE.Vector3(0, 20, 0),
+      ]),
+      new THREE.LineBasicMaterial({ color: GUIDE_COLOR })
+    );
+  } else {
+    guide = new THREE.GridHelper(
+      mode === "horizontal" ? 12 : 6,
+      mode === "horizontal" ? 12 : 6,
+      GUIDE_COLOR,
+      GUIDE_COLOR
+    );
+  }
+
+  guide.material.transparent = true;
+  guide.material.opacity = 0.35;
+  guide.material.depthWrite = false;
+  guide.userData.mode = mode;
+  scene.add(guide);
+  return guide;
+}
+
+/**
+ * Moves a guide onto the drag plane, centered on the joint
+ * @param {THREE.Object3D} guide - Guide from createDragGuide
+ * @param {THREE.Plane} plane - Drag plane
+ * @param {THREE.Vector3} point - Joint position
+ */
+export function updateDragGuide(guide, plane, point) {
+  guide.position.copy(point);
+
+  // Grids lie in their local XZ plane; lift lines stay upright
+  if (guide.userData.mode !== "vertical") {
+    guide.quaternion.setFromUnitVectors(UP, plane.normal);
+  }
+}
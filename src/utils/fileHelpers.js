@@ -0,0 +1,34 @@
+/**
+ * Browser file helpers
+ * Small utilities for saving data as downloads and reading user-picked files
+ */
+
+/**
+ * Downloads data as a pretty-printed JSON file
+ * @param {Object} data - Data to serialize
+ * @param {string} filename - Suggested file name
+ */
+export function downloadJSON(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Reads a user-picked file as text
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<string>} File contents
+ */
+export function readFileAsText(file) {
+  return file.text();
+}
@@ -0,0 +1,364 @@
+/**
+ * Force field gizmos
+ * Draws every force field in a scene as line work showing its bounds and
+ * which way it pushes: arrows for wind and conveyors, arrows in or out for
+ * attractors and repulsors, a turning swirl for vortices and a see-through
+ * volume for water. Each field also gets a round handle at its center, which
+ * is what the user grabs to move the field.
+ */
+
+import * as THREE from "three";
+
+/**
+ * Line color for each force field type
+ */
+export const FORCE_FIELD_COLORS = {
+  wind: 0x7dd3fc,
+  attractor: 0xa78bfa,
+  repulsor: 0xfb923c,
+  vortex: 0x2dd4bf,
+  water: 0x3b82f6,
+  conveyor: 0xfacc15,
+};
+
+/**
+ * Radius of the handle at the center of each field
+ */
+const HANDLE_RADIUS = 0.35;
+
+/**
+ * Turns per second of the swirl drawn in a vortex
+ */
+const SWIRL_SPEED = 0.8;
+
+/**
+ * Segments in each drawn circle
+ */
+const CIRCLE_SEGMENTS = 32;
+
+const X = new THREE.Vector3(1, 0, 0);
+const Y = new THREE.Vector3(0, 1, 0);
+const Z = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Creates the gizmos of a scene's force fields
+ * @param {THREE.Scene} scene - Scene to draw into
+ * @returns {Object} Gizmos with update(fields, elapsed), getHandles(),
+ *   preview(id, position), setVisible(visible) and dispose()
+ */
+export function createForceFieldGizmos(scene) {
+  const root = new THREE.Group();
+  root.name = "forceFields";
+  scene.add(root);
+
+  // Field (from world.forceFields) -> { group, handle, swirl }
+  const gizmos = new Map();
+
+  // Field id -> position shown while the user drags the field
+  const previews = new Map();
+
+  /**
+   * Removes a gizmo and frees its GPU resources
+   * @param {Object} field - Field the gizmo belongs to
+   */
+  function removeGizmo(field) {
+    const { group } = gizmos.get(field);
+    root.remove(group);
+    group.traverse((object) => {
+      object.geometry?.dispose();
+      object.material?.dispose();
+    });
+    gizmos.delete(field);
+  }
+
+  return {
+    /**
+     * Adds, removes and places gizmos to match a world's fields
+     * @param {Object[]} fields - The world's forceFields list
+     * @param {number} elapsed - Seconds since the last update, for the swirls
+     */
+    update(fields, elapsed = 0) {
+      [...gizmos.keys()]
+        .filter((field) => !fields.includes(field))
+        .forEach(removeGizmo);
+
+      fields.forEach((field) => {
+        if (!gizmos.has(field)) {
+          const gizmo = buildGizmo(field);
+          root.add(gizmo.group);
+          gizmos.set(field, gizmo);
+        }
+        const { group, swirl } = gizmos.get(field);
+        group.position.fromArray(
+          previews.get(field.id) ?? field.spec.position ?? [0, 0, 0]
+        );
+        if (swirl) swirl.rotation.y += elapsed * SWIRL_SPEED;
+      });
+    },
+
+    /**
+     * Lists the handles the user can grab, each with userData.fieldId
+     * @returns {THREE.Mesh[]} Handles (none while the gizmos are hidden)
+     */
+    getHandles() {
+      if (!root.visible) return [];
+      return [...gizmos.values()].map(({ handle }) => handle);
+    },
+
+    /**
+     * Shows a field somewhere else without moving it, e.g. while it is dragged
+     * @param {string} id - Scene id of the field
+     * @param {number[]|null} position - Center to show, or null to stop
+     */
+    preview(id, position) {
+      if (position) previews.set(id, position);
+      else previews.delete(id);
+    },
+
+    /**
+     * Shows or hides every gizmo
+     * @param {boolean} visible - Whether the gizmos are drawn
+     */
+    setVisible(visible) {
+      root.visible = visible;
+    },
+
+    /**
+     * Removes the gizmos from the scene and frees their GPU resources
+     */
+    dispose() {
+      [...gizmos.keys()].forEach(removeGizmo);
+      scene.remove(root);
+    },
+  };
+}
+
+/**
+ * Builds the gizmo of one field, centered on the origin of its group
+ * @param {Object} field - Field from createForceField
+ * @returns {Object} { group, handle, swirl }
+ */
+function buildGizmo({ id, settings }) {
+  const color = FORCE_FIELD_COLORS[settings.type];
+  const group = new THREE.Group();
+  group.name = `forceField:${id}`;
+  const lines = []; // Pairs of points, one pair per segment
+  let swirl = null;
+
+  switch (settings.type) {
+    case "wind": {
+      addBox(lines, settings.size);
+      const direction = new THREE.Vector3(...settings.direction).normalize();
+      const [across, other] = getPerpendiculars(direction);
+      const spread = Math.min(...settings.size) / 4;
+      const length = Math.min(...settings.size) / 2;
+      [
+        [0, 0],
+        [1, 1],
+        [1, -1],
+        [-1, 1],
+        [-1, -1],
+      ].forEach(([a, b]) => {
+        const from = direction
+          .clone()
+          .multiplyScalar(-length / 2)
+          .addScaledVector(across, a * spread)
+          .addScaledVector(other, b * spread);
+        addArrow(lines, from, direction, length);
+      });
+      break;
+    }
+
+    case "attractor":
+    case "repulsor": {
+      const { radius } = settings;
+      addCircle(lines, radius, X, Z);
+      addCircle(lines, radius, X, Y);
+      addCircle(lines, radius, Y, Z);
+      const inward = settings.type === "attractor";
+      [X, Y, Z].forEach((axis) => {
+        [1, -1].forEach((sign) => {
+          const out = axis.clone().multiplyScalar(sign);
+          const from = out
+            .clone()
+            .multiplyScalar(radius * (inward ? 0.9 : 0.4));
+          addArrow(
+            lines,
+            from,
+            inward ? out.clone().negate() : out,
+            radius * 0.45
+          );
+        });
+      });
+      break;
+    }
+
+    case "vortex": {
+      const { radius, height } = settings;
+      const half = height / 2;
+      addCircle(lines, radius, X, Z, new THREE.Vector3(0, half, 0));
+      addCircle(lines, radius, X, Z, new THREE.Vector3(0, -half, 0));
+      [X, Z].forEach((axis) => {
+        [radius, -radius].forEach((offset) => {
+          const bottom = axis.clone().multiplyScalar(offset).setY(-half);
+          lines.push(bottom, bottom.clone().setY(half));
+        });
+      });
+      if (settings.lift !== 0) {
+        const up = Y.clone().multiplyScalar(Math.sign(settings.lift));
+        addArrow(lines, up.clone().multiplyScalar(-half * 0.6), up, half * 1.2);
+      }
+
+      // A ring of arrows around the axis, turned as time passes
+      const swirlLines = [];
+      const ring = radius * 0.7;
+      addCircle(swirlLines, ring, X, Z);
+      for (let i = 0; i < 4; i++) {
+        const angle = (i * Math.PI) / 2;
+        const at = new THREE.Vector3(Math.cos(angle), 0, -Math.sin(angle));
+        // Counter-clockwise seen from above
+        const along = Y.clone().cross(at);
+        addArrow(swirlLines, at.multiplyScalar(ring), along, ring * 0.5);
+      }
+      swirl = createLines(swirlLines, color);
+      group.add(swirl);
+      break;
+    }
+
+    case "water": {
+      addBox(lines, settings.size);
+      const volume = new THREE.Mesh(
+        new THREE.BoxGeometry(...settings.size),
+        new THREE.MeshBasicMaterial({
+          color,
+          transparent: true,
+          opacity: 0.2,
+          depthWrite: false,
+          side: THREE.DoubleSide,
+        })
+      );
+      group.add(volume);
+      break;
+    }
+
+    case "conveyor": {
+      addBox(lines, settings.size);
+      const direction = new THREE.Vector3(...settings.direction).normalize();
+      const [across] = getPerpendiculars(direction);
+      // Chevrons along the top of the belt, spaced over its length
+      const length = settings.size.reduce(
+        (total, extent, axis) =>
+          total + Math.abs(direction.getComponent(axis)) * extent,
+        0
+      );
+      const count = Math.max(1, Math.floor(length / 1.5));
+      const top = new THREE.Vector3(0, settings.size[1] / 2, 0);
+      for (let i = 0; i < count; i++) {
+        const from = direction
+          .clone()
+          .multiplyScalar(((i + 0.5) / count - 0.5) * length - 0.4)
+          .add(top);
+        addArrow(lines, from, direction, 0.8, across);
+      }
+      break;
+    }
+  }
+
+  group.add(createLines(lines, color));
+
+  // The handle draws over everything, so a field inside a wall can still be grabbed
+  const handle = new THREE.Mesh(
+    new THREE.SphereGeometry(HANDLE_RADIUS, 16, 12),
+    new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true })
+  );
+  handle.renderOrder = 10;
+  handle.userData.fieldId = id;
+  group.add(handle);
+
+  return { group, handle, swirl };
+}
+
+/**
+ * Makes line segments from pairs of points
+ * @param {THREE.Vector3[]} points - Segment ends, two per segment
+ * @param {number} color - Line color
+ * @returns {THREE.LineSegments} Lines
+ */
+function createLines(points, color) {
+  return new THREE.LineSegments(
+    new THREE.BufferGeometry().setFromPoints(points),
+    new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.8 })
+  );
+}
+
+/**
+ * Finds two directions at right angles to a direction and each other
+ * @param {THREE.Vector3} direction - Unit direction
+ * @returns {THREE.Vector3[]} [across, other] unit vectors
+ */
+function getPerpendiculars(direction) {
+  const reference = Math.abs(direction.y) < 0.9 ? Y : X;
+  const across = new THREE.Vector3()
+    .crossVectors(direction, reference)
+    .normalize();
+  const other = new THREE.Vector3().crossVectors(direction, across);
+  return [across, other];
+}
+
+/**
+ * Adds the 12 edges of a box centered on the origin
+ * @param {THREE.Vector3[]} lines - Segment ends to append to
+ * @param {number[]} size - [x, y, z] extents
+ */
+function addBox(lines, size) {
+  const half = size.map((value) => value / 2);
+  const corner = (x, y, z) =>
+    new THREE.Vector3(x * half[0], y * half[1], z * half[2]);
+  [-1, 1].forEach((a) => {
+    [-1, 1].forEach((b) => {
+      lines.push(corner(-1, a, b), corner(1, a, b));
+      lines.push(corner(a, -1, b), corner(a, 1, b));
+      lines.push(corner(a, b, -1), corner(a, b, 1));
+    });
+  });
+}
+
+/**
+ * Adds a circle in the plane of two axes
+ * @param {THREE.Vector3[]} lines - Segment ends to append to
+ * @param {number} radius - Circle radius
+ * @param {THREE.Vector3} u - First axis of the plane
+ * @param {THREE.Vector3} v - Second axis of the plane
+ * @param {THREE.Vector3} center - Circle center (the origin when omitted)
+ */
+function addCircle(lines, radius, u, v, center = new THREE.Vector3()) {
+  const point = (index) => {
+    const angle = (index / CIRCLE_SEGMENTS) * Math.PI * 2;
+    return center
+      .clone()
+      .addScaledVector(u, Math.cos(angle) * radius)
+      .addScaledVector(v, Math.sin(angle) * radius);
+  };
+  for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+    lines.push(point(i), point(i + 1));
+  }
+}
+
+/**
+ * Adds an arrow: a shaft and a two-stroke head
+ * @param {THREE.Vector3[]} lines - Segment ends to append to
+ * @param {THREE.Vector3} from - Tail of the arrow
+ * @param {THREE.Vector3} direction - Unit direction it points in
+ * @param {number} length - Length from tail to tip
+ * @param {THREE.Vector3} across - Direction the head spreads in (any
+ *   direction at right angles to the arrow when omitted)
+ */
+function addArrow(lines, from, direction, length, across) {
+  const tip = from.clone().addScaledVector(direction, length);
+  const spread = across ?? getPerpendiculars(direction)[0];
+  const head = length * 0.25;
+  const base = tip.clone().addScaledVector(direction, -head);
+  lines.push(from, tip);
+  lines.push(tip, base.clone().addScaledVector(spread, head * 0.6));
+  lines.push(tip, base.clone().addScaledVector(spread, -head * 0.6));
+}
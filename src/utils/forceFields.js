@@ -0,0 +1,309 @@
+/**
+ * Force fields
+ * Volumes that push the dynamic bodies inside them every step: directional
+ * wind, radial attractors and repulsors, vortices, buoyant water with drag,
+ * and conveyor surfaces. Fields are plain descriptions (see
+ * FORCE_FIELD_DEFAULTS) resolved once into Cannon.js vectors, so the main
+ * thread, the worker and Node all push bodies identically.
+ * Relative imports carry their .js extension for Node's ESM resolver.
+ */
+
+import * as CANNON from "cannon-es";
+
+/**
+ * Force field types a scene can describe
+ */
+export const FORCE_FIELD_TYPES = [
+  "wind",
+  "attractor",
+  "repulsor",
+  "vortex",
+  "water",
+  "conveyor",
+];
+
+/**
+ * Settings used for the keys a field leaves out
+ * position is the center of the field's bounds for every type.
+ * - wind: pushes bodies inside the box size [x, y, z] along direction with
+ *   strength newtons, so light bodies blow away and heavy ones barely move
+ * - attractor, repulsor: pull bodies towards the center, or push them away,
+ *   at up to strength m/s², fading out at radius
+ * - vortex: inside a cylinder radius wide and height tall, swirls bodies
+ *   counter-clockwise (seen from above) around its vertical axis at up to
+ *   strength m/s², pulls them in towards the axis at pull m/s² and lifts
+ *   them at lift m/s² at the bottom, fading to nothing at the top, so they
+ *   hover where the lift and their weight balance
+ * - water: a box whose top is the surface; bodies are buoyed up by the weight
+ *   of the water they displace (density in kg/m³, light next to real water
+ *   since scene bodies are light for their size) and slowed by drag and
+ *   angularDrag (per second) in proportion to how deep they are
+ * - conveyor: a box, usually thin and lying on a surface, that drags the
+ *   bodies inside towards speed m/s along direction, closing grip of the
+ *   difference per second
+ */
+export const FORCE_FIELD_DEFAULTS = {
+  wind: { size: [10, 6, 10], direction: [1, 0, 0], strength: 20 },
+  attractor: { radius: 6, strength: 25 },
+  repulsor: { radius: 6, strength: 25 },
+  vortex: { radius: 5, height: 10, strength: 8, pull: 12, lift: 20 },
+  water: { size: [10, 4, 10], density: 0.3, drag: 1.5, angularDrag: 1.5 },
+  conveyor: { size: [8, 1, 2], direction: [1, 0, 0], speed: 3, grip: 6 },
+};
+
+/**
+ * Distance from the center of a radial field within which its push fades out,
+ * so bodies at the center aren't flung back and forth
+ */
+const CORE_RADIUS = 0.5;
+
+const UP = new CANNON.Vec3(0, 1, 0);
+
+// Body -> volume in m³, worked out once per body
+const volumes = new WeakMap();
+
+/**
+ * Resolves a field description into the vectors it is applied with
+ * @param {Object} spec - Field description with an id
+ * @returns {Object} Field with { id, spec, settings, center, direction }
+ */
+export function createForceField(spec) {
+  const settings = { ...FORCE_FIELD_DEFAULTS[spec.type], ...spec };
+  const direction = new CANNON.Vec3(...(settings.direction ?? [1, 0, 0]));
+  direction.normalize();
+  return {
+    id: spec.id,
+    spec,
+    settings,
+    center: new CANNON.Vec3(...(spec.position ?? [0, 0, 0])),
+    direction,
+  };
+}
+
+/**
+ * Moves a field
+ * @param {Object} field - Field from createForceField
+ * @param {number[]} position - New center [x, y, z]
+ */
+export function placeForceField(field, position) {
+  field.spec = { ...field.spec, position: [...position] };
+  field.center.set(...position);
+}
+
+/**
+ * Checks whether a point lies within a field's bounds
+ * @param {Object} field - Field from createForceField
+ * @param {CANNON.Vec3} point - World point
+ * @returns {boolean} True when the point is inside
+ */
+export function isInsideForceField({ settings, center }, point) {
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  const dz = point.z - center.z;
+
+  switch (settings.type) {
+    case "attractor":
+    case "repulsor":
+      return dx * dx + dy * dy + dz * dz <= settings.radius ** 2;
+
+    case "vortex":
+      return (
+        Math.abs(dy) <= settings.height / 2 &&
+        dx * dx + dz * dz <= settings.radius ** 2
+      );
+
+    default: {
+      const [x, y, z] = settings.size;
+      return (
+        Math.abs(dx) <= x / 2 && Math.abs(dy) <= y / 2 && Math.abs(dz) <= z / 2
+      );
+    }
+  }
+}
+
+/**
+ * Works out the volume of a convex polyhedron from its faces
+ * @param {CANNON.ConvexPolyhedron} shape - Shape with outward-wound faces
+ * @returns {number} Volume in m³
+ */
+function convexVolume({ vertices, faces }) {
+  // Sum of the tetrahedra between the origin and each face triangle
+  let volume = 0;
+  faces.forEach((face) => {
+    const a = vertices[face[0]];
+    for (let i = 1; i < face.length - 1; i++) {
+      volume += a.dot(vertices[face[i]].cross(vertices[face[i + 1]])) / 6;
+    }
+  });
+  return Math.abs(volume);
+}
+
+/**
+ * Works out how much water a body displaces when fully under
+ * Compound parts are summed, so overlapping parts count twice.
+ * @param {CANNON.Body} body - Physics body
+ * @returns {number} Volume in m³
+ */
+function getBodyVolume(body) {
+  if (!volumes.has(body)) {
+    const volume = body.shapes.reduce((total, shape) => {
+      if (shape instanceof CANNON.Box || shape instanceof CANNON.Sphere) {
+        return total + shape.volume();
+      }
+      if (shape instanceof CANNON.ConvexPolyhedron) {
+        return total + convexVolume(shape);
+      }
+      return total; // Planes, heightfields and meshes don't float
+    }, 0);
+    volumes.set(body, volume);
+  }
+  return volumes.get(body);
+}
+
+/**
+ * Pushes a body towards or away from a point, fading out at a radius
+ * @param {CANNON.Body} body - Dynamic body
+ * @param {CANNON.Vec3} offset - From the body to the point
+ * @param {number} radius - Distance at which the push is gone
+ * @param {number} acceleration - Push in m/s² (negative pushes away)
+ */
+function applyRadialForce(body, offset, radius, acceleration) {
+  const distance = offset.length();
+  if (distance === 0) return;
+  const fade = (1 - distance / radius) * Math.min(distance / CORE_RADIUS, 1);
+  body.applyForce(
+    offset.scale((body.mass * acceleration * fade) / distance),
+    CANNON.Vec3.ZERO
+  );
+}
+
+/**
+ * Applies the water of a field to a body, from how deep the body's bounding
+ * box is below the surface
+ * @param {Object} field - Water field from createForceField
+ * @param {CANNON.Body} body - Dynamic body whose center is inside the field
+ * @param {CANNON.World} world - World, for its gravity and step size
+ */
+function applyWater({ settings, center }, body, world) {
+  if (body.aabbNeedsUpdate) body.updateAABB();
+  const { lowerBound, upperBound } = body.aabb;
+  const half = settings.size[1] / 2;
+  const covered =
+    Math.min(center.y + half, upperBound.y) -
+    Math.max(center.y - half, lowerBound.y);
+  const depth = Math.min(
+    Math.max(covered / (upperBound.y - lowerBound.y), 0),
+    1
+  );
+  if (depth === 0) return;
+
+  // Buoyancy: the weight of the displaced water, against gravity
+  const displaced = settings.density * getBodyVolume(body) * depth;
+  body.applyForce(world.gravity.scale(-displaced), CANNON.Vec3.ZERO);
+
+  // Drag, stronger the deeper the body is
+  body.applyForce(
+    body.velocity.scale(-settings.drag * body.mass * depth),
+    CANNON.Vec3.ZERO
+  );
+  body.angularVelocity.scale(
+    Math.max(1 - settings.angularDrag * depth * world.dt, 0),
+    body.angularVelocity
+  );
+}
+
+/**
+ * Applies one field to one body, if the body's center is inside it
+ * @param {Object} field - Field from createForceField
+ * @param {CANNON.Body} body - Awake dynamic body
+ * @param {CANNON.World} world - World the body is in
+ * @returns {boolean} True when the body is inside the field
+ */
+export function applyForceField(field, body, world) {
+  if (!isInsideForceField(field, body.position)) return false;
+  const { settings, center, direction } = field;
+
+  switch (settings.type) {
+    case "wind":
+      body.applyForce(direction.scale(settings.strength), CANNON.Vec3.ZERO);
+      break;
+
+    case "attractor":
+    case "repulsor":
+      applyRadialForce(
+        body,
+        center.vsub(body.position),
+        settings.radius,
+        settings.type === "attractor" ? settings.strength : -settings.strength
+      );
+      break;
+
+    case "vortex": {
+      // Around the axis, in towards it and up along it
+      const outward = body.position.vsub(center);
+      const height = outward.y / settings.height + 0.5; // 0 at the bottom, 1 at the top
+      outward.y = 0;
+      const distance = outward.length();
+      if (distance > 0) {
+        const swirl =
+          settings.strength *
+          (1 - distance / settings.radius) *
+          Math.min(distance / CORE_RADIUS, 1);
+        const around = UP.cross(outward).scale(swirl / distance);
+        const inward = outward.scale(
+          (-settings.pull * Math.min(distance / CORE_RADIUS, 1)) / distance
+        );
+        body.applyForce(around.vadd(inward).scale(body.mass), CANNON.Vec3.ZERO);
+      }
+      body.applyForce(
+        UP.scale(settings.lift * (1 - height) * body.mass),
+        CANNON.Vec3.ZERO
+      );
+      break;
+    }
+
+    case "water":
+      applyWater(field, body, world);
+      break;
+
+    case "conveyor": {
+      // Only the speed along the belt is corrected
+      const along = body.velocity.dot(direction);
+      const push = (settings.speed - along) * settings.grip * body.mass;
+      body.applyForce(direction.scale(push), CANNON.Vec3.ZERO);
+      break;
+    }
+
+    default:
+      throw new Error(
+        `Unknown force field "${settings.type}". Expected one of: ${FORCE_FIELD_TYPES.join(", ")}`
+      );
+  }
+  return true;
+}
+
+/**
+ * Applies every field of a world to the dynamic bodies inside it
+ * Fields other than water keep the bodies in them awake, since they never
+ * stop pushing; bodies floating still in water may fall asleep.
+ * @param {CANNON.World} world - World with a `forceFields` list
+ */
+export function applyForceFields(world) {
+  const { forceFields } = world;
+  if (forceFields.length === 0) return;
+
+  world.bodies.forEach((body) => {
+    if (body.type !== CANNON.Body.DYNAMIC) return;
+    forceFields.forEach((field) => {
+      if (body.sleepState === CANNON.Body.SLEEPING) {
+        if (
+          field.settings.type === "water" ||
+          !isInsideForceField(field, body.position)
+        )
+          return;
+        body.wakeUp();
+      }
+      applyForceField(field, body, world);
+    });
+  });
+}
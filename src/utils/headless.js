@@ -0,0 +1,346 @@
+/**
+ * Headless simulation runner
+ * Builds the same physics world as the app from a scene description, with no
+ * renderer, DOM or Three.js, so simulations can run (and be checked) in Node.
+ * Relative imports carry their .js extension for Node's ESM resolver.
+ */
+
+import * as CANNON from "cannon-es";
+import {
+  createPhysicsWorld,
+  addBodyMotion,
+  addForceField,
+  removeForceField,
+  moveForceField,
+} from "./physics.js";
+import { createPhysicsBody } from "./physicsShapes.js";
+import {
+  createLevelBodySpec,
+  createFloorBodySpec,
+  findFallenBodies,
+  getRespawnState,
+} from "./level.js";
+import {
+  SCENE_FORMAT_VERSION,
+  FLOOR_ID,
+  parseScene,
+  applyWorldSettings,
+  readWorldSettings,
+  applyBodyState,
+  readBodyState,
+  createSceneConstraint,
+  removeConstraintFromWorld,
+  readConstraintSpec,
+} from "./sceneFormat.js";
+import { setBodyState } from "./physicsCommands.js";
+
+/**
+ * Speeds below which a body counts as at rest
+ */
+const REST_THRESHOLDS = { linear: 0.05, angular: 0.05 };
+
+/**
+ * Creates a headless simulation from a scene description
+ * @param {string|Object} json - Scene as a JSON string or parsed object (see sceneFormat.js)
+ * @param {Object} options - Simulation options
+ * @param {number} options.dt - Fixed step size in seconds
+ * @returns {Object} Simulation API
+ */
+export function createHeadlessSimulation(json, { dt = 1 / 60 } = {}) {
+  const world = createPhysicsWorld();
+  const description = parseScene(json, {
+    knownMaterials: world.materialRegistry.list(),
+  });
+  applyWorldSettings(world, description.world);
+
+  /**
+   * Creates the massless body of the floor or a level piece
+   * @param {Object} spec - Body description from level.js
+   * @returns {CANNON.Body} The created body
+   */
+  function createLevelBody({ position, quaternion, ...shape }) {
+    return createPhysicsBody(world, {
+      ...shape,
+      position: new CANNON.Vec3(...position),
+      quaternion: new CANNON.Quaternion(...quaternion),
+    });
+  }
+
+  const floorBody = description.floor
+    ? createLevelBody(createFloorBodySpec(description.floor))
+    : null;
+
+  // Level piece id -> body
+  const levelBodies = new Map(
+    description.level.map((piece) => {
+      const body = createLevelBody(createLevelBodySpec(piece));
+      if (piece.motion) addBodyMotion(world, body, piece.motion);
+      return [piece.id, body];
+    })
+  );
+
+  // Scene id -> body, in scene order
+  const bodies = new Map();
+
+  // Scene id -> description the body was added from, for respawning
+  const specs = new Map();
+
+  // Constraint id -> constraint or spring
+  const constraints = new Map();
+
+  // Constraint id -> description it was added from, for serializing
+  const constraintSpecs = new Map();
+
+  /**
+   * Adds a body from a scene description
+   * @param {Object} spec - Body description (same format as scene bodies)
+   * @returns {CANNON.Body} The created body
+   */
+  function addBody(spec) {
+    const { position = [0, 0, 0], quaternion = [0, 0, 0, 1] } = spec;
+    const body = createPhysicsBody(world, {
+      ...spec,
+      position: new CANNON.Vec3(...position),
+      quaternion: new CANNON.Quaternion(...quaternion),
+    });
+    applyBodyState(body, spec);
+    bodies.set(spec.id, body);
+    specs.set(spec.id, spec);
+    return body;
+  }
+
+  /**
+   * Removes a body and every constraint attached to it
+   * @param {string} id - Scene id of the body
+   */
+  function removeBody(id) {
+    const body = bodies.get(id);
+    if (!body) return;
+
+    // Scene constraints and springs first, then anything else, like drag joints
+    constraints.forEach((constraint, constraintId) => {
+      if (constraint.bodyA === body || constraint.bodyB === body) {
+        removeConstraint(constraintId);
+      }
+    });
+    world.constraints
+      .filter(({ bodyA, bodyB }) => bodyA === body || bodyB === body)
+      .forEach((constraint) => world.removeConstraint(constraint));
+    world.removeBody(body);
+    bodies.delete(id);
+    specs.delete(id);
+  }
+
+  /**
+   * Adds a constraint from a scene description
+   * @param {Object} spec - Constraint description (same format as scene constraints)
+   */
+  function addConstraint(spec) {
+    constraints.set(spec.id, createSceneConstraint(world, spec, bodies));
+    constraintSpecs.set(spec.id, spec);
+  }
+
+  /**
+   * Removes a constraint
+   * @param {string} id - Scene id of the constraint
+   */
+  function removeConstraint(id) {
+    const constraint = constraints.get(id);
+    if (!constraint) return;
+    removeConstraintFromWorld(world, constraint);
+    constraints.delete(id);
+    constraintSpecs.delete(id);
+  }
+
+  description.bodies.forEach(addBody);
+  description.constraints.forEach(addConstraint);
+  description.forceFields.forEach((spec) => addForceField(world, spec));
+
+  /**
+   * Looks up the scene id of a body
+   * @param {CANNON.Body} body - Physics body
+   * @returns {string|undefined} Scene or level piece id, FLOOR_ID for the
+   *   floor, or undefined for bodies that aren't part of the scene
+   */
+  function getBodyId(body) {
+    if (body === floorBody) return FLOOR_ID;
+    for (const map of [bodies, levelBodies]) {
+      for (const [id, candidate] of map) {
+        if (candidate === body) return id;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Respawns or removes the bodies below the scene's kill plane
+   * @returns {string[]} Ids of the bodies that fell
+   */
+  function applyKillPlane() {
+    const { killPlane } = description;
+    if (!killPlane) return [];
+
+    const entries = [...bodies].map(([id, body]) => ({ id, body }));
+    return findFallenBodies(entries, killPlane).map(({ id, body }) => {
+      if (killPlane.action === "remove") removeBody(id);
+      else setBodyState(body, getRespawnState(specs.get(id)));
+      return id;
+    });
+  }
+
+  /**
+   * Runs a number of fixed steps, catching bodies that fall out of the level
+   * @param {number} count - Steps to run
+   */
+  function step(count = 1) {
+    for (let i = 0; i < count; i++) {
+      world.step(dt);
+      applyKillPlane();
+    }
+  }
+
+  /**
+   * Runs as many fixed steps as fit in a duration
+   * @param {number} seconds - Simulated time to advance
+   */
+  function advance(seconds) {
+    step(Math.round(seconds / dt));
+  }
+
+  /**
+   * Reads the state of every scene body
+   * @returns {Object[]} [{ id, position, quaternion, velocity, ... }]
+   */
+  function getBodyStates() {
+    return [...bodies].map(([id, body]) => ({ id, ...readBodyState(body) }));
+  }
+
+  /**
+   * Describes the current state of the simulation as a scene
+   * Loading the result continues the simulation from where it is now, as
+   * serializeScene does for the app (see sceneIO.js).
+   * @returns {Object} Scene description that createHeadlessSimulation accepts
+   */
+  function serialize() {
+    return {
+      version: SCENE_FORMAT_VERSION,
+      world: readWorldSettings(world),
+      floor: description.floor ? { ...description.floor } : null,
+      // Motions carry on from where they are now when the scene is loaded again
+      level: description.level.map((piece) =>
+        piece.motion
+          ? {
+              ...piece,
+              motion: {
+                ...piece.motion,
+                startTime: (piece.motion.startTime ?? 0) + world.time,
+              },
+            }
+          : { ...piece }
+      ),
+      killPlane: description.killPlane ? { ...description.killPlane } : null,
+      bodies: [...bodies].map(([id, body]) => ({
+        ...specs.get(id),
+        ...readBodyState(body),
+      })),
+      constraints: [...constraints].map(([id, constraint]) =>
+        readConstraintSpec(constraintSpecs.get(id), constraint)
+      ),
+      forceFields: world.forceFields.map(({ spec }) => ({ ...spec })),
+      camera: { ...description.camera },
+    };
+  }
+
+  /**
+   * Checks whether every dynamic body is asleep or slower than the thresholds
+   * @param {Object} thresholds - { linear, angular } speeds in m/s and rad/s
+   * @returns {boolean} True when everything is at rest
+   */
+  function isAtRest(thresholds = REST_THRESHOLDS) {
+    const { linear, angular } = { ...REST_THRESHOLDS, ...thresholds };
+    return [...bodies.values()].every(
+      (body) =>
+        body.mass === 0 ||
+        body.sleepState === CANNON.Body.SLEEPING ||
+        (body.velocity.length() < linear &&
+          body.angularVelocity.length() < angular)
+    );
+  }
+
+  /**
+   * Steps until everything has stayed at rest for a while, or a time limit is reached
+   * Bodies released from a standstill are momentarily "at rest", so rest only
+   * counts once it has held for `settleSeconds`.
+   * @param {Object} options - { maxSeconds, settleSeconds, thresholds }
+   * @returns {number|null} Simulated seconds until rest began, or null if it never settled
+   */
+  function stepUntilAtRest({
+    maxSeconds = 10,
+    settleSeconds = 0.25,
+    thresholds,
+  } = {}) {
+    const start = world.time;
+    const settleSteps = Math.max(1, Math.round(settleSeconds / dt));
+    const maxSteps = Math.round(maxSeconds / dt);
+    let restingSince = null;
+    let restingSteps = 0;
+
+    for (let i = 0; i < maxSteps; i++) {
+      world.step(dt);
+      applyKillPlane();
+
+      if (!isAtRest(thresholds)) {
+        restingSince = null;
+        restingSteps = 0;
+        continue;
+      }
+
+      if (restingSince === null) restingSince = world.time;
+      if (++restingSteps >= settleSteps) return restingSince - start;
+    }
+    return null;
+  }
+
+  return {
+    world,
+    description,
+    dt,
+    step,
+    advance,
+    getBody: (id) => bodies.get(id),
+    getBodyId,
+    getBodies: () => [...bodies.values()],
+    addBody,
+    removeBody,
+    addConstraint,
+    removeConstraint,
+    addForceField: (spec) => addForceField(world, spec),
+    removeForceField: (id) => removeForceField(world, id),
+    moveForceField: (id, position) => moveForceField(world, id, position),
+    getBodyStates,
+    serialize,
+    isAtRest,
+    stepUntilAtRest,
+    get time() {
+      return world.time;
+    },
+  };
+}
+
+/**
+ * Runs a scene headlessly for a number of steps and returns the final states
+ * @param {string|Object} json - Scene as a JSON string or parsed object
+ * @param {Object} options - { steps, dt }
+ * @returns {Object} { time, steps, atRest, bodies }
+ */
+export function runHeadless(json, { steps = 300, dt = 1 / 60 } = {}) {
+  const simulation = createHeadlessSimulation(json, { dt });
+  simulation.step(steps);
+
+  return {
+    time: simulation.time,
+    steps,
+    atRest: simulation.isAtRest(),
+    bodies: simulation.getBodyStates(),
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Undo/redo history
+ * A linear stack of commands, each knowing how to undo and redo itself.
+ * Commands route their changes through the same inputs a user would make,
+ * so undoing and redoing is recorded in replays like any other edit.
+ */
+
+/**
+ * Creates an undo/redo history
+ * @param {Object} options - History options
+ * @param {number} options.limit - Most commands kept for undo
+ * @param {Function} options.onChange - Called with the new status after every change
+ * @returns {Object} History API
+ */
+export function createHistory({ limit = 100, onChange = () => {} } = {}) {
+  let undoStack = [];
+  let redoStack = [];
+
+  /**
+   * Describes what can be undone or redone
+   * @returns {Object} { canUndo, canRedo, undoLabel, redoLabel }
+   */
+  function getStatus() {
+    return {
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0,
+      undoLabel: undoStack.at(-1)?.label ?? null,
+      redoLabel: redoStack.at(-1)?.label ?? null,
+    };
+  }
+
+  function notify() {
+    onChange(getStatus());
+  }
+
+  return {
+    /**
+     * Adds a command that has already been applied
+     * Clears the redo stack, as with any new edit.
+     * @param {Object} command - { label, undo(), redo() }
+     */
+    push(command) {
+      undoStack.push(command);
+      if (undoStack.length > limit) undoStack.shift();
+      redoStack = [];
+      notify();
+    },
+
+    /**
+     * Undoes the most recent command
+     * @returns {boolean} True if something was undone
+     */
+    undo() {
+      const command = undoStack.pop();
+      if (!command) return false;
+      command.undo();
+      redoStack.push(command);
+      notify();
+      return true;
+    },
+
+    /**
+     * Redoes the most recently undone command
+     * @returns {boolean} True if something was redone
+     */
+    redo() {
+      const command = redoStack.pop();
+      if (!command) return false;
+      command.redo();
+      undoStack.push(command);
+      notify();
+      return true;
+    },
+
+    /**
+     * Forgets every command (after loading a scene, for example)
+     */
+    clear() {
+      undoStack = [];
+      redoStack = [];
+      notify();
+    },
+
+    getStatus,
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * Impact effects
+ * Puffs of dust at contact points. Particles come from one fixed pool drawn
+ * as a single THREE.Points, so effects cost one draw call however many
+ * impacts there are; when the pool runs out the oldest particles are reused.
+ * Particle spread uses Math.random rather than the scene's seeded generator,
+ * so effects never change what a replay simulates.
+ */
+
+import * as THREE from "three";
+
+/**
+ * Particles in the pool
+ */
+const MAX_PARTICLES = 600;
+
+/**
+ * Seconds a particle lives
+ */
+const PARTICLE_LIFETIME = 0.7;
+
+/**
+ * Downward pull on particles in m/s² (dust hangs in the air)
+ */
+const PARTICLE_GRAVITY = 1;
+
+/**
+ * Fraction of particle speed kept per second
+ */
+const PARTICLE_DRAG = 0.1;
+
+/**
+ * Creates the impact effects in a scene
+ * @param {THREE.Scene} scene - Scene to draw into
+ * @param {Object} options - Effect options
+ * @param {number} options.color - Dust color
+ * @returns {Object} Effects with spawn(impact), update(elapsed) and dispose()
+ */
+export function createImpactEffects(scene, { color = 0xd6cfc2 } = {}) {
+  const positions = new Float32Array(MAX_PARTICLES * 3);
+  const colors = new Float32Array(MAX_PARTICLES * 3);
+  const velocities = new Float32Array(MAX_PARTICLES * 3);
+  const ages = new Float64Array(MAX_PARTICLES).fill(PARTICLE_LIFETIME);
+  const baseColor = new THREE.Color(color);
+  let next = 0; // Pool slot the next particle takes
+  let alive = 0; // Upper bound on living particles, to skip idle frames
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+
+  // Additive blending fades a particle out as its color goes to black
+  const material = new THREE.PointsMaterial({
+    size: 0.12,
+    vertexColors: true,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+  const points = new THREE.Points(geometry, material);
+  points.name = "impactEffects";
+  points.frustumCulled = false; // Particles move anywhere in the scene
+  scene.add(points);
+
+  const tangent = new THREE.Vector3();
+  const bitangent = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+
+  return {
+    /**
+     * Puffs dust from a contact point, more and faster for harder impacts
+     * @param {Object} impact - { point, normal, speed }
+     */
+    spawn(impact) {
+      const count = Math.min(Math.round(impact.speed * 3), 30);
+      normal.fromArray(impact.normal);
+
+      // Two directions along the contact surface
+      tangent.set(1, 0, 0);
+      if (Math.abs(normal.x) > 0.9) tangent.set(0, 0, 1);
+      tangent.cross(normal).normalize();
+      bitangent.crossVectors(normal, tangent);
+
+      // Rise off whichever side of the contact faces up, not into the floor
+      if (normal.y < 0) normal.negate();
+
+      for (let i = 0; i < count; i++) {
+        const index = next * 3;
+        next = (next + 1) % MAX_PARTICLES;
+
+        // Spray out along the surface and a little away from it
+        const angle = Math.random() * Math.PI * 2;
+        const spread = impact.speed * (0.1 + Math.random() * 0.2);
+        const lift = impact.speed * Math.random() * 0.1;
+        for (let axis = 0; axis < 3; axis++) {
+          const direction =
+            tangent.getComponent(axis) * Math.cos(angle) +
+            bitangent.getComponent(axis) * Math.sin(angle);
+          positions[index + axis] = impact.point[axis];
+          velocities[index + axis] =
+            direction * spread + normal.getComponent(axis) * lift;
+        }
+        ages[index / 3] = 0;
+      }
+      alive = Math.min(alive + count, MAX_PARTICLES);
+    },
+
+    /**
+     * Moves and fades the particles
+     * @param {number} elapsed - Seconds since the last update
+     */
+    update(elapsed) {
+      if (alive === 0) return;
+
+      const drag = Math.pow(PARTICLE_DRAG, elapsed);
+      let living = 0;
+      for (let i = 0; i < MAX_PARTICLES; i++) {
+        if (ages[i] >= PARTICLE_LIFETIME) continue;
+        ages[i] = Math.min(ages[i] + elapsed, PARTICLE_LIFETIME);
+
+        const index = i * 3;
+        velocities[index + 1] -= PARTICLE_GRAVITY * elapsed;
+        for (let axis = 0; axis < 3; axis++) {
+          velocities[index + axis] *= drag;
+          positions[index + axis] += velocities[index + axis] * elapsed;
+        }
+
+        const fade = 1 - ages[i] / PARTICLE_LIFETIME;
+        colors[index] = baseColor.r * fade;
+        colors[index + 1] = baseColor.g * fade;
+        colors[index + 2] = baseColor.b * fade;
+        if (fade > 0) living++;
+      }
+      alive = living;
+
+      geometry.attributes.position.needsUpdate = true;
+      geometry.attributes.color.needsUpdate = true;
+    },
+
+    /**
+     * Removes the particles from the scene and frees their GPU resources
+     */
+    dispose() {
+      scene.remove(points);
+      geometry.dispose();
+      material.dispose();
+    },
+  };
+}
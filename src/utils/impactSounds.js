@@ -0,0 +1,169 @@
+/**
+ * Impact sounds
+ * Synthesizes collision sounds with WebAudio instead of loading samples: a
+ * burst of filtered noise for the hit and a decaying tone for the ring after
+ * it. Faster impacts sound louder, brighter and slightly higher, and each
+ * material pair has its own voice, so rubber thuds, wood knocks, metal rings
+ * and ice clicks.
+ */
+
+/**
+ * How each material sounds when hit
+ * pitch - frequency of the ring in Hz
+ * brightness - center frequency of the noise burst in Hz
+ * decay - seconds until the sound dies away
+ * ring - loudness of the ring next to the noise burst (0-1)
+ */
+export const MATERIAL_SOUNDS = {
+  cube: { pitch: 260, brightness: 1800, decay: 0.12, ring: 0.3 },
+  floor: { pitch: 90, brightness: 900, decay: 0.1, ring: 0.15 },
+  wood: { pitch: 340, brightness: 2400, decay: 0.1, ring: 0.35 },
+  ice: { pitch: 1100, brightness: 6000, decay: 0.06, ring: 0.25 },
+  rubber: { pitch: 120, brightness: 500, decay: 0.08, ring: 0.1 },
+  metal: { pitch: 700, brightness: 4500, decay: 0.7, ring: 0.8 },
+};
+
+/**
+ * Voice for materials without an entry of their own
+ */
+const DEFAULT_SOUND = MATERIAL_SOUNDS.cube;
+
+/**
+ * Impact speed in m/s that plays at full volume
+ */
+const FULL_VOLUME_SPEED = 10;
+
+/**
+ * Most sounds playing at once; further impacts are dropped until one ends
+ */
+const MAX_VOICES = 16;
+
+/**
+ * Works out how one impact sounds
+ * The two materials' voices are averaged, so a pair sounds between the two.
+ * @param {string[]} materials - Material names of the two bodies
+ * @param {number} speed - Impact speed in m/s
+ * @returns {Object} { gain, pitch, brightness, decay, ring }
+ */
+export function getImpactVoice(materials, speed) {
+  const [a, b] = materials.map(
+    (name) => MATERIAL_SOUNDS[name] ?? DEFAULT_SOUND
+  );
+  const mix = (key) => (a[key] + b[key]) / 2;
+  const strength = Math.min(speed / FULL_VOLUME_SPEED, 1);
+
+  return {
+    // Loudness follows the square of the speed, i.e. the impact's energy
+    gain: strength * strength,
+    pitch: mix("pitch") * (1 + 0.2 * strength),
+    brightness: mix("brightness") * (0.5 + strength),
+    decay: mix("decay") * (0.5 + 0.5 * strength),
+    ring: mix("ring"),
+  };
+}
+
+/**
+ * Creates the impact sound player
+ * Browsers only start audio after a user gesture, so call resume() from a
+ * pointer or key handler; impacts before that are silent.
+ * @param {Object} options - Player options
+ * @param {number} options.volume - Master volume (0-1)
+ * @returns {Object} Player with resume(), play(impact), setVolume(volume) and dispose()
+ */
+export function createImpactSounds({ volume = 0.5 } = {}) {
+  let context = null;
+  let master = null;
+  let noise = null;
+  let voices = 0;
+
+  /**
+   * Creates the audio graph on first use
+   * @returns {AudioContext|null} Context, or null when WebAudio is unavailable
+   */
+  function getContext() {
+    if (context) return context;
+    const AudioContext = window.AudioContext ?? window.webkitAudioContext;
+    if (!AudioContext) return null;
+
+    context = new AudioContext();
+    master = context.createGain();
+    master.gain.value = volume;
+    master.connect(context.destination);
+
+    // Half a second of white noise, shared by every hit
+    noise = context.createBuffer(1, context.sampleRate / 2, context.sampleRate);
+    const samples = noise.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+    return context;
+  }
+
+  return {
+    /**
+     * Starts audio, from inside a user gesture
+     */
+    resume() {
+      if (getContext()?.state === "suspended") context.resume();
+    },
+
+    /**
+     * Plays the sound of one impact
+     * @param {Object} impact - { materials, speed }
+     */
+    play({ materials, speed }) {
+      if (context?.state !== "running" || voices >= MAX_VOICES) return;
+
+      const voice = getImpactVoice(materials, speed);
+      const now = context.currentTime;
+      const end = now + voice.decay;
+
+      // Both parts fade out together
+      const envelope = context.createGain();
+      envelope.gain.setValueAtTime(Math.max(voice.gain, 0.0001), now);
+      envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+      envelope.connect(master);
+
+      // The hit: noise through a band-pass around the material's brightness
+      const hit = context.createBufferSource();
+      hit.buffer = noise;
+      const filter = context.createBiquadFilter();
+      filter.type = "bandpass";
+      filter.frequency.value = voice.brightness;
+      hit.connect(filter).connect(envelope);
+
+      // The ring: a tone that drops a little as it fades
+      const tone = context.createOscillator();
+      tone.frequency.setValueAtTime(voice.pitch, now);
+      tone.frequency.exponentialRampToValueAtTime(voice.pitch * 0.8, end);
+      const toneGain = context.createGain();
+      toneGain.gain.value = voice.ring;
+      tone.connect(toneGain).connect(envelope);
+
+      voices++;
+      tone.addEventListener("ended", () => {
+        voices--;
+        envelope.disconnect();
+      });
+      hit.start(now, Math.random() * 0.25);
+      hit.stop(end);
+      tone.start(now);
+      tone.stop(end);
+    },
+
+    /**
+     * Sets the master volume
+     * @param {number} value - Volume (0-1)
+     */
+    setVolume(value) {
+      volume = value;
+      if (master) master.gain.value = value;
+    },
+
+    /**
+     * Closes the audio context
+     */
+    dispose() {
+      context?.close();
+      context = null;
+    },
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * Instanced rendering
+ * Draws every body with the same shape, size and material through one shared
+ * InstancedMesh, so draw calls stay flat as the body count grows. Each body
+ * gets a lightweight proxy Object3D in place of its own mesh: the sync loop
+ * copies physics transforms onto the proxy as usual, and update() writes the
+ * proxies into the instance matrices.
+ */
+
+import * as THREE from "three";
+import { createShapeGeometry, createBodyMaterial } from "./bodyFactory";
+import { normalizeSize } from "./physicsShapes";
+
+/**
+ * Shapes that can be drawn instanced (compound bodies keep their own meshes)
+ */
+export const INSTANCED_SHAPES = [
+  "box",
+  "sphere",
+  "cylinder",
+  "capsule",
+  "wedge",
+];
+
+/**
+ * Creates an instanced renderer that adds its meshes to a scene
+ * @param {THREE.Scene} scene - Scene to draw into
+ * @param {Object} options - { initialCapacity } instances per batch before it grows
+ * @returns {Object} Instanced renderer API
+ */
+export function createInstancedRenderer(scene, { initialCapacity = 64 } = {}) {
+  // Batch key -> { mesh, geometry, material, proxies }
+  const batches = new Map();
+  const color = new THREE.Color();
+
+  function batchKey(spec) {
+    return JSON.stringify([
+      spec.shape,
+      normalizeSize(spec.size),
+      spec.material,
+    ]);
+  }
+
+  function createInstancedMesh(batch, capacity) {
+    const mesh = new THREE.InstancedMesh(
+      batch.geometry,
+      batch.material,
+      capacity
+    );
+    mesh.count = batch.proxies.length;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    // Instances move every frame, so a cached bounding sphere would go stale
+    mesh.frustumCulled = false;
+    return mesh;
+  }
+
+  /**
+   * Doubles the capacity of a batch, keeping existing instances
+   * @param {Object} batch - Batch to grow
+   */
+  function grow(batch) {
+    const previous = batch.mesh;
+    const mesh = createInstancedMesh(batch, previous.instanceMatrix.count * 2);
+    mesh.instanceMatrix.array.set(previous.instanceMatrix.array);
+    if (previous.instanceColor) {
+      mesh.setColorAt(0, color.set(0xffffff));
+      mesh.instanceColor.array.set(previous.instanceColor.array);
+    }
+
+    scene.remove(previous);
+    previous.dispose();
+    scene.add(mesh);
+    batch.mesh = mesh;
+  }
+
+  function getBatch(spec) {
+    const key = batchKey(spec);
+    if (!batches.has(key)) {
+      const batch = {
+        geometry: createShapeGeometry(spec),
+        material: createBodyMaterial(0xffffff),
+        proxies: [],
+      };
+      batch.mesh = createInstancedMesh(batch, initialCapacity);
+      scene.add(batch.mesh);
+      batches.set(key, batch);
+    }
+    return batches.get(key);
+  }
+
+  /**
+   * Frees the instance of a proxy, moving the last instance into its slot
+   * @param {THREE.Object3D} proxy - Proxy returned by add()
+   */
+  function release(proxy) {
+    const { batch, index } = proxy.userData.instance;
+    const last = batch.proxies.pop();
+
+    if (last !== proxy) {
+      batch.proxies[index] = last;
+      last.userData.instance.index = index;
+      batch.mesh.getColorAt(batch.proxies.length, color);
+      batch.mesh.setColorAt(index, color);
+      batch.mesh.instanceColor.needsUpdate = true;
+    }
+    batch.mesh.count = batch.proxies.length;
+  }
+
+  /**
+   * Checks whether a body description can be drawn instanced
+   * @param {Object} spec - Body description
+   * @returns {boolean} True for single-shape bodies
+   */
+  function supports(spec) {
+    return INSTANCED_SHAPES.includes(spec.shape);
+  }
+
+  /**
+   * Adds an instance for a body description
+   * The returned proxy stands in for the body's mesh; removing it from the
+   * scene frees the instance.
+   * @param {Object} spec - Body description ({ shape, size, material, color })
+   * @returns {THREE.Object3D} Proxy whose transform drives the instance
+   */
+  function add(spec) {
+    const batch = getBatch(spec);
+    if (batch.proxies.length === batch.mesh.instanceMatrix.count) grow(batch);
+
+    const proxy = new THREE.Object3D();
+    proxy.matrixAutoUpdate = false;
+    proxy.userData.instance = { batch, index: batch.proxies.length };
+    proxy.addEventListener("removed", () => release(proxy));
+
+    batch.proxies.push(proxy);
+    batch.mesh.count = batch.proxies.length;
+    batch.mesh.setColorAt(proxy.userData.instance.index, color.set(spec.color));
+    batch.mesh.instanceColor.needsUpdate = true;
+    return proxy;
+  }
+
+  /**
+   * Writes every proxy transform into its instance matrix
+   * Call once per frame after the meshes were synced with the bodies.
+   */
+  function update() {
+    batches.forEach(({ mesh, proxies }) => {
+      proxies.forEach((proxy, index) => {
+        proxy.updateMatrix();
+        mesh.setMatrixAt(index, proxy.matrix);
+      });
+      mesh.instanceMatrix.needsUpdate = true;
+      // Recomputed on demand by the next raycast
+      mesh.boundingSphere = null;
+    });
+  }
+
+  /**
+   * Resolves a raycast hit on an instanced mesh to the proxy of that instance
+   * @param {Object} intersection - Raycaster intersection
+   * @returns {THREE.Object3D|null} Proxy, or null when the hit isn't an instance
+   */
+  function getProxy(intersection) {
+    if (intersection.instanceId === undefined) return null;
+    for (const batch of batches.values()) {
+      if (batch.mesh === intersection.object) {
+        return batch.proxies[intersection.instanceId] ?? null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Lists the instanced meshes (for raycasting)
+   * @returns {THREE.InstancedMesh[]} One mesh per batch
+   */
+  function getMeshes() {
+    return [...batches.values()].map(({ mesh }) => mesh);
+  }
+
+  /**
+   * Removes every batch and frees its GPU resources
+   */
+  function dispose() {
+    batches.forEach(({ mesh, geometry, material }) => {
+      scene.remove(mesh);
+      mesh.dispose();
+      geometry.dispose();
+      material.dispose();
+    });
+    batches.clear();
+  }
+
+  return { supports, add, update, getProxy, getMeshes, dispose };
+}
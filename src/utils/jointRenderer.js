@@ -0,0 +1,164 @@
+/**
+ * Joint renderer
+ * Draws the scene's permanent joints so they can be seen without the debug
+ * overlay: a line from each body through the pivot of point joints and hinges
+ * (with a tick along the hinge axis), a straight line for distance and lock
+ * joints, and a zigzag coil for springs. Everything is one LineSegments with
+ * per-vertex colors, rebuilt from the bodies' current poses every frame.
+ */
+
+import * as THREE from "three";
+import * as CANNON from "cannon-es";
+
+/**
+ * Line color for each constraint type
+ */
+export const JOINT_COLORS = {
+  pointToPoint: 0xe5e7eb,
+  hinge: 0xf59e0b,
+  distance: 0x22d3ee,
+  lock: 0xf87171,
+  spring: 0x4ade80,
+};
+
+/**
+ * Length of the tick drawn along a hinge axis
+ */
+const AXIS_LENGTH = 0.6;
+
+/**
+ * Zigzags in a spring coil, and how far they swing out from the spring's line
+ */
+const COIL_TURNS = 10;
+const COIL_RADIUS = 0.12;
+
+/**
+ * Creates a joint renderer in a scene
+ * @param {THREE.Scene} scene - Scene to draw into
+ * @returns {Object} Renderer with update(constraints) and dispose()
+ */
+export function createJointRenderer(scene) {
+  let capacity = 0; // Vertices the buffers hold
+  let positions = null;
+  let colors = null;
+
+  const geometry = new THREE.BufferGeometry();
+  const material = new THREE.LineBasicMaterial({ vertexColors: true });
+  const lines = new THREE.LineSegments(geometry, material);
+  lines.name = "joints";
+  lines.frustumCulled = false; // Joints move with their bodies
+  scene.add(lines);
+
+  const palette = Object.fromEntries(
+    Object.entries(JOINT_COLORS).map(([type, color]) => [
+      type,
+      new THREE.Color(color),
+    ])
+  );
+
+  /**
+   * Makes room for a number of vertices, keeping the buffers when they fit
+   * @param {number} count - Vertices needed
+   */
+  function reserve(count) {
+    if (count <= capacity) return;
+    capacity = Math.max(count, capacity * 2, 64);
+    positions = new Float32Array(capacity * 3);
+    colors = new Float32Array(capacity * 3);
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+  }
+
+  return {
+    /**
+     * Redraws the joints from their bodies' current poses
+     * @param {Object[]} constraints - { constraint, spec } scene entries
+     */
+    update(constraints) {
+      const segments = []; // [from, to, color] with CANNON.Vec3 ends
+      const add = (from, to, color) => segments.push([from, to, color]);
+
+      constraints.forEach(({ constraint, spec }) => {
+        const { bodyA, bodyB } = constraint;
+        const color = palette[spec.type] ?? palette.pointToPoint;
+
+        if (constraint instanceof CANNON.Spring) {
+          const from = bodyA.pointToWorldFrame(constraint.localAnchorA);
+          const to = bodyB.pointToWorldFrame(constraint.localAnchorB);
+          addCoil(from, to, color, add);
+        } else if (constraint.pivotA) {
+          // Point joints and hinges: each body's center to the shared pivot
+          // (the two pivots drift apart slightly while the joint is strained)
+          const pivot = bodyA.pointToWorldFrame(constraint.pivotA);
+          const pivotB = bodyB.pointToWorldFrame(constraint.pivotB);
+          add(bodyA.position, pivot, color);
+          add(pivot, pivotB, color);
+          add(pivotB, bodyB.position, color);
+          if (constraint.axisA) {
+            const axis = bodyA
+              .vectorToWorldFrame(constraint.axisA)
+              .scale(AXIS_LENGTH / 2);
+            add(pivot.vsub(axis), pivot.vadd(axis), color);
+          }
+        } else {
+          add(bodyA.position, bodyB.position, color);
+        }
+      });
+
+      reserve(segments.length * 2);
+      segments.forEach(([from, to, color], index) => {
+        const offset = index * 6;
+        positions.set([from.x, from.y, from.z, to.x, to.y, to.z], offset);
+        colors.set(
+          [color.r, color.g, color.b, color.r, color.g, color.b],
+          offset
+        );
+      });
+      geometry.setDrawRange(0, segments.length * 2);
+      if (positions) {
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+      }
+    },
+
+    /**
+     * Removes the lines from the scene and frees their GPU resources
+     */
+    dispose() {
+      scene.remove(lines);
+      geometry.dispose();
+      material.dispose();
+    },
+  };
+}
+
+/**
+ * Adds the segments of a zigzag coil between two points
+ * @param {CANNON.Vec3} from - One end
+ * @param {CANNON.Vec3} to - Other end
+ * @param {THREE.Color} color - Line color
+ * @param {Function} add - Receives (from, to, color) for each segment
+ */
+function addCoil(from, to, color, add) {
+  const along = to.vsub(from);
+  if (along.lengthSquared() === 0) return;
+
+  // Any direction across the spring's line to zigzag along
+  const across = along.cross(
+    Math.abs(along.y) < 0.9 * along.length()
+      ? new CANNON.Vec3(0, 1, 0)
+      : new CANNON.Vec3(1, 0, 0)
+  );
+  across.normalize();
+  across.scale(COIL_RADIUS, across);
+
+  let previous = from;
+  for (let i = 1; i <= COIL_TURNS * 2; i++) {
+    const point = from.vadd(along.scale(i / (COIL_TURNS * 2 + 1)));
+    const side = i % 2 === 0 ? -1 : 1;
+    const zig = point.vadd(across.scale(side));
+    add(previous, zig, color);
+    previous = zig;
+  }
+  add(previous, to, color);
+}
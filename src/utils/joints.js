@@ -0,0 +1,249 @@
+/**
+ * Joint authoring
+ * Builds constraint descriptions (see sceneFormat.js) that join two bodies
+ * where they are right now, and the links and joints of generated chains and
+ * ropes between them. Everything is resolved into the bodies' local frames up
+ * front, so the main thread, the worker and saved scenes all get the same
+ * joint. Works on Cannon.js bodies only (no Three.js).
+ * Relative imports carry their .js extension for Node's ESM resolver.
+ */
+
+import * as CANNON from "cannon-es";
+
+/**
+ * Joint types offered when connecting two bodies: the scene constraint types,
+ * plus chains and ropes, which add linked bodies between the two
+ */
+export const JOINT_TYPES = [
+  "hinge",
+  "pointToPoint",
+  "distance",
+  "lock",
+  "spring",
+  "chain",
+  "rope",
+];
+
+/**
+ * Joint settings used when connecting two bodies
+ * - maxForce: most force a joint applies to hold together (and a hinge motor to turn)
+ * - axis: world axis a hinge turns around, "x", "y" or "z"
+ * - motorSpeed: hinge motor speed in rad/s (no motor when 0)
+ * - distance, restLength: length of distance joints and springs (the current
+ *   distance between the bodies when null)
+ * - stiffness, damping: spring strength in N/m and damping
+ * - links: number of links in a chain or rope
+ * - collideConnected: whether the two bodies still collide with each other
+ */
+export const DEFAULT_JOINT_OPTIONS = {
+  type: "hinge",
+  maxForce: 1e6,
+  axis: "y",
+  motorSpeed: 0,
+  distance: null,
+  restLength: null,
+  stiffness: 50,
+  damping: 1,
+  links: 8,
+  collideConnected: false,
+};
+
+/**
+ * Most links a generated chain or rope may have
+ */
+export const MAX_LINKS = 40;
+
+/**
+ * How chain and rope links are built
+ * Chains are heavy metal capsules; ropes are light, floppy beads.
+ */
+const LINK_STYLES = {
+  chain: {
+    shape: "capsule",
+    thickness: 0.25, // Width as a fraction of the link length
+    maxWidth: 0.3, // Widest a link gets, in meters
+    mass: 0.4,
+    material: "metal",
+    color: "#9ca3af",
+    damping: 0.1,
+  },
+  rope: {
+    shape: "sphere",
+    thickness: 0.9,
+    maxWidth: 0.3,
+    mass: 0.05,
+    material: "wood",
+    color: "#c8a165",
+    damping: 0.5,
+  },
+};
+
+const AXES = {
+  x: new CANNON.Vec3(1, 0, 0),
+  y: new CANNON.Vec3(0, 1, 0),
+  z: new CANNON.Vec3(0, 0, 1),
+};
+
+/**
+ * Converts a world point into a body's local frame
+ * @param {CANNON.Body} body - Physics body
+ * @param {CANNON.Vec3} point - World point
+ * @returns {number[]} Local point [x, y, z]
+ */
+function toLocalPoint(body, point) {
+  return body.pointToLocalFrame(point).toArray();
+}
+
+/**
+ * Describes a joint between two scene bodies, where they are right now
+ * Point joints and hinges pivot halfway between the bodies' centers.
+ * @param {string} id - Id for the constraint
+ * @param {Object} objectA - First { body, spec } scene entry
+ * @param {Object} objectB - Second { body, spec } scene entry
+ * @param {Object} options - Joint settings (see DEFAULT_JOINT_OPTIONS); type
+ *   must be a scene constraint type, not "chain" or "rope"
+ * @returns {Object} Constraint description for the scene's constraints
+ */
+export function createJointSpec(id, objectA, objectB, options) {
+  const settings = { ...DEFAULT_JOINT_OPTIONS, ...options };
+  const { type } = settings;
+  const bodyA = objectA.body;
+  const bodyB = objectB.body;
+  const spec = {
+    id,
+    type,
+    bodyA: objectA.spec.id,
+    bodyB: objectB.spec.id,
+    maxForce: settings.maxForce,
+    collideConnected: settings.collideConnected,
+  };
+  const pivot = bodyA.position.vadd(bodyB.position).scale(0.5);
+  const separation = bodyA.position.distanceTo(bodyB.position);
+
+  switch (type) {
+    case "pointToPoint":
+      return {
+        ...spec,
+        pivotA: toLocalPoint(bodyA, pivot),
+        pivotB: toLocalPoint(bodyB, pivot),
+      };
+
+    case "hinge": {
+      const axis = AXES[settings.axis] ?? AXES.y;
+      return {
+        ...spec,
+        pivotA: toLocalPoint(bodyA, pivot),
+        pivotB: toLocalPoint(bodyB, pivot),
+        axisA: bodyA.vectorToLocalFrame(axis).toArray(),
+        axisB: bodyB.vectorToLocalFrame(axis).toArray(),
+        ...(settings.motorSpeed !== 0 && { motorSpeed: settings.motorSpeed }),
+      };
+    }
+
+    case "distance":
+      return { ...spec, distance: settings.distance ?? separation };
+
+    case "lock":
+      return spec;
+
+    case "spring":
+      // Springs pull on the two body centers
+      return {
+        id,
+        type,
+        bodyA: spec.bodyA,
+        bodyB: spec.bodyB,
+        pivotA: [0, 0, 0],
+        pivotB: [0, 0, 0],
+        restLength: settings.restLength ?? separation,
+        stiffness: settings.stiffness,
+        damping: settings.damping,
+      };
+
+    default:
+      throw new Error(`Unknown joint type "${type}"`);
+  }
+}
+
+/**
+ * Describes a chain or rope of linked bodies hanging between two scene bodies
+ * The links fill the gap between the bodies' bounding spheres along the line
+ * joining their centers, and every link is pinned to its neighbours at its
+ * ends, so the whole thing can swing, sag and be dragged like any body.
+ * @param {string} kind - "chain" or "rope"
+ * @param {string} baseId - Prefix for the new ids, e.g. "chain-2"; links get
+ *   "chain-2-1", "chain-2-2"... and joints "chain-2-joint-1"...
+ * @param {Object} objectA - First { body, spec } scene entry
+ * @param {Object} objectB - Second { body, spec } scene entry
+ * @param {Object} options - { links, maxForce } (see DEFAULT_JOINT_OPTIONS)
+ * @returns {Object} { bodies, constraints } descriptions in the scene format
+ * @throws {Error} When the link count is out of range or the bodies overlap
+ */
+export function createLinkSpecs(kind, baseId, objectA, objectB, options) {
+  const style = LINK_STYLES[kind];
+  if (!style) throw new Error(`Unknown link kind "${kind}"`);
+  const { links, maxForce } = { ...DEFAULT_JOINT_OPTIONS, ...options };
+  if (!(Number.isInteger(links) && links >= 1 && links <= MAX_LINKS)) {
+    throw new Error(`A ${kind} needs 1 to ${MAX_LINKS} links (got ${links})`);
+  }
+
+  const bodyA = objectA.body;
+  const bodyB = objectB.body;
+  const direction = bodyB.position.vsub(bodyA.position);
+  const separation = direction.length();
+  direction.normalize();
+
+  // Span from surface to surface, measured with the bounding spheres
+  const start = bodyA.position.vadd(direction.scale(bodyA.boundingRadius));
+  const span = separation - bodyA.boundingRadius - bodyB.boundingRadius;
+  if (span <= 0) {
+    throw new Error(
+      `${objectA.spec.id} and ${objectB.spec.id} are too close for a ${kind}`
+    );
+  }
+
+  // Links run along their local Y axis, turned to point from A to B
+  const length = span / links;
+  const width = Math.min(length * style.thickness, style.maxWidth);
+  const quaternion = new CANNON.Quaternion();
+  quaternion.setFromVectors(new CANNON.Vec3(0, 1, 0), direction);
+  const size = style.shape === "sphere" ? [width] : [width, length];
+
+  const bodies = [];
+  for (let i = 0; i < links; i++) {
+    const center = start.vadd(direction.scale(length * (i + 0.5)));
+    bodies.push({
+      id: `${baseId}-${i + 1}`,
+      shape: style.shape,
+      size,
+      mass: style.mass,
+      material: style.material,
+      color: style.color,
+      position: center.toArray(),
+      quaternion: quaternion.toArray(),
+      linearDamping: style.damping,
+      angularDamping: style.damping,
+    });
+  }
+
+  // Joints sit at the link ends: A to the first link, link to link, the last link to B
+  const half = [0, length / 2, 0];
+  const below = [0, -length / 2, 0];
+  const constraints = [];
+  for (let i = 0; i <= links; i++) {
+    const first = i === 0;
+    const last = i === links;
+    const joint = start.vadd(direction.scale(length * i));
+    constraints.push({
+      id: `${baseId}-joint-${i + 1}`,
+      type: "pointToPoint",
+      bodyA: first ? objectA.spec.id : bodies[i - 1].id,
+      bodyB: last ? objectB.spec.id : bodies[i].id,
+      pivotA: first ? toLocalPoint(bodyA, joint) : half,
+      pivotB: last ? toLocalPoint(bodyB, joint) : below,
+      maxForce,
+    });
+  }
+
+  return { bodies, constraints };
+}
@@ -0,0 +1,275 @@
+/**
+ * Level geometry
+ * Turns level pieces (walls, ramps, stairs, platforms and a walled arena) and
+ * the floor into plain body descriptions for createBody and createPhysicsBody,
+ * so the mesh and the collider of every piece come from the same shapes and
+ * always match. Also holds the kill plane helpers that catch bodies falling
+ * out of the level. Works on plain data only (no Three.js or Cannon.js).
+ */
+
+/**
+ * Level piece types a scene can describe
+ */
+export const LEVEL_PIECE_TYPES = [
+  "wall",
+  "ramp",
+  "stairs",
+  "platform",
+  "arena",
+];
+
+/**
+ * Settings used for the keys a level piece leaves out
+ * - wall: from and to are [x, z] ends of its base line, standing on y
+ * - ramp, stairs, platform, arena: position is the middle of the piece's
+ *   underside, and rotation turns it around that point ([x, y, z] radians)
+ * - ramp: size is [width, height, depth], rising towards -Z like a wedge
+ * - stairs: size is the whole flight, split into steps rising towards -Z
+ * - arena: size is the [width, depth] of the walled-in area
+ */
+export const LEVEL_PIECE_DEFAULTS = {
+  wall: {
+    from: [-5, 0],
+    to: [5, 0],
+    y: 0,
+    height: 2,
+    thickness: 0.5,
+    color: "#8d96a3",
+  },
+  ramp: { size: [4, 2, 6], color: "#b08d57" },
+  stairs: { size: [4, 2.5, 5], steps: 5, color: "#a3a3a3" },
+  platform: { size: [6, 0.5, 6], color: "#6b7280" },
+  arena: { size: [40, 40], height: 2, thickness: 1, color: "#8d96a3" },
+};
+
+/**
+ * Material of level pieces that don't name one
+ */
+export const DEFAULT_LEVEL_MATERIAL = "floor";
+
+/**
+ * Thickness of the floor slab below its top surface
+ */
+export const FLOOR_THICKNESS = 1;
+
+/**
+ * Color of the floor
+ */
+export const FLOOR_COLOR = "#55aa55";
+
+/**
+ * How far below the floor the kill plane sits when a scene doesn't place it
+ */
+export const KILL_PLANE_DEPTH = 30;
+
+/**
+ * What happens to a body that falls below the kill plane
+ * - respawn: back to where it was added, at rest
+ * - remove: deleted from the scene
+ */
+export const KILL_PLANE_ACTIONS = ["respawn", "remove"];
+
+/**
+ * Converts a [x, y, z] euler rotation (XYZ order) to a quaternion
+ * @param {number[]} rotation - Euler angles in radians
+ * @returns {number[]} Quaternion [x, y, z, w]
+ */
+function eulerToQuaternion([x, y, z]) {
+  const [sx, sy, sz] = [x, y, z].map((angle) => Math.sin(angle / 2));
+  const [cx, cy, cz] = [x, y, z].map((angle) => Math.cos(angle / 2));
+  return [
+    sx * cy * cz + cx * sy * sz,
+    cx * sy * cz - sx * cy * sz,
+    cx * cy * sz + sx * sy * cz,
+    cx * cy * cz - sx * sy * sz,
+  ];
+}
+
+/**
+ * Rotates a vector by a quaternion
+ * @param {number[]} quaternion - [x, y, z, w]
+ * @param {number[]} vector - [x, y, z]
+ * @returns {number[]} Rotated vector
+ */
+function rotate([qx, qy, qz, qw], [x, y, z]) {
+  // t = 2 q × v; v' = v + w t + q × t
+  const tx = 2 * (qy * z - qz * y);
+  const ty = 2 * (qz * x - qx * z);
+  const tz = 2 * (qx * y - qy * x);
+  return [
+    x + qw * tx + (qy * tz - qz * ty),
+    y + qw * ty + (qz * tx - qx * tz),
+    z + qw * tz + (qx * ty - qy * tx),
+  ];
+}
+
+/**
+ * Places a shape that sits on a point: its center is half its height above
+ * the point, turned with the piece
+ * @param {number[]} base - Middle of the underside [x, y, z]
+ * @param {number} height - Height of the shape
+ * @param {number[]} rotation - Euler angles in radians
+ * @returns {Object} { position, quaternion }
+ */
+function placeOnBase(base, height, rotation) {
+  const quaternion = eulerToQuaternion(rotation);
+  const lift = rotate(quaternion, [0, height / 2, 0]);
+  return {
+    position: base.map((value, axis) => value + lift[axis]),
+    quaternion,
+  };
+}
+
+/**
+ * Builds the shape and pose of a level piece, in the body description format
+ * @param {Object} settings - Piece with its defaults filled in
+ * @returns {Object} { shape, size | parts, position, quaternion }
+ */
+function buildPieceShape(settings) {
+  const { type, position = [0, 0, 0], rotation = [0, 0, 0] } = settings;
+
+  switch (type) {
+    case "wall": {
+      const { from, to, y, height, thickness } = settings;
+      const dx = to[0] - from[0];
+      const dz = to[1] - from[1];
+      return {
+        shape: "box",
+        size: [Math.hypot(dx, dz), height, thickness],
+        position: [
+          (from[0] + to[0]) / 2,
+          y + height / 2,
+          (from[1] + to[1]) / 2,
+        ],
+        // Along X when unturned; -atan2 because turning about Y takes X towards -Z
+        quaternion: eulerToQuaternion([0, -Math.atan2(dz, dx), 0]),
+      };
+    }
+
+    case "ramp":
+    case "platform": {
+      const { size } = settings;
+      return {
+        shape: type === "ramp" ? "wedge" : "box",
+        size,
+        ...placeOnBase(position, size[1], rotation),
+      };
+    }
+
+    case "stairs": {
+      // Solid steps from the underside up, lowest at +Z
+      const [width, height, depth] = settings.size;
+      const { steps } = settings;
+      const parts = [];
+      for (let i = 0; i < steps; i++) {
+        const stepHeight = (height * (i + 1)) / steps;
+        parts.push({
+          shape: "box",
+          size: [width, stepHeight, depth / steps],
+          offset: [
+            0,
+            (stepHeight - height) / 2,
+            depth / 2 - (depth * (i + 0.5)) / steps,
+          ],
+        });
+      }
+      return {
+        shape: "compound",
+        parts,
+        ...placeOnBase(position, height, rotation),
+      };
+    }
+
+    case "arena": {
+      // Four walls around the area, the north and south ones covering the corners
+      const [width, depth] = settings.size;
+      const { height, thickness } = settings;
+      const long = [width + thickness * 2, height, thickness];
+      const short = [thickness, height, depth];
+      const x = (width + thickness) / 2;
+      const z = (depth + thickness) / 2;
+      return {
+        shape: "compound",
+        parts: [
+          { shape: "box", size: long, offset: [0, 0, -z] },
+          { shape: "box", size: long, offset: [0, 0, z] },
+          { shape: "box", size: short, offset: [-x, 0, 0] },
+          { shape: "box", size: short, offset: [x, 0, 0] },
+        ],
+        ...placeOnBase(position, height, rotation),
+      };
+    }
+
+    default:
+      throw new Error(
+        `Unknown level piece "${type}". Expected one of: ${LEVEL_PIECE_TYPES.join(", ")}`
+      );
+  }
+}
+
+/**
+ * Describes the body of a level piece
+ * Pieces have no mass: static ones never move, and kinematic ones (every
+ * piece with a motion) move only when driven, pushing dynamic bodies without
+ * being pushed back.
+ * @param {Object} piece - Level piece from a scene's level list
+ * @returns {Object} Body description for createBody and createPhysicsBody,
+ *   with position [x, y, z] and quaternion [x, y, z, w]
+ */
+export function createLevelBodySpec(piece) {
+  const settings = { ...LEVEL_PIECE_DEFAULTS[piece.type], ...piece };
+  return {
+    id: piece.id,
+    ...buildPieceShape(settings),
+    mass: 0,
+    kinematic: settings.kinematic === true || settings.motion !== undefined,
+    material: settings.material ?? DEFAULT_LEVEL_MATERIAL,
+    color: settings.color,
+  };
+}
+
+/**
+ * Describes the body of the floor: a slab whose top is the floor height
+ * @param {Object} floor - Floor from a parsed scene ({ y, size, material })
+ * @returns {Object} Body description for createBody and createPhysicsBody
+ */
+export function createFloorBodySpec({ y, size, material }) {
+  return {
+    shape: "box",
+    size: [size[0], FLOOR_THICKNESS, size[1]],
+    position: [0, y - FLOOR_THICKNESS / 2, 0],
+    quaternion: [0, 0, 0, 1],
+    mass: 0,
+    material,
+    color: FLOOR_COLOR,
+  };
+}
+
+/**
+ * Lists the bodies that have fallen below a kill plane
+ * @param {Object[]} entries - { body, spec } entries to check
+ * @param {Object} killPlane - { y, action } from a parsed scene
+ * @returns {Object[]} The entries below the plane
+ */
+export function findFallenBodies(entries, killPlane) {
+  return entries.filter(({ body }) => body.position.y < killPlane.y);
+}
+
+/**
+ * The state a fallen body respawns in: where it was added, at rest
+ * @param {Object} spec - Body description it was added from; position and
+ *   quaternion may be arrays or { x, y, z(, w) } vectors
+ * @returns {Object} State for setBodyState
+ */
+export function getRespawnState({ position, quaternion }) {
+  const toArray = (value, keys) =>
+    Array.isArray(value) ? [...value] : keys.map((key) => value[key]);
+  return {
+    position: position ? toArray(position, ["x", "y", "z"]) : [0, 0, 0],
+    quaternion: quaternion
+      ? toArray(quaternion, ["x", "y", "z", "w"])
+      : [0, 0, 0, 1],
+    velocity: [0, 0, 0],
+    angularVelocity: [0, 0, 0],
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Kinematic motion
+ * Poses of animated level pieces as a function of simulated time: simple
+ * motion primitives (ping-pong, rotation, pendulum, elevator) and keyframed
+ * paths. Pieces are moved through their velocity, never by teleporting, so
+ * dynamic bodies riding or hit by them are carried and pushed correctly.
+ * Works on Cannon.js math only (no Three.js), so the main thread, the worker
+ * and Node all move pieces identically.
+ * Relative imports carry their .js extension for Node's ESM resolver.
+ */
+
+import * as CANNON from "cannon-es";
+
+/**
+ * Motion types a level piece can have
+ */
+export const MOTION_TYPES = [
+  "pingPong",
+  "rotate",
+  "pendulum",
+  "elevator",
+  "keyframes",
+];
+
+/**
+ * Settings used for the keys a motion leaves out
+ * - pingPong: slides by offset [x, y, z] and back, easing at both ends, once per period
+ * - rotate: spins about axis through the piece's center at speed rad/s
+ * - pendulum: swings amplitude radians each way about axis, around a pivot
+ *   length meters above the piece, once per period
+ * - elevator: waits pause seconds, rises height meters over travel seconds,
+ *   waits and comes back down
+ * - keyframes: moves through { time, offset, rotation } keys (offsets and
+ *   euler rotations from the piece's rest pose), starting over after the last
+ *   key when loop is set
+ * Every motion also takes startTime, the seconds into the motion it starts at.
+ */
+export const MOTION_DEFAULTS = {
+  pingPong: { offset: [0, 0, 6], period: 4 },
+  rotate: { axis: [0, 1, 0], speed: 0.5 },
+  pendulum: { axis: [0, 0, 1], amplitude: 0.6, period: 3, length: 5 },
+  elevator: { height: 4, travel: 3, pause: 1 },
+  keyframes: { keyframes: [], loop: true },
+};
+
+/**
+ * Eases 0..1 in and out, so motions start and stop without a jolt
+ * @param {number} t - Progress from 0 to 1
+ * @returns {number} Eased progress
+ */
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+/**
+ * Creates a rotation of an angle about an axis
+ * @param {number[]} axis - Axis [x, y, z] (normalized here)
+ * @param {number} angle - Angle in radians
+ * @returns {CANNON.Quaternion} Rotation
+ */
+function axisRotation(axis, angle) {
+  const unit = new CANNON.Vec3(...axis);
+  unit.normalize();
+  return new CANNON.Quaternion().setFromAxisAngle(unit, angle);
+}
+
+/**
+ * Creates a rotation from [x, y, z] euler angles
+ * @param {number[]} rotation - Euler angles in radians
+ * @returns {CANNON.Quaternion} Rotation
+ */
+function eulerRotation([x, y, z]) {
+  return new CANNON.Quaternion().setFromEuler(x, y, z);
+}
+
+/**
+ * Finds the offset and rotation of a keyframed path at a time
+ * Keys are interpolated linearly (rotations along the shortest arc); before
+ * the first key and after the last one the path holds still.
+ * @param {Object} settings - Keyframes motion with its defaults filled in
+ * @param {number} time - Seconds into the motion
+ * @returns {Object} { offset: CANNON.Vec3, rotation: CANNON.Quaternion }
+ */
+function sampleKeyframes({ keyframes, loop }, time) {
+  const keys = keyframes.map((key) => ({
+    time: key.time,
+    offset: new CANNON.Vec3(...(key.offset ?? [0, 0, 0])),
+    rotation: eulerRotation(key.rotation ?? [0, 0, 0]),
+  }));
+  if (keys.length === 0) {
+    return { offset: new CANNON.Vec3(), rotation: new CANNON.Quaternion() };
+  }
+
+  const duration = keys[keys.length - 1].time;
+  const t =
+    loop && duration > 0 ? ((time % duration) + duration) % duration : time;
+  const next = keys.findIndex((key) => key.time > t);
+  if (next === 0) return keys[0];
+  if (next === -1) return keys[keys.length - 1];
+
+  const from = keys[next - 1];
+  const to = keys[next];
+  const progress = (t - from.time) / (to.time - from.time);
+  const offset = new CANNON.Vec3();
+  from.offset.lerp(to.offset, progress, offset);
+  const rotation = new CANNON.Quaternion();
+  from.rotation.slerp(to.rotation, progress, rotation);
+  return { offset, rotation };
+}
+
+/**
+ * Works out where an animated piece is at a time
+ * @param {Object} motion - Motion description (see MOTION_DEFAULTS)
+ * @param {Object} rest - { position, quaternion } the piece was built in
+ * @param {number} time - Simulated seconds since the scene was loaded
+ * @returns {Object} { position: CANNON.Vec3, quaternion: CANNON.Quaternion }
+ */
+export function getMotionPose(motion, rest, time) {
+  const settings = { ...MOTION_DEFAULTS[motion.type], ...motion };
+  const t = time + (settings.startTime ?? 0);
+  const position = rest.position.clone();
+  const quaternion = rest.quaternion.clone();
+
+  switch (settings.type) {
+    case "pingPong": {
+      // 0 -> 1 -> 0 once per period, slowing down at both ends
+      const phase = (1 - Math.cos((2 * Math.PI * t) / settings.period)) / 2;
+      position.vadd(new CANNON.Vec3(...settings.offset).scale(phase), position);
+      break;
+    }
+
+    case "rotate":
+      axisRotation(settings.axis, settings.speed * t).mult(
+        rest.quaternion,
+        quaternion
+      );
+      break;
+
+    case "pendulum": {
+      const angle =
+        settings.amplitude * Math.sin((2 * Math.PI * t) / settings.period);
+      const swing = axisRotation(settings.axis, angle);
+      const pivot = rest.position.vadd(new CANNON.Vec3(0, settings.length, 0));
+      pivot.vadd(swing.vmult(rest.position.vsub(pivot)), position);
+      swing.mult(rest.quaternion, quaternion);
+      break;
+    }
+
+    case "elevator": {
+      // Wait at the bottom, rise, wait at the top, come down
+      const { height, travel, pause } = settings;
+      const cycle = 2 * (pause + travel);
+      const at = ((t % cycle) + cycle) % cycle;
+      let lift;
+      if (at < pause) lift = 0;
+      else if (at < pause + travel) lift = smoothstep((at - pause) / travel);
+      else if (at < 2 * pause + travel) lift = 1;
+      else lift = 1 - smoothstep((at - 2 * pause - travel) / travel);
+      position.y += height * lift;
+      break;
+    }
+
+    case "keyframes": {
+      const { offset, rotation } = sampleKeyframes(settings, t);
+      position.vadd(offset, position);
+      rotation.mult(rest.quaternion, quaternion);
+      break;
+    }
+
+    default:
+      throw new Error(
+        `Unknown motion "${settings.type}". Expected one of: ${MOTION_TYPES.join(", ")}`
+      );
+  }
+
+  return { position, quaternion };
+}
+
+/**
+ * Sets a body's velocities so that one step of dt takes it to a pose
+ * Kinematic bodies move by their velocity alone, and contacts see that
+ * velocity, so bodies in the way are pushed and riders are carried along.
+ * @param {CANNON.Body} body - Kinematic body
+ * @param {Object} target - { position, quaternion } to reach
+ * @param {number} dt - Step size in seconds
+ */
+export function driveBodyToPose(body, target, dt) {
+  target.position.vsub(body.position, body.velocity);
+  body.velocity.scale(1 / dt, body.velocity);
+
+  // The rotation still to go, as an axis and angle along the shortest arc
+  const turn = target.quaternion.mult(body.quaternion.conjugate());
+  if (turn.w < 0) turn.set(-turn.x, -turn.y, -turn.z, -turn.w);
+  const angle = 2 * Math.acos(Math.min(turn.w, 1));
+  const sine = Math.sqrt(Math.max(1 - turn.w * turn.w, 0));
+  if (sine < 1e-9) {
+    body.angularVelocity.set(0, 0, 0);
+  } else {
+    const rate = angle / sine / dt;
+    body.angularVelocity.set(turn.x * rate, turn.y * rate, turn.z * rate);
+  }
+}
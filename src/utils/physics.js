@@ -0,0 +1,346 @@
+/**
+ * Physics helper functions
+ * Cannon.js world, spring, motion, force field and drag-joint helpers with no
+ * dependency on the DOM or Three.js, so they run both in the browser and in
+ * Node (see headless.js), which is why imports here keep their .js extension.
+ * Every step of a world from createPhysicsWorld applies spring and force field
+ * forces in preStep (after solving, before integrating) and drives animated
+ * bodies in postStep (after integrating), so the next step's solver already
+ * sees them moving.
+ */
+
+import * as CANNON from "cannon-es";
+import { createMaterialRegistry } from "./physicsMaterials.js";
+import { getMotionPose, driveBodyToPose } from "./motion.js";
+import {
+  createForceField,
+  placeForceField,
+  applyForceFields,
+} from "./forceFields.js";
+import { DEFAULT_WORLD_SETTINGS, applyWorldSettings } from "./sceneFormat.js";
+
+/**
+ * Drag joint settings for each pointer type
+ * - stiffness, relaxation: spook parameters of the joint equations (lower
+ *   stiffness and higher relaxation feel softer and more "held")
+ * - collideConnected: whether the held body collides with its joint body
+ * Unknown pointer types get the mouse settings.
+ */
+export const DRAG_JOINT_SETTINGS = {
+  mouse: { stiffness: 1e7, relaxation: 3, collideConnected: false },
+  pen: { stiffness: 5e6, relaxation: 5, collideConnected: false },
+  touch: { stiffness: 1e6, relaxation: 10, collideConnected: true },
+};
+
+/**
+ * Creates a physics world for simulation
+ * @param {Object} settings - World settings in the scene format (see
+ *   DEFAULT_WORLD_SETTINGS), e.g. the world part of an exported physics config;
+ *   materials holds { materials, contacts } for the material registry
+ * @returns {CANNON.World} Configured physics world with a `materialRegistry`,
+ *   a `springs` list, a `motions` list and a `forceFields` list
+ */
+export function createPhysicsWorld(settings = {}) {
+  const world = new CANNON.World();
+
+  // Contacts between bodies without registry materials
+  // BOUNCE CONTROL: Lower restitution (bounciness) value makes objects less bouncy
+  world.defaultContactMaterial.restitution = 0.2; // Low default bounciness
+  world.defaultContactMaterial.friction = 0.7; // Good friction
+  world.defaultContactMaterial.contactEquationStiffness = 1e7; // More stable contacts
+  world.defaultContactMaterial.contactEquationRelaxation = 3; // Relaxation for stability
+
+  // Named materials and their pairwise contact table, shared by every shape factory
+  world.materialRegistry = createMaterialRegistry(world, settings.materials);
+
+  // Springs aren't solver constraints, so the world applies their forces itself
+  world.springs = [];
+  world.addEventListener("preStep", () => applySpringForces(world));
+
+  // Force fields push the bodies inside them
+  world.forceFields = [];
+  world.addEventListener("preStep", () => applyForceFields(world));
+
+  // Animated kinematic bodies are given the velocity for their next pose
+  world.motions = [];
+  world.addEventListener("postStep", () => driveMotions(world));
+
+  // Gravity, solver, sleep and contact override
+  applyWorldSettings(world, {
+    ...DEFAULT_WORLD_SETTINGS,
+    ...settings,
+    solver: { ...DEFAULT_WORLD_SETTINGS.solver, ...settings.solver },
+  });
+
+  return world;
+}
+
+/**
+ * Applies the force of every spring in a world
+ * Springs between bodies that are all asleep are skipped, since applying a
+ * force wakes a body and they could never settle otherwise.
+ * @param {CANNON.World} world - Physics world with a `springs` list
+ */
+function applySpringForces(world) {
+  world.springs.forEach((spring) => {
+    const asleep = [spring.bodyA, spring.bodyB].every(
+      (body) =>
+        body.type !== CANNON.Body.DYNAMIC ||
+        body.sleepState === CANNON.Body.SLEEPING
+    );
+    if (!asleep) spring.applyForce();
+  });
+}
+
+/**
+ * Animates a kinematic body along a motion (see motion.js)
+ * The body's pose when added is the rest pose the motion is relative to; it
+ * is placed where the motion is at the world's current time straight away.
+ * @param {CANNON.World} world - Physics world with a `motions` list
+ * @param {CANNON.Body} body - Kinematic body
+ * @param {Object} motion - Motion description
+ */
+export function addBodyMotion(world, body, motion) {
+  const entry = {
+    body,
+    motion,
+    rest: {
+      position: body.position.clone(),
+      quaternion: body.quaternion.clone(),
+    },
+  };
+  // Sleeping kinematic bodies aren't integrated, and damping would slow them
+  body.allowSleep = false;
+  body.linearDamping = 0;
+  body.angularDamping = 0;
+  world.motions.push(entry);
+  placeMotionBody(entry, world.time);
+}
+
+/**
+ * Stops animating a body
+ * @param {CANNON.World} world - Physics world with a `motions` list
+ * @param {CANNON.Body} body - Animated body
+ */
+export function removeBodyMotion(world, body) {
+  world.motions = world.motions.filter((entry) => entry.body !== body);
+}
+
+/**
+ * Puts every animated body where its motion is at the world's current time
+ * For worlds that mirror another one instead of being stepped.
+ * @param {CANNON.World} world - Physics world with a `motions` list
+ */
+export function placeMotionBodies(world) {
+  world.motions.forEach((entry) => placeMotionBody(entry, world.time));
+}
+
+/**
+ * Puts an animated body where its motion is at a time
+ * @param {Object} entry - { body, motion, rest } from world.motions
+ * @param {number} time - Simulated seconds
+ */
+function placeMotionBody({ body, motion, rest }, time) {
+  const pose = getMotionPose(motion, rest, time);
+  body.position.copy(pose.position);
+  body.quaternion.copy(pose.quaternion);
+  body.aabbNeedsUpdate = true;
+}
+
+/**
+ * Sets the velocities that take every animated body to its next pose
+ * Runs before the world clock advances, so the next step ends at time + 2 dt.
+ * Sleeping bodies touching a moving one are woken, since Cannon.js only wakes
+ * them for bodies that are already fast.
+ * @param {CANNON.World} world - Physics world with a `motions` list
+ */
+function driveMotions(world) {
+  if (world.motions.length === 0) return;
+
+  const { dt } = world;
+  const moving = new Set();
+  world.motions.forEach(({ body, motion, rest }) => {
+    driveBodyToPose(body, getMotionPose(motion, rest, world.time + 2 * dt), dt);
+    if (
+      body.velocity.lengthSquared() > 0 ||
+      body.angularVelocity.lengthSquared() > 0
+    ) {
+      moving.add(body);
+    }
+  });
+
+  world.contacts.forEach(({ bi, bj }) => {
+    if (moving.has(bi) && bj.sleepState === CANNON.Body.SLEEPING) bj.wakeUp();
+    if (moving.has(bj) && bi.sleepState === CANNON.Body.SLEEPING) bi.wakeUp();
+  });
+}
+
+/**
+ * Adds a force field to a world (see forceFields.js)
+ * @param {CANNON.World} world - Physics world with a `forceFields` list
+ * @param {Object} spec - Field description with an id
+ * @returns {Object} The created field
+ */
+export function addForceField(world, spec) {
+  const field = createForceField(spec);
+  world.forceFields.push(field);
+  wakeDynamicBodies(world);
+  return field;
+}
+
+/**
+ * Removes a force field from a world
+ * @param {CANNON.World} world - Physics world with a `forceFields` list
+ * @param {string} id - Scene id of the field
+ */
+export function removeForceField(world, id) {
+  world.forceFields = world.forceFields.filter((field) => field.id !== id);
+  wakeDynamicBodies(world);
+}
+
+/**
+ * Moves a force field
+ * @param {CANNON.World} world - Physics world with a `forceFields` list
+ * @param {string} id - Scene id of the field
+ * @param {number[]} position - New center [x, y, z]
+ */
+export function moveForceField(world, id, position) {
+  const field = world.forceFields.find((candidate) => candidate.id === id);
+  if (!field) return;
+  placeForceField(field, position);
+  wakeDynamicBodies(world);
+}
+
+/**
+ * Wakes every dynamic body, so sleeping ones notice a field that came or went
+ * @param {CANNON.World} world - Physics world
+ */
+function wakeDynamicBodies(world) {
+  world.bodies.forEach((body) => {
+    if (body.type === CANNON.Body.DYNAMIC) body.wakeUp();
+  });
+}
+
+/**
+ * Creates a joint body for constraints
+ * @param {CANNON.World} world - Cannon.js physics world
+ * @returns {CANNON.Body} Joint body
+ */
+export function createJointBody(world) {
+  const jointShape = new CANNON.Sphere(0.1);
+  const jointBody = new CANNON.Body({ mass: 0 });
+  jointBody.addShape(jointShape);
+  jointBody.collisionFilterGroup = 0;
+  jointBody.collisionFilterMask = 0;
+  world.addBody(jointBody);
+  return jointBody;
+}
+
+/**
+ * Adds a point-to-point constraint
+ * @param {THREE.Vector3} position - Constraint position
+ * @param {CANNON.Body} constrainedBody - Body to constrain
+ * @param {CANNON.Body} jointBody - Joint body
+ * @param {CANNON.World} world - Physics world
+ * @param {string} pointerType - Pointer doing the drag (see DRAG_JOINT_SETTINGS)
+ * @returns {CANNON.PointToPointConstraint} Constraint
+ */
+export function addJointConstraint(
+  position,
+  constrainedBody,
+  jointBody,
+  world,
+  pointerType = "mouse"
+) {
+  // Vector from body to clicked point
+  const vector = new CANNON.Vec3()
+    .copy(position)
+    .vsub(constrainedBody.position);
+
+  // Transform to local body coordinates
+  const antiRotation = constrainedBody.quaternion.inverse();
+  const pivot = antiRotation.vmult(vector);
+
+  // Move the joint body to the clicked position
+  jointBody.position.copy(position);
+
+  // Create constraint
+  const constraint = new CANNON.PointToPointConstraint(
+    constrainedBody,
+    pivot,
+    jointBody,
+    new CANNON.Vec3(0, 0, 0)
+  );
+
+  setJointStiffness(constraint, world, pointerType);
+
+  // Add to world
+  world.addConstraint(constraint);
+  return constraint;
+}
+
+/**
+ * Adds a lock constraint that holds both the position and the orientation of
+ * a body relative to the joint body (a "rigid grab")
+ * Turning the joint body then turns the body about the grab point.
+ * @param {CANNON.Vec3} position - Constraint position
+ * @param {CANNON.Body} constrainedBody - Body to constrain
+ * @param {CANNON.Body} jointBody - Joint body
+ * @param {CANNON.World} world - Physics world
+ * @param {string} pointerType - Pointer doing the drag (see DRAG_JOINT_SETTINGS)
+ * @returns {CANNON.LockConstraint} Constraint
+ */
+export function addRigidJointConstraint(
+  position,
+  constrainedBody,
+  jointBody,
+  world,
+  pointerType = "mouse"
+) {
+  // The lock keeps the current offset and relative rotation, so place the joint first
+  jointBody.position.copy(position);
+  jointBody.quaternion.set(0, 0, 0, 1);
+
+  const constraint = new CANNON.LockConstraint(constrainedBody, jointBody);
+  setJointStiffness(constraint, world, pointerType);
+
+  world.addConstraint(constraint);
+  return constraint;
+}
+
+/**
+ * Tunes the equations of a drag constraint for the pointer doing the drag
+ * @param {CANNON.Constraint} constraint - Drag constraint
+ * @param {CANNON.World} world - Physics world
+ * @param {string} pointerType - Pointer doing the drag (see DRAG_JOINT_SETTINGS)
+ */
+function setJointStiffness(constraint, world, pointerType) {
+  const { stiffness, relaxation, collideConnected } =
+    DRAG_JOINT_SETTINGS[pointerType] ?? DRAG_JOINT_SETTINGS.mouse;
+  constraint.equations.forEach((eq) => {
+    eq.setSpookParams(stiffness, relaxation, world.dt);
+  });
+  constraint.collideConnected = collideConnected;
+}
+
+/**
+ * Update joint position
+ * @param {THREE.Vector3} position - New position
+ * @param {CANNON.Body} jointBody - Joint body
+ * @param {CANNON.PointToPointConstraint} constraint - Constraint to update
+ */
+export function moveJoint(position, jointBody, constraint) {
+  jointBody.position.copy(position);
+  constraint.update();
+}
+
+/**
+ * Remove a constraint from the physics world
+ * @param {CANNON.World} world - Physics world
+ * @param {CANNON.Constraint} constraint - Constraint to remove
+ */
+export function removeJointConstraint(world, constraint) {
+  if (constraint) {
+    world.removeConstraint(constraint);
+  }
+}
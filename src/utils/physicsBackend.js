@@ -0,0 +1,363 @@
+/**
+ * Physics backends
+ * Runs the simulation in a Web Worker when the browser supports it, or on the
+ * main thread otherwise, behind one API. In worker mode the main-thread world
+ * becomes a mirror: its bodies still describe the scene for picking, rendering
+ * and saving, and receive the worker's body states every frame, but they are
+ * never stepped themselves.
+ */
+
+import {
+  createCommandRunner,
+  readBodyStates,
+  readDebugInfo,
+} from "./physicsCommands";
+import { placeMotionBodies } from "./physics";
+
+/**
+ * Most queued steps before the worker counts as behind
+ */
+const MAX_PENDING_STEPS = 20;
+
+/**
+ * Commands after which earlier state buffers no longer match the scene
+ */
+const STATE_CHANGING_COMMANDS = ["addBody", "removeBody", "setBodyStates"];
+
+/**
+ * Creates a backend that steps the main-thread world directly
+ * @param {Object} options - { world, getBody, getBodyId, dt }
+ * @returns {Object} Backend
+ */
+function createLocalBackend({ world, getBody, getBodyId, dt }) {
+  const runner = createCommandRunner(world, getBody, dt, { getBodyId });
+  let debug = false;
+  let stepTime = 0; // Milliseconds spent stepping since the last sync
+  let lastStepTime = 0;
+
+  return {
+    mode: "main",
+    // The world was already rebuilt by loadScene, so there is nothing to copy
+    load() {
+      runner.release();
+    },
+    run(command) {
+      if (command.type !== "step") {
+        runner.run(command);
+        return;
+      }
+      const started = performance.now();
+      runner.run(command);
+      stepTime += performance.now() - started;
+    },
+    sync() {
+      lastStepTime = stepTime;
+      stepTime = 0;
+    },
+    getStepTime: () => lastStepTime,
+    takeCollisions: runner.takeCollisions,
+    isBehind: () => false,
+    takeUnfinished: () => [],
+    setDebug(enabled) {
+      debug = enabled;
+    },
+    getDebugInfo: () => (debug ? readDebugInfo(world) : null),
+    dispose() {
+      runner.release();
+    },
+  };
+}
+
+/**
+ * Creates a backend that forwards commands to a physics worker
+ * Commands queue up during a frame and are sent as one batch; the next batch
+ * waits until the worker has answered the previous one, handing the state
+ * buffer back and forth instead of copying it.
+ * @param {Object} options - { worker, world, objects, serialize, dt, onError }
+ * @returns {Object} Backend
+ */
+function createWorkerBackend({
+  worker,
+  world,
+  objects,
+  serialize,
+  dt,
+  onError,
+}) {
+  let pending = [];
+  let inFlight = null;
+  let buffer = null;
+  let generation = 0;
+  let debug = false;
+  let debugInfo = null;
+  let stepTime = 0;
+  let collisions = [];
+
+  worker.addEventListener("message", ({ data }) => {
+    buffer = data.buffer;
+    inFlight = null;
+    debugInfo = data.debug ?? null;
+    stepTime = data.time;
+    collisions.push(...data.collisions);
+
+    // States from before the latest load or body change don't line up with objects
+    if (data.generation === generation) {
+      readBodyStates(
+        objects.map(({ body }) => body),
+        buffer
+      );
+
+      // Animated pieces follow the worker's clock, so they match the states
+      world.time = data.worldTime;
+      placeMotionBodies(world);
+    }
+  });
+  worker.addEventListener("error", (event) => {
+    event.preventDefault();
+    onError(new Error(event.message || "Physics worker failed"));
+  });
+
+  return {
+    mode: "worker",
+
+    /**
+     * Sends the current main-thread scene to the worker
+     */
+    load() {
+      generation++;
+      pending.push({ type: "load", scene: serialize(), dt, generation });
+    },
+
+    run(command) {
+      // Body changes invalidate states computed before them, like a load does
+      if (STATE_CHANGING_COMMANDS.includes(command.type)) {
+        generation++;
+        pending.push({ ...command, generation });
+        return;
+      }
+      pending.push(command);
+    },
+
+    /**
+     * Sends queued commands if the worker is idle
+     */
+    sync() {
+      if (inFlight || pending.length === 0) return;
+
+      inFlight = pending;
+      pending = [];
+      worker.postMessage(
+        { commands: inFlight, buffer, debug },
+        buffer ? [buffer.buffer] : []
+      );
+      buffer = null;
+    },
+
+    /**
+     * Checks whether more steps are queued than the worker can catch up on
+     * @returns {boolean} True when the caller should stop queueing steps
+     */
+    isBehind() {
+      const steps = pending.filter(({ type }) => type === "step").length;
+      return inFlight !== null && steps >= MAX_PENDING_STEPS;
+    },
+
+    /**
+     * Lists commands whose results never reached the main thread
+     * @returns {Object[]} Commands in the order they were queued
+     */
+    takeUnfinished() {
+      const unfinished = [...(inFlight || []), ...pending];
+      inFlight = null;
+      pending = [];
+      return unfinished;
+    },
+
+    /**
+     * Asks the worker to send contacts and constraint links with each answer
+     * @param {boolean} enabled - Whether the debug overlay is showing
+     */
+    setDebug(enabled) {
+      debug = enabled;
+      if (!enabled) debugInfo = null;
+    },
+
+    getDebugInfo: () => debugInfo,
+
+    getStepTime: () => stepTime,
+
+    takeCollisions() {
+      const taken = collisions;
+      collisions = [];
+      return taken;
+    },
+
+    dispose() {
+      worker.terminate();
+    },
+  };
+}
+
+/**
+ * Starts the physics worker
+ * @returns {Worker|null} Worker, or null when the browser has no workers
+ * @throws {Error} When the worker script cannot be started
+ */
+function startPhysicsWorker() {
+  if (typeof Worker === "undefined") return null;
+
+  return new Worker(new URL("../workers/physicsWorker.js", import.meta.url), {
+    type: "module",
+  });
+}
+
+/**
+ * Creates the physics backend for a scene
+ * Call load() after every loadScene() on the main thread, step() once per
+ * fixed step and sync() once per frame before reading body transforms.
+ * @param {Object} options - Backend options
+ * @param {CANNON.World} options.world - Main-thread world built by loadScene
+ * @param {Object[]} options.objects - Scene objects ({ mesh, body, spec }), mutated in place
+ * @param {Function} options.serialize - Returns the scene description to send to the worker
+ * @param {Function} options.getBodyId - Scene id of a main-thread body (FLOOR_ID
+ *   for the floor), for collisions when stepping on the main thread
+ * @param {number} options.dt - Fixed step size in seconds
+ * @param {boolean} options.useWorker - Try to step in a worker (falls back to the main thread)
+ * @param {Function} options.onFallback - Receives the Error when the worker
+ *   could not start or failed, and stepping moved to the main thread
+ * @returns {Object} Physics backend
+ */
+export function createPhysicsBackend({
+  world,
+  objects,
+  serialize,
+  getBodyId,
+  dt,
+  useWorker = true,
+  onFallback,
+}) {
+  const getBody = (id) => objects.find(({ spec }) => spec.id === id)?.body;
+  let stepNumber = 0;
+  let backend = null;
+  let debug = false;
+
+  function runOnMainThread(unfinished = []) {
+    backend = createLocalBackend({ world, getBody, getBodyId, dt });
+    backend.setDebug(debug);
+
+    // Re-run what the worker never answered; the main-thread scene already
+    // reflects the latest load, so only the commands after it are needed
+    const lastLoad = unfinished.map(({ type }) => type).lastIndexOf("load");
+    unfinished.slice(lastLoad + 1).forEach((command) => backend.run(command));
+  }
+
+  let worker = null;
+  try {
+    worker = useWorker ? startPhysicsWorker() : null;
+  } catch (error) {
+    onFallback?.(new Error(`Physics worker unavailable: ${error.message}`));
+  }
+  if (worker) {
+    backend = createWorkerBackend({
+      worker,
+      world,
+      objects,
+      serialize,
+      dt,
+      onError: (error) => {
+        const unfinished = backend.takeUnfinished();
+        backend.dispose();
+        runOnMainThread(unfinished);
+        onFallback?.(new Error(`Physics worker failed: ${error.message}`));
+      },
+    });
+  } else {
+    runOnMainThread();
+  }
+
+  return {
+    /**
+     * Where the simulation runs: "worker" or "main"
+     */
+    get mode() {
+      return backend.mode;
+    },
+
+    /**
+     * Number of steps run since the last load
+     */
+    get stepNumber() {
+      return stepNumber;
+    },
+
+    /**
+     * Rebuilds the simulation from the main-thread scene
+     */
+    load() {
+      stepNumber = 0;
+      backend.load();
+    },
+
+    /**
+     * Runs one fixed step
+     */
+    step() {
+      stepNumber++;
+      backend.run({ type: "step" });
+    },
+
+    /**
+     * Applies a command (see physicsCommands.js)
+     * @param {Object} command - { type, ... }
+     */
+    run(command) {
+      backend.run(command);
+    },
+
+    sync() {
+      backend.sync();
+    },
+
+    isBehind() {
+      return backend.isBehind();
+    },
+
+    /**
+     * Time the latest batch of commands took to run, i.e. one frame's steps
+     * @returns {number} Milliseconds
+     */
+    getStepTime() {
+      return backend.getStepTime();
+    },
+
+    /**
+     * Hands over the collisions reported since the last call
+     * @returns {Object[]} { bodyA, bodyB, point, normal, speed } for each pair
+     *   of bodies that started touching (see readCollision in physicsCommands.js)
+     */
+    takeCollisions() {
+      return backend.takeCollisions();
+    },
+
+    /**
+     * Turns collection of debug overlay data on or off
+     * @param {boolean} enabled - Whether the debug overlay is showing
+     */
+    setDebug(enabled) {
+      debug = enabled;
+      backend.setDebug(enabled);
+    },
+
+    /**
+     * Contacts and constraint links from the stepped world (see readDebugInfo)
+     * @returns {Object|null} Latest { contacts, links }, or null while debugging is off
+     */
+    getDebugInfo() {
+      return backend.getDebugInfo();
+    },
+
+    dispose() {
+      backend.dispose();
+    },
+  };
+}
@@ -0,0 +1,439 @@
+/**
+ * Physics commands
+ * Plain-data commands (step, drag, impulse) applied to a Cannon.js world, plus
+ * the flat body-state layout used to send results between threads. The same
+ * runner drives the in-thread world and the physics worker, so both behave
+ * identically. Relative imports carry their .js extension for the worker and Node.
+ */
+
+import * as CANNON from "cannon-es";
+import {
+  createJointBody,
+  addJointConstraint,
+  addRigidJointConstraint,
+  moveJoint,
+  removeJointConstraint,
+} from "./physics.js";
+import { applyBodyState, applyWorldSettings } from "./sceneFormat.js";
+
+/**
+ * Floats per body in a state buffer:
+ * position (3), quaternion (4), velocity (3), angular velocity (3), sleep state (1)
+ */
+export const BODY_STATE_STRIDE = 14;
+
+/**
+ * Creates a runner that applies commands to a world
+ * @param {CANNON.World} world - Physics world
+ * @param {Function} getBody - Looks up a body by its scene id
+ * @param {number} dt - Fixed step size in seconds
+ * @param {Object} hooks - Optional { addBody(spec), removeBody(id),
+ *   addConstraint(spec), removeConstraint(id), addForceField(spec),
+ *   removeForceField(id), moveForceField(id, position) } for worlds whose
+ *   bodies, constraints and fields aren't already managed elsewhere (the
+ *   worker's headless copy),
+ *   and getBodyId(body) to name the bodies in collisions
+ * @returns {Object} Runner with run(command), release() and takeCollisions()
+ */
+export function createCommandRunner(world, getBody, dt, hooks = {}) {
+  // Pointer id -> { jointBody, constraint } for every body being dragged
+  const drags = new Map();
+
+  // Pairs of scene bodies that started touching since the last takeCollisions()
+  let collisions = [];
+  if (hooks.getBodyId) {
+    world.addEventListener("beginContact", ({ bodyA, bodyB }) => {
+      const collision = readCollision(world, bodyA, bodyB, hooks.getBodyId);
+      if (collision) collisions.push(collision);
+    });
+  }
+
+  /**
+   * Lets go of the body a pointer is dragging, or of every dragged body
+   * @param {number} pointer - Pointer id (all pointers when omitted)
+   */
+  function release(pointer) {
+    const pointers = pointer === undefined ? [...drags.keys()] : [pointer];
+    pointers.forEach((id) => {
+      const drag = drags.get(id);
+      if (!drag) return;
+      removeJointConstraint(world, drag.constraint);
+      world.removeBody(drag.jointBody);
+      drags.delete(id);
+    });
+  }
+
+  /**
+   * Applies one command
+   * @param {Object} command - { type: "step" | "dragStart" | "dragMove" | "dragRotate" | "dragEnd" | "applyImpulse" | "addBody" | "removeBody" | "addConstraint" | "removeConstraint" | "addForceField" | "removeForceField" | "moveForceField" | "setBodyStates" | "setWorldSettings" | "setBodyProperties", ... }
+   *   Drag commands carry the id of the pointer doing the drag (0 when omitted)
+   */
+  function run(command) {
+    switch (command.type) {
+      case "step":
+        world.step(dt);
+        break;
+
+      case "dragStart": {
+        const body = getBody(command.body);
+        if (!body) return;
+        const pointer = command.pointer ?? 0;
+        release(pointer);
+
+        // Each pointer pulls its body through its own joint body and constraint;
+        // rigid grabs also hold the body's orientation
+        const jointBody = createJointBody(world);
+        const addConstraint = command.rigid
+          ? addRigidJointConstraint
+          : addJointConstraint;
+        const constraint = addConstraint(
+          new CANNON.Vec3(...command.point),
+          body,
+          jointBody,
+          world,
+          command.pointerType
+        );
+        drags.set(pointer, { jointBody, constraint });
+
+        // Ensure the selected body is awake
+        body.wakeUp();
+
+        // Small upward impulse to unstick the body
+        if (command.nudge) {
+          body.applyImpulse(
+            new CANNON.Vec3(0, command.nudge, 0),
+            body.position
+          );
+        }
+        break;
+      }
+
+      case "dragMove": {
+        const drag = drags.get(command.pointer ?? 0);
+        if (!drag) return;
+        moveJoint(
+          new CANNON.Vec3(...command.point),
+          drag.jointBody,
+          drag.constraint
+        );
+
+        // Keep the joint body awake to prevent sticking
+        if (drag.jointBody.sleepState === CANNON.Body.SLEEPING) {
+          drag.jointBody.wakeUp();
+        }
+        break;
+      }
+
+      case "dragRotate": {
+        // Turns a rigidly grabbed body (orientation relative to the grab)
+        const drag = drags.get(command.pointer ?? 0);
+        if (!drag) return;
+        drag.jointBody.quaternion.set(...command.quaternion);
+        drag.constraint.bodyA.wakeUp();
+        break;
+      }
+
+      case "dragEnd": {
+        const pointer = command.pointer ?? 0;
+        const drag = drags.get(pointer);
+
+        // Throwing hands the pointer's velocity to the body as it lets go
+        if (drag && command.velocity) {
+          throwBody(drag.constraint, command.velocity, command.spin ?? 0);
+        }
+        release(pointer);
+        break;
+      }
+
+      case "applyImpulse": {
+        // At a world point when given, through the center of mass otherwise
+        const body = getBody(command.body);
+        if (!body) return;
+        body.wakeUp();
+        body.applyImpulse(
+          new CANNON.Vec3(...command.impulse),
+          command.point ? new CANNON.Vec3(...command.point) : body.position
+        );
+        break;
+      }
+
+      case "addBody":
+        hooks.addBody?.(command.spec);
+        break;
+
+      case "removeBody": {
+        // Let go first if the body is being dragged
+        const body = getBody(command.body);
+        drags.forEach(({ constraint }, pointer) => {
+          if (constraint.bodyA === body) release(pointer);
+        });
+        hooks.removeBody?.(command.body);
+        break;
+      }
+
+      case "addConstraint":
+        hooks.addConstraint?.(command.spec);
+        // Sleeping bodies wouldn't feel the new joint until something hit them
+        [command.spec.bodyA, command.spec.bodyB].forEach((id) =>
+          getBody(id)?.wakeUp()
+        );
+        break;
+
+      case "removeConstraint":
+        hooks.removeConstraint?.(command.constraint);
+        break;
+
+      case "addForceField":
+        hooks.addForceField?.(command.spec);
+        break;
+
+      case "removeForceField":
+        hooks.removeForceField?.(command.field);
+        break;
+
+      case "moveForceField":
+        hooks.moveForceField?.(command.field, command.position);
+        break;
+
+      case "setBodyStates":
+        // Teleport bodies to saved states (see readBodyState)
+        command.states.forEach((state) => {
+          const body = getBody(state.id);
+          if (body) setBodyState(body, state);
+        });
+        break;
+
+      case "setWorldSettings":
+        // Live tuning; sleeping bodies wouldn't notice e.g. a change of gravity,
+        // unless the change is marked as one they needn't (wake: false)
+        applyWorldSettings(world, command.settings);
+        if (command.wake === false) break;
+        world.bodies.forEach((body) => {
+          if (body.type === CANNON.Body.DYNAMIC) body.wakeUp();
+        });
+        break;
+
+      case "setBodyProperties": {
+        const body = getBody(command.body);
+        if (body) setBodyProperties(body, command.properties);
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown physics command "${command.type}"`);
+    }
+  }
+
+  /**
+   * Hands over the collisions since the last call
+   * @returns {Object[]} Collisions in the order they happened (see readCollision)
+   */
+  function takeCollisions() {
+    const taken = collisions;
+    collisions = [];
+    return taken;
+  }
+
+  return { run, release, takeCollisions };
+}
+
+/**
+ * Describes the first contact between two bodies that just started touching
+ * Called from beginContact, which fires before the solver runs, so the
+ * contact still carries the speed the bodies hit each other with.
+ * @param {CANNON.World} world - Physics world
+ * @param {CANNON.Body} bodyA - First body
+ * @param {CANNON.Body} bodyB - Second body
+ * @param {Function} getBodyId - Scene id of a body (undefined for helper bodies)
+ * @returns {Object|null} { bodyA, bodyB, point, normal, speed } with scene ids,
+ *   the contact point and normal (from bodyA to bodyB) as arrays and the impact
+ *   speed along the normal, or null when either body isn't in the scene
+ */
+function readCollision(world, bodyA, bodyB, getBodyId) {
+  const idA = getBodyId(bodyA);
+  const idB = getBodyId(bodyB);
+  if (idA === undefined || idB === undefined) return null;
+
+  const contact = world.contacts.find(
+    ({ bi, bj }) =>
+      (bi === bodyA && bj === bodyB) || (bi === bodyB && bj === bodyA)
+  );
+  if (!contact) return null;
+
+  // Contact equations point from bi to bj, which may be the other way around
+  const flip = contact.bi === bodyA ? 1 : -1;
+  const point = contact.bi.position.vadd(contact.ri);
+  return {
+    bodyA: idA,
+    bodyB: idB,
+    point: [point.x, point.y, point.z],
+    normal: [contact.ni.x * flip, contact.ni.y * flip, contact.ni.z * flip],
+    speed: Math.abs(contact.getImpactVelocityAlongNormal()),
+  };
+}
+
+/**
+ * Sets the velocity of a dragged body, spinning it when it was grabbed off-center
+ * @param {CANNON.PointToPointConstraint} constraint - Drag constraint (bodyA is the dragged body)
+ * @param {number[]} velocity - Release velocity
+ * @param {number} spin - Spin strength (0 for none)
+ */
+function throwBody(constraint, velocity, spin) {
+  const body = constraint.bodyA;
+  const linear = new CANNON.Vec3(...velocity);
+  body.velocity.copy(linear);
+
+  if (spin) {
+    // Spin about the axis the grab point would turn around, strongest at the rim
+    const offset = body.quaternion.vmult(constraint.pivotA);
+    const reach = Math.max(offset.lengthSquared(), body.boundingRadius ** 2);
+    if (reach > 0) {
+      body.angularVelocity.vadd(
+        offset.cross(linear).scale(spin / reach),
+        body.angularVelocity
+      );
+    }
+  }
+  body.wakeUp();
+}
+
+/**
+ * Moves a body to a saved state, e.g. one taken with readBodyState
+ * @param {CANNON.Body} body - Physics body
+ * @param {Object} state - { position, quaternion, velocity, angularVelocity, sleeping }
+ */
+export function setBodyState(body, state) {
+  body.position.set(...state.position);
+  body.quaternion.set(...state.quaternion);
+  body.aabbNeedsUpdate = true;
+  if (!state.sleeping) body.wakeUp();
+  applyBodyState(body, state);
+}
+
+/**
+ * Changes the mass and damping of a body in place, keeping its state and constraints
+ * @param {CANNON.Body} body - Physics body
+ * @param {Object} properties - Any of { mass, linearDamping, angularDamping }
+ */
+export function setBodyProperties(body, properties) {
+  const { mass, linearDamping, angularDamping } = properties;
+  if (mass !== undefined) {
+    body.mass = mass;
+    body.updateMassProperties();
+  }
+  if (linearDamping !== undefined) body.linearDamping = linearDamping;
+  if (angularDamping !== undefined) body.angularDamping = angularDamping;
+  body.wakeUp();
+}
+
+/**
+ * Writes the state of bodies into a flat buffer
+ * @param {CANNON.Body[]} bodies - Bodies in scene order
+ * @param {Float32Array|null} buffer - Buffer to reuse, replaced when too small
+ * @returns {Float32Array} Buffer holding BODY_STATE_STRIDE floats per body
+ */
+export function writeBodyStates(bodies, buffer) {
+  const length = bodies.length * BODY_STATE_STRIDE;
+  const target =
+    buffer && buffer.length >= length ? buffer : new Float32Array(length);
+
+  bodies.forEach((body, index) => {
+    const offset = index * BODY_STATE_STRIDE;
+    const { position, quaternion, velocity, angularVelocity } = body;
+    target.set(
+      [
+        position.x,
+        position.y,
+        position.z,
+        quaternion.x,
+        quaternion.y,
+        quaternion.z,
+        quaternion.w,
+        velocity.x,
+        velocity.y,
+        velocity.z,
+        angularVelocity.x,
+        angularVelocity.y,
+        angularVelocity.z,
+        body.sleepState,
+      ],
+      offset
+    );
+  });
+
+  return target;
+}
+
+/**
+ * Copies states from a flat buffer onto bodies
+ * @param {CANNON.Body[]} bodies - Bodies in the same order they were written
+ * @param {Float32Array} buffer - Buffer filled by writeBodyStates
+ */
+export function readBodyStates(bodies, buffer) {
+  const count = Math.min(
+    bodies.length,
+    Math.floor(buffer.length / BODY_STATE_STRIDE)
+  );
+
+  for (let index = 0; index < count; index++) {
+    const offset = index * BODY_STATE_STRIDE;
+    const body = bodies[index];
+    body.position.set(buffer[offset], buffer[offset + 1], buffer[offset + 2]);
+    body.quaternion.set(
+      buffer[offset + 3],
+      buffer[offset + 4],
+      buffer[offset + 5],
+      buffer[offset + 6]
+    );
+    body.velocity.set(
+      buffer[offset + 7],
+      buffer[offset + 8],
+      buffer[offset + 9]
+    );
+    body.angularVelocity.set(
+      buffer[offset + 10],
+      buffer[offset + 11],
+      buffer[offset + 12]
+    );
+    body.sleepState = buffer[offset + 13];
+  }
+}
+
+/**
+ * Collects what the debug overlay draws from the world that is stepped
+ * @param {CANNON.World} world - Physics world
+ * @returns {Object} { contacts, links }: contact points and normals, and the
+ *   two attachment points of every constraint, 6 floats per entry
+ */
+export function readDebugInfo(world) {
+  const contacts = [];
+  world.contacts.forEach(({ bi, ri, ni }) => {
+    contacts.push(
+      bi.position.x + ri.x,
+      bi.position.y + ri.y,
+      bi.position.z + ri.z,
+      ni.x,
+      ni.y,
+      ni.z
+    );
+  });
+
+  // Point constraints link their pivots, springs their anchors and others
+  // the two body centers
+  const links = [];
+  world.constraints.forEach(({ bodyA, bodyB, pivotA, pivotB }) => {
+    const a = pivotA ? bodyA.pointToWorldFrame(pivotA) : bodyA.position;
+    const b = pivotB ? bodyB.pointToWorldFrame(pivotB) : bodyB.position;
+    links.push(a.x, a.y, a.z, b.x, b.y, b.z);
+  });
+  world.springs.forEach(({ bodyA, bodyB, localAnchorA, localAnchorB }) => {
+    const a = bodyA.pointToWorldFrame(localAnchorA);
+    const b = bodyB.pointToWorldFrame(localAnchorB);
+    links.push(a.x, a.y, a.z, b.x, b.y, b.z);
+  });
+
+  return {
+    contacts: new Float32Array(contacts),
+    links: new Float32Array(links),
+  };
+}
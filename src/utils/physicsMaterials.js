@@ -0,0 +1,336 @@
+/**
+ * Physics material registry
+ * Owns the named Cannon.js materials of a world and the pairwise contact
+ * table between them, so every shape factory resolves materials by name.
+ */
+
+import * as CANNON from "cannon-es";
+
+/**
+ * Default properties for a material that doesn't specify them
+ */
+const MATERIAL_DEFAULTS = {
+  friction: 0.5,
+  restitution: 0.2,
+  contactEquationStiffness: 1e7,
+  contactEquationRelaxation: 3,
+};
+
+/**
+ * Built-in named materials
+ * BOUNCE CONTROL: restitution here is combined pairwise (see deriveContact)
+ */
+export const DEFAULT_MATERIALS = {
+  cube: { friction: 0.4, restitution: 0.3 },
+  floor: { friction: 0.8, restitution: 0.1, contactEquationStiffness: 1e8 },
+  wood: { friction: 0.5, restitution: 0.25 },
+  ice: { friction: 0.03, restitution: 0.05 },
+  rubber: { friction: 0.9, restitution: 0.8, contactEquationRelaxation: 4 },
+  metal: { friction: 0.3, restitution: 0.15, contactEquationStiffness: 1e8 },
+};
+
+/**
+ * Hand-tuned contact pairs that override the derived values
+ */
+export const DEFAULT_CONTACTS = [
+  {
+    // BOUNCE CONTROL: Lower restitution value for cube-floor makes cubes bounce less against the floor
+    materials: ["cube", "floor"],
+    friction: 0.8, // High friction with floor
+    restitution: 0.1, // Very low bounce with floor
+    contactEquationStiffness: 1e8, // Very stable floor contacts
+    contactEquationRelaxation: 3, // Good relaxation
+  },
+  {
+    // BOUNCE CONTROL: Lower restitution value for cube-cube makes cubes bounce less against each other
+    materials: ["cube", "cube"],
+    friction: 0.4, // Lower friction between cubes
+    restitution: 0.3, // Reduced bounce between cubes
+    contactEquationStiffness: 1e7, // Stable cube-cube contacts
+    contactEquationRelaxation: 5, // More relaxation for cube collisions
+  },
+];
+
+const CONTACT_KEYS = Object.keys(MATERIAL_DEFAULTS);
+
+/**
+ * Builds an order-independent key for a pair of material names
+ * @param {string} a - First material name
+ * @param {string} b - Second material name
+ * @returns {string} Pair key
+ */
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Picks only the known contact properties from an object
+ * @param {Object} props - Source properties
+ * @returns {Object} Known contact properties that are defined
+ */
+function pickContactProps(props = {}) {
+  const picked = {};
+  CONTACT_KEYS.forEach((key) => {
+    if (typeof props[key] === "number") picked[key] = props[key];
+  });
+  return picked;
+}
+
+/**
+ * Derives contact properties for two materials that have no explicit entry
+ * Friction uses the geometric mean, restitution the bouncier of the two,
+ * stiffness the softer one and relaxation the more damped one.
+ * @param {Object} a - Properties of the first material
+ * @param {Object} b - Properties of the second material
+ * @returns {Object} Contact properties
+ */
+function deriveContact(a, b) {
+  return {
+    friction: Math.sqrt(a.friction * b.friction),
+    restitution: Math.max(a.restitution, b.restitution),
+    contactEquationStiffness: Math.min(
+      a.contactEquationStiffness,
+      b.contactEquationStiffness
+    ),
+    contactEquationRelaxation: Math.max(
+      a.contactEquationRelaxation,
+      b.contactEquationRelaxation
+    ),
+  };
+}
+
+/**
+ * Creates a material registry bound to a physics world
+ * The given materials and contacts extend the built-in ones: a material with
+ * a built-in name replaces it, and a contact is applied over the built-in
+ * overrides for its pair.
+ * @param {CANNON.World} world - Physics world that owns the registry
+ * @param {Object} options - Extra materials and contact overrides
+ * @param {Object} options.materials - Map of material name to properties
+ * @param {Array} options.contacts - Contact overrides ({ materials: [a, b], ...props })
+ * @returns {Object} Registry API
+ */
+export function createMaterialRegistry(
+  world,
+  { materials = {}, contacts = [] } = {}
+) {
+  // name -> { material, properties }
+  const entries = new Map();
+  // pair key -> { contactMaterial, names, overrides }
+  const pairs = new Map();
+  // Friction and restitution forced on every pair, e.g. by a physics preset
+  let contactOverride = null;
+
+  function applyPair(pair) {
+    const [a, b] = pair.names;
+    const props = {
+      ...deriveContact(entries.get(a).properties, entries.get(b).properties),
+      ...pair.overrides,
+      ...contactOverride,
+    };
+    CONTACT_KEYS.forEach((key) => {
+      pair.contactMaterial[key] = props[key];
+    });
+  }
+
+  function requireEntry(name) {
+    const entry = entries.get(name);
+    if (!entry) {
+      throw new Error(
+        `Unknown physics material "${name}". Known materials: ${[
+          ...entries.keys(),
+        ].join(", ")}`
+      );
+    }
+    return entry;
+  }
+
+  /**
+   * Gets the Cannon.js material for a name
+   * @param {string} name - Material name
+   * @returns {CANNON.Material} Material shared by all bodies using this name
+   */
+  function get(name) {
+    return requireEntry(name).material;
+  }
+
+  /**
+   * Checks whether a material name is registered
+   * @param {string} name - Material name
+   * @returns {boolean} True if registered
+   */
+  function has(name) {
+    return entries.has(name);
+  }
+
+  /**
+   * Defines a new material or updates an existing one
+   * @param {string} name - Material name
+   * @param {Object} props - Friction, restitution and contact equation params
+   * @returns {CANNON.Material} The material
+   */
+  function define(name, props = {}) {
+    if (entries.has(name)) {
+      update(name, props);
+      return entries.get(name).material;
+    }
+
+    const material = new CANNON.Material(name);
+    entries.set(name, {
+      material,
+      properties: { ...MATERIAL_DEFAULTS, ...pickContactProps(props) },
+    });
+
+    // Pair the new material with every material, including itself
+    entries.forEach((other, otherName) => {
+      const contactMaterial = new CANNON.ContactMaterial(
+        material,
+        other.material,
+        {}
+      );
+      const pair = { contactMaterial, names: [name, otherName], overrides: {} };
+      pairs.set(pairKey(name, otherName), pair);
+      applyPair(pair);
+      world.addContactMaterial(contactMaterial);
+    });
+
+    return material;
+  }
+
+  /**
+   * Updates the properties of a material and every derived contact using it
+   * @param {string} name - Material name
+   * @param {Object} props - Properties to change
+   */
+  function update(name, props) {
+    const entry = requireEntry(name);
+    Object.assign(entry.properties, pickContactProps(props));
+    pairs.forEach((pair) => {
+      if (pair.names.includes(name)) applyPair(pair);
+    });
+  }
+
+  /**
+   * Overrides the contact properties for a pair of materials
+   * @param {string} a - First material name
+   * @param {string} b - Second material name
+   * @param {Object} props - Contact properties to override
+   * @returns {CANNON.ContactMaterial} The contact material
+   */
+  function setContact(a, b, props) {
+    requireEntry(a);
+    requireEntry(b);
+    const pair = pairs.get(pairKey(a, b));
+    Object.assign(pair.overrides, pickContactProps(props));
+    applyPair(pair);
+    return pair.contactMaterial;
+  }
+
+  /**
+   * Removes overrides for a pair so it falls back to derived values
+   * @param {string} a - First material name
+   * @param {string} b - Second material name
+   */
+  function resetContact(a, b) {
+    requireEntry(a);
+    requireEntry(b);
+    const pair = pairs.get(pairKey(a, b));
+    pair.overrides = {};
+    applyPair(pair);
+  }
+
+  /**
+   * Forces contact properties on every material pair, or stops forcing them
+   * Pairs keep their own values underneath and get them back when cleared.
+   * @param {Object|null} props - Contact properties (e.g. { friction, restitution }), or null
+   */
+  function setContactOverride(props) {
+    const picked = props ? pickContactProps(props) : {};
+    contactOverride = Object.keys(picked).length > 0 ? picked : null;
+    pairs.forEach(applyPair);
+  }
+
+  /**
+   * Gets the contact properties forced on every pair
+   * @returns {Object|null} Contact properties, or null when pairs use their own
+   */
+  function getContactOverride() {
+    return contactOverride && { ...contactOverride };
+  }
+
+  /**
+   * Gets the contact material used between two named materials
+   * @param {string} a - First material name
+   * @param {string} b - Second material name
+   * @returns {CANNON.ContactMaterial} The contact material
+   */
+  function getContact(a, b) {
+    requireEntry(a);
+    requireEntry(b);
+    return pairs.get(pairKey(a, b)).contactMaterial;
+  }
+
+  /**
+   * Lists registered material names
+   * @returns {string[]} Material names in definition order
+   */
+  function list() {
+    return [...entries.keys()];
+  }
+
+  /**
+   * Describes the registry as plain data
+   * @returns {Object} { materials, contacts } in the same shape the factory accepts
+   */
+  function toJSON() {
+    const materialData = {};
+    entries.forEach((entry, name) => {
+      materialData[name] = { ...entry.properties };
+    });
+
+    const contactData = [];
+    pairs.forEach((pair) => {
+      if (Object.keys(pair.overrides).length > 0) {
+        contactData.push({ materials: [...pair.names], ...pair.overrides });
+      }
+    });
+
+    return { materials: materialData, contacts: contactData };
+  }
+
+  Object.entries({ ...DEFAULT_MATERIALS, ...materials }).forEach(
+    ([name, props]) => define(name, props)
+  );
+  [...DEFAULT_CONTACTS, ...contacts].forEach(
+    ({ materials: [a, b], ...props }) => setContact(a, b, props)
+  );
+
+  return {
+    get,
+    has,
+    define,
+    update,
+    setContact,
+    resetContact,
+    getContact,
+    setContactOverride,
+    getContactOverride,
+    list,
+    toJSON,
+  };
+}
+
+/**
+ * Resolves a named material from a world's registry
+ * @param {CANNON.World} world - Physics world created by createPhysicsWorld
+ * @param {string} name - Material name
+ * @returns {CANNON.Material} Shared material
+ */
+export function getPhysicsMaterial(world, name) {
+  if (!world.materialRegistry) {
+    throw new Error(
+      "Physics world has no material registry. Create it with createPhysicsWorld()."
+    );
+  }
+  return world.materialRegistry.get(name);
+}
@@ -0,0 +1,228 @@
+/**
+ * Physics shape builders
+ * Turns plain shape descriptions into Cannon.js shapes and bodies. Kept free of
+ * Three.js so the same descriptions can drive any renderer.
+ */
+
+import * as CANNON from "cannon-es";
+import { getPhysicsMaterial } from "./physicsMaterials.js";
+
+/**
+ * Shape types understood by createPhysicsBody and createBody
+ */
+export const SHAPE_TYPES = [
+  "box",
+  "sphere",
+  "cylinder",
+  "capsule",
+  "wedge",
+  "compound",
+];
+
+/**
+ * Damping given to bodies that don't specify it
+ */
+export const DEFAULT_BODY_SETTINGS = {
+  linearDamping: 0.6,
+  angularDamping: 0.8,
+};
+
+/**
+ * Normalizes a size value to bounding box extents
+ * @param {number|number[]} size - Edge length or [width, height, depth]
+ * @returns {number[]} [width, height, depth]
+ */
+export function normalizeSize(size = 2) {
+  if (Array.isArray(size)) {
+    const [x = 2, y = x, z = x] = size;
+    return [x, y, z];
+  }
+  return [size, size, size];
+}
+
+/**
+ * Builds the convex hull of a wedge (ramp) that rises towards -Z
+ * Faces are wound counter-clockwise when seen from outside.
+ * @param {number[]} extents - [width, height, depth]
+ * @returns {Object} { vertices: number[][], faces: number[][] }
+ */
+export function wedgeHull([width, height, depth]) {
+  const w = width / 2;
+  const h = height / 2;
+  const d = depth / 2;
+
+  return {
+    vertices: [
+      [-w, -h, d], // bottom front left
+      [w, -h, d], // bottom front right
+      [w, -h, -d], // bottom back right
+      [-w, -h, -d], // bottom back left
+      [-w, h, -d], // top back left
+      [w, h, -d], // top back right
+    ],
+    faces: [
+      [0, 3, 2, 1], // bottom
+      [3, 4, 5, 2], // back
+      [0, 1, 5, 4], // slope
+      [0, 4, 3], // left
+      [1, 2, 5], // right
+    ],
+  };
+}
+
+/**
+ * Converts a [x, y, z] euler rotation to a Cannon.js quaternion
+ * @param {number[]} rotation - Euler angles in radians
+ * @returns {CANNON.Quaternion} Quaternion
+ */
+function eulerToQuaternion(rotation = [0, 0, 0]) {
+  const quaternion = new CANNON.Quaternion();
+  quaternion.setFromEuler(rotation[0], rotation[1], rotation[2]);
+  return quaternion;
+}
+
+/**
+ * Adds the Cannon.js shapes for a description to a body
+ * @param {CANNON.Body} body - Body to add shapes to
+ * @param {Object} spec - Shape description ({ shape, size, parts })
+ * @param {CANNON.Vec3} offset - Offset of the shape in body space
+ * @param {CANNON.Quaternion} orientation - Orientation of the shape in body space
+ */
+export function addShapeToBody(
+  body,
+  spec,
+  offset = new CANNON.Vec3(),
+  orientation = new CANNON.Quaternion()
+) {
+  const [x, y, z] = normalizeSize(spec.size);
+
+  switch (spec.shape) {
+    case "box":
+      body.addShape(
+        new CANNON.Box(new CANNON.Vec3(x / 2, y / 2, z / 2)),
+        offset,
+        orientation
+      );
+      break;
+
+    case "sphere":
+      body.addShape(new CANNON.Sphere(x / 2), offset, orientation);
+      break;
+
+    case "cylinder":
+      body.addShape(
+        new CANNON.Cylinder(x / 2, x / 2, y, 16),
+        offset,
+        orientation
+      );
+      break;
+
+    case "capsule": {
+      // A capsule is a cylinder capped by two spheres along its local Y axis
+      const radius = x / 2;
+      const length = Math.max(y - x, 0);
+      const cap = new CANNON.Vec3(0, length / 2, 0);
+
+      if (length > 0) {
+        body.addShape(
+          new CANNON.Cylinder(radius, radius, length, 16),
+          offset,
+          orientation
+        );
+      }
+      body.addShape(
+        new CANNON.Sphere(radius),
+        offset.vadd(orientation.vmult(cap)),
+        orientation
+      );
+      body.addShape(
+        new CANNON.Sphere(radius),
+        offset.vsub(orientation.vmult(cap)),
+        orientation
+      );
+      break;
+    }
+
+    case "wedge": {
+      const hull = wedgeHull([x, y, z]);
+      body.addShape(
+        new CANNON.ConvexPolyhedron({
+          vertices: hull.vertices.map((v) => new CANNON.Vec3(v[0], v[1], v[2])),
+          faces: hull.faces,
+        }),
+        offset,
+        orientation
+      );
+      break;
+    }
+
+    case "compound":
+      (spec.parts || []).forEach((part) => {
+        const partOffset = new CANNON.Vec3(...(part.offset || [0, 0, 0]));
+        const partOrientation = eulerToQuaternion(part.rotation);
+        addShapeToBody(
+          body,
+          part,
+          offset.vadd(orientation.vmult(partOffset)),
+          orientation.mult(partOrientation)
+        );
+      });
+      break;
+
+    default:
+      throw new Error(
+        `Unknown shape "${spec.shape}". Expected one of: ${SHAPE_TYPES.join(", ")}`
+      );
+  }
+}
+
+/**
+ * Creates a physics body from a shape description and adds it to the world
+ * @param {CANNON.World} world - Physics world
+ * @param {Object} options - Body options
+ * @param {string} options.shape - One of SHAPE_TYPES
+ * @param {number|number[]} options.size - Edge length or [width, height, depth]
+ * @param {Object[]} options.parts - Child shapes for compound bodies
+ * @param {number} options.mass - Body mass (0 for static)
+ * @param {boolean} options.kinematic - Massless body moved by its velocity only
+ * @param {string} options.material - Name of a material in the world's registry
+ * @param {Object} options.position - Initial position ({ x, y, z })
+ * @param {Object} options.quaternion - Initial orientation ({ x, y, z, w })
+ * @param {number} options.linearDamping - Linear damping (see DEFAULT_BODY_SETTINGS)
+ * @param {number} options.angularDamping - Angular damping (see DEFAULT_BODY_SETTINGS)
+ * @returns {CANNON.Body} Physics body
+ */
+export function createPhysicsBody(world, options) {
+  const {
+    mass = 1,
+    kinematic = false,
+    material = "cube",
+    position = { x: 0, y: 0, z: 0 },
+    quaternion,
+    linearDamping = DEFAULT_BODY_SETTINGS.linearDamping,
+    angularDamping = DEFAULT_BODY_SETTINGS.angularDamping,
+  } = options;
+
+  const body = new CANNON.Body({
+    mass: kinematic ? 0 : mass,
+    ...(kinematic && { type: CANNON.Body.KINEMATIC }),
+    position: new CANNON.Vec3(position.x, position.y, position.z),
+    material: getPhysicsMaterial(world, material),
+  });
+
+  if (quaternion) {
+    body.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+  }
+
+  addShapeToBody(body, options);
+
+  // Add physics properties for better behavior with pointer interaction
+  // BOUNCE CONTROL: Higher damping values reduce the energy in the system, making objects settle faster
+  body.linearDamping = linearDamping;
+  body.angularDamping = angularDamping;
+  body.allowSleep = true; // Allow objects to sleep when inactive for performance
+
+  world.addBody(body);
+
+  return body;
+}
@@ -0,0 +1,64 @@
+/**
+ * Physics tuning
+ * Presets for the live tuning panel and the config object it exports. The
+ * config's world part is accepted by createPhysicsWorld and its body part by
+ * createBody and createCube, so values tuned by hand can be baked into code.
+ */
+
+import { readWorldSettings } from "./sceneFormat.js";
+import { DEFAULT_BODY_SETTINGS } from "./physicsShapes.js";
+
+/**
+ * Named world setting changes, applied on top of the current settings
+ * ("default" in the panel goes back to the settings the scene was loaded with)
+ */
+export const PHYSICS_PRESETS = {
+  moon: { label: "Moon", world: { gravity: [0, -1.62, 0] } },
+  "zero-g": { label: "Zero-G", world: { gravity: [0, 0, 0] } },
+  bouncy: {
+    label: "Bouncy",
+    world: { contact: { friction: 0.3, restitution: 0.9 } },
+  },
+  sticky: {
+    label: "Sticky",
+    world: { contact: { friction: 2, restitution: 0 } },
+  },
+};
+
+/**
+ * Reads the world settings the tuning panel edits
+ * @param {CANNON.World} world - Physics world
+ * @returns {Object} World settings without materials; contact is null when not overridden
+ */
+export function readWorldTuning(world) {
+  const settings = readWorldSettings(world);
+  delete settings.materials;
+  return { ...settings, contact: settings.contact ?? null };
+}
+
+/**
+ * Reads the properties of a body the tuning panel edits
+ * @param {CANNON.Body} body - Physics body
+ * @returns {Object} { mass, linearDamping, angularDamping }
+ */
+export function readBodyTuning(body) {
+  return {
+    mass: body.mass,
+    linearDamping: body.linearDamping,
+    angularDamping: body.angularDamping,
+  };
+}
+
+/**
+ * Builds a config object from the running world and a body
+ * @param {CANNON.World} world - Physics world
+ * @param {CANNON.Body|null} body - Body whose properties to export (defaults when null)
+ * @returns {Object} { world, body } for createPhysicsWorld(config.world) and
+ *   createBody(scene, world, { ...spec, ...config.body })
+ */
+export function readPhysicsConfig(world, body = null) {
+  return {
+    world: readWorldSettings(world),
+    body: body ? readBodyTuning(body) : { ...DEFAULT_BODY_SETTINGS },
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Pointer input
+ * One input layer for mouse, touch and pen, built on Pointer Events, so every
+ * kind of pointer a device has works at the same time (a touch laptop's
+ * trackpad and screen, a tablet's pen, finger and mouse). Handlers branch on
+ * event.pointerType instead of on a guess about the whole device.
+ */
+
+let capabilities = null;
+
+/**
+ * Reports which kinds of input the device has
+ * Detected on the first call and cached, since the answer doesn't change
+ * while the page is open.
+ * @returns {Object} { touch, finePointer, hover } - whether there is a touch
+ *   screen, a precise pointer (mouse, trackpad or pen) and a pointer that hovers
+ */
+export function getInputCapabilities() {
+  if (!capabilities) {
+    const matches = (query) => window.matchMedia?.(query).matches ?? false;
+    capabilities = {
+      touch: navigator.maxTouchPoints > 0,
+      finePointer: matches("(any-pointer: fine)"),
+      hover: matches("(any-hover: hover)"),
+    };
+  }
+  return capabilities;
+}
+
+/**
+ * Listens to every kind of pointer on an element
+ * Listeners stay on the element, so several scenes on one page don't see each
+ * other's pointers; pressed pointers are captured, so drags carry on past the
+ * element's edge. Touch scrolling and browser zoom are turned off on the
+ * element so fingers reach the handlers.
+ * @param {HTMLElement} element - Element that takes presses, e.g. the canvas
+ * @param {Object} handlers - Receive the PointerEvents
+ * @param {Function} handlers.onDown - A pointer pressed on the element
+ * @param {Function} handlers.onMove - A pointer moved over the element, or a pressed one anywhere
+ * @param {Function} handlers.onUp - A pressed pointer was released or cancelled
+ *   (check event.type for "pointercancel")
+ * @returns {Object} Input with count(pointerType) and dispose()
+ */
+export function createPointerInput(element, { onDown, onMove, onUp }) {
+  const pressed = new Map(); // pointer id -> pointer type, while pressed
+
+  function handleDown(event) {
+    pressed.set(event.pointerId, event.pointerType);
+    element.setPointerCapture(event.pointerId);
+    onDown(event);
+  }
+
+  function handleUp(event) {
+    if (!pressed.delete(event.pointerId)) return;
+    onUp(event);
+  }
+
+  element.style.touchAction = "none";
+  element.addEventListener("pointerdown", handleDown);
+  element.addEventListener("pointermove", onMove);
+  element.addEventListener("pointerup", handleUp);
+  element.addEventListener("pointercancel", handleUp);
+
+  return {
+    /**
+     * Counts the pointers that are pressed
+     * @param {string} pointerType - "mouse", "touch" or "pen" (all types when omitted)
+     * @returns {number} Pressed pointers of that type
+     */
+    count(pointerType) {
+      if (pointerType === undefined) return pressed.size;
+      return [...pressed.values()].filter((type) => type === pointerType)
+        .length;
+    },
+
+    /**
+     * Removes the listeners
+     */
+    dispose() {
+      element.removeEventListener("pointerdown", handleDown);
+      element.removeEventListener("pointermove", onMove);
+      element.removeEventListener("pointerup", handleUp);
+      element.removeEventListener("pointercancel", handleUp);
+    },
+  };
+}
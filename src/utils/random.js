@@ -0,0 +1,46 @@
+/**
+ * Seeded random numbers
+ * A small deterministic generator (mulberry32) so simulations that use
+ * randomness can be reproduced from a seed.
+ */
+
+/**
+ * Creates a seeded random number generator
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Object} Generator with next(), range(), getState() and setState()
+ */
+export function createRandom(seed = Date.now()) {
+  let state = seed >>> 0;
+
+  /**
+   * Returns the next number in [0, 1)
+   * @returns {number} Random number
+   */
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Returns a number in [min, max)
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number} Random number
+   */
+  function range(min, max) {
+    return min + next() * (max - min);
+  }
+
+  return {
+    seed: seed >>> 0,
+    next,
+    range,
+    getState: () => state,
+    setState: (value) => {
+      state = value >>> 0;
+    },
+  };
+}
@@ -0,0 +1,316 @@
+/**
+ * Deterministic record and replay
+ * The simulation advances in fixed steps and every user input is applied
+ * between steps, so a replay only needs the initial state, the random seed
+ * state and the inputs keyed by step index.
+ * Relative imports carry their .js extension for Node's ESM resolver.
+ */
+
+import { getSceneErrors } from "./sceneFormat.js";
+
+/**
+ * Current version of the replay file format
+ */
+export const REPLAY_FORMAT_VERSION = 1;
+
+/**
+ * Input types a replay can contain
+ */
+export const REPLAY_INPUT_TYPES = [
+  "dragStart",
+  "dragMove",
+  "dragRotate",
+  "dragEnd",
+  "impulse",
+  "spawn",
+  "remove",
+  "connect",
+  "disconnect",
+  "restore",
+  "tuneWorld",
+  "tuneBody",
+  "addField",
+  "removeField",
+  "moveField",
+];
+
+/**
+ * Creates a fixed-step accumulator that turns elapsed time into whole steps
+ * @param {number} dt - Fixed step size in seconds
+ * @param {number} maxCatchUpSteps - Most steps to take for one call (avoids spiral of death)
+ * @returns {Object} Stepper with advance(elapsed, onStep), reset() and setMaxCatchUpSteps(count)
+ */
+export function createFixedStepper(dt, maxCatchUpSteps = 10) {
+  let accumulator = 0;
+
+  return {
+    dt,
+
+    /**
+     * Consumes elapsed time and calls onStep once per whole step
+     * @param {number} elapsed - Seconds since the last call
+     * @param {Function} onStep - Called once per fixed step
+     * @returns {number} Number of steps taken
+     */
+    advance(elapsed, onStep) {
+      accumulator += elapsed;
+      let steps = 0;
+      while (accumulator >= dt && steps < maxCatchUpSteps) {
+        onStep();
+        accumulator -= dt;
+        steps++;
+      }
+      // Drop time we couldn't catch up on rather than carrying it forward
+      if (steps === maxCatchUpSteps) accumulator = 0;
+      return steps;
+    },
+
+    reset() {
+      accumulator = 0;
+    },
+
+    /**
+     * Changes how many steps one call may take (doesn't affect the results of a step)
+     * @param {number} count - Most steps per call
+     */
+    setMaxCatchUpSteps(count) {
+      maxCatchUpSteps = count;
+    },
+  };
+}
+
+/**
+ * Creates a recorder for inputs keyed by step index
+ * @returns {Object} Recorder API
+ */
+export function createRecorder() {
+  let recording = null;
+
+  return {
+    /**
+     * Starts a new recording, discarding the previous one
+     * @param {Object} initialState - { scene, rngState, seed, dt }
+     */
+    start({ scene, rngState, seed, dt }) {
+      recording = { scene, rngState, seed, dt, inputs: [] };
+    },
+
+    /**
+     * Records an input applied before the given step
+     * @param {number} step - Index of the next step to run
+     * @param {Object} input - Input data ({ type, ... })
+     */
+    record(step, input) {
+      if (!recording) return;
+      recording.inputs.push({ step, ...input });
+    },
+
+    /**
+     * Continues recording from part-way through a replay
+     * Keeps the replay's initial state and the inputs before the given step.
+     * @param {Object} replay - Parsed replay data
+     * @param {number} step - Step the simulation is at now
+     */
+    resume(replay, step) {
+      recording = {
+        scene: replay.scene,
+        rngState: replay.rngState,
+        seed: replay.seed,
+        dt: replay.dt,
+        inputs: replay.inputs
+          .filter((input) => input.step < step)
+          .map((input) => ({ ...input })),
+      };
+    },
+
+    /**
+     * Checks whether a recording is in progress
+     * @returns {boolean} True while recording
+     */
+    isRecording() {
+      return recording !== null;
+    },
+
+    /**
+     * Builds the replay file for everything recorded so far
+     * @param {number} length - Number of steps simulated since the recording started
+     * @returns {Object|null} Replay data, or null when nothing was recorded
+     */
+    toJSON(length) {
+      if (!recording) return null;
+      return {
+        version: REPLAY_FORMAT_VERSION,
+        kind: "physical-cubes-replay",
+        seed: recording.seed,
+        rngState: recording.rngState,
+        dt: recording.dt,
+        length,
+        scene: recording.scene,
+        inputs: recording.inputs.map((input) => ({ ...input })),
+      };
+    },
+  };
+}
+
+/**
+ * Parses and validates a replay file
+ * @param {string|Object} json - Replay as a JSON string or parsed object
+ * @returns {Object} Replay data
+ * @throws {Error} When the replay is malformed
+ */
+export function parseReplay(json) {
+  let data = json;
+  if (typeof json === "string") {
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Replay is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (data === null || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Invalid replay:\n- Replay must be a JSON object");
+  }
+
+  const errors = [];
+  if (data.kind !== "physical-cubes-replay") {
+    errors.push('kind must be "physical-cubes-replay"');
+  }
+  if (data.version !== REPLAY_FORMAT_VERSION) {
+    errors.push(
+      `version must be ${REPLAY_FORMAT_VERSION} (got ${JSON.stringify(data.version)})`
+    );
+  }
+  if (!(typeof data.dt === "number" && data.dt > 0)) {
+    errors.push("dt must be a positive number");
+  }
+  if (!(Number.isInteger(data.length) && data.length >= 0)) {
+    errors.push("length must be a whole number of steps");
+  }
+  if (!Number.isInteger(data.rngState)) {
+    errors.push("rngState must be an integer");
+  }
+  getSceneErrors(data.scene).forEach((error) => errors.push(`scene: ${error}`));
+  if (!Array.isArray(data.inputs)) {
+    errors.push("inputs must be an array");
+  } else {
+    data.inputs.forEach((input, index) => {
+      if (!REPLAY_INPUT_TYPES.includes(input?.type)) {
+        errors.push(
+          `inputs[${index}].type must be one of ${REPLAY_INPUT_TYPES.join(", ")}`
+        );
+      }
+      if (!(Number.isInteger(input?.step) && input.step >= 0)) {
+        errors.push(`inputs[${index}].step must be a step index`);
+      } else if (index > 0 && input.step < data.inputs[index - 1].step) {
+        errors.push(`inputs[${index}] is out of step order`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid replay:\n- ${errors.join("\n- ")}`);
+  }
+
+  return data;
+}
+
+/**
+ * Creates a player that re-runs a replay step for step
+ * @param {Object} replay - Parsed replay data
+ * @param {Object} hooks - Callbacks into the simulation
+ * @param {Function} hooks.restore - Restores replay.scene and replay.rngState
+ * @param {Function} hooks.applyInput - Applies one recorded input
+ * @param {Function} hooks.step - Runs one fixed physics step
+ * @returns {Object} Player API
+ */
+export function createReplayPlayer(replay, { restore, applyInput, step }) {
+  const stepper = createFixedStepper(replay.dt);
+  let currentStep = 0;
+  let inputIndex = 0;
+  let playing = true;
+  let speed = 1;
+
+  function reset() {
+    restore(replay);
+    stepper.reset();
+    currentStep = 0;
+    inputIndex = 0;
+  }
+
+  function stepOnce() {
+    if (currentStep >= replay.length) return false;
+
+    // Apply the inputs that happened right before this step
+    while (
+      inputIndex < replay.inputs.length &&
+      replay.inputs[inputIndex].step <= currentStep
+    ) {
+      applyInput(replay.inputs[inputIndex]);
+      inputIndex++;
+    }
+
+    step();
+    currentStep++;
+    return true;
+  }
+
+  reset();
+
+  return {
+    /**
+     * Advances playback by wall-clock time, scaled by the playback speed
+     * @param {number} elapsed - Seconds since the last call
+     */
+    advance(elapsed) {
+      if (!playing) return;
+      stepper.advance(elapsed * speed, stepOnce);
+      if (currentStep >= replay.length) playing = false;
+    },
+
+    /**
+     * Jumps to a step, re-simulating from the start when seeking backwards
+     * @param {number} target - Step index to stop at
+     */
+    seek(target) {
+      const clamped = Math.max(0, Math.min(replay.length, Math.round(target)));
+      if (clamped < currentStep) reset();
+      while (currentStep < clamped && stepOnce());
+    },
+
+    /**
+     * Runs exactly one step (for frame-by-frame inspection)
+     */
+    stepForward() {
+      playing = false;
+      stepOnce();
+    },
+
+    play() {
+      if (currentStep >= replay.length) reset();
+      playing = true;
+    },
+
+    pause() {
+      playing = false;
+    },
+
+    setSpeed(value) {
+      speed = value;
+    },
+
+    /**
+     * Describes the player for UI display
+     * @returns {Object} { step, length, playing, speed, dt }
+     */
+    getStatus() {
+      return {
+        step: currentStep,
+        length: replay.length,
+        playing,
+        speed,
+        dt: replay.dt,
+      };
+    },
+  };
+}
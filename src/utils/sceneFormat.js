@@ -0,0 +1,1015 @@
+/**
+ * Scene description format
+ * Versioned JSON schema for a whole scene: world settings, level geometry,
+ * bodies, constraints, force fields and camera pose. This module validates
+ * descriptions and moves state between descriptions and Cannon.js objects;
+ * it doesn't touch Three.js.
+ */
+
+import * as CANNON from "cannon-es";
+import { SHAPE_TYPES } from "./physicsShapes.js";
+import {
+  LEVEL_PIECE_TYPES,
+  KILL_PLANE_ACTIONS,
+  KILL_PLANE_DEPTH,
+} from "./level.js";
+import { MOTION_TYPES } from "./motion.js";
+import { FORCE_FIELD_TYPES } from "./forceFields.js";
+
+/**
+ * Current version of the scene format
+ */
+export const SCENE_FORMAT_VERSION = 1;
+
+/**
+ * Constraint types a scene can describe
+ */
+export const CONSTRAINT_TYPES = [
+  "pointToPoint",
+  "distance",
+  "hinge",
+  "lock",
+  "spring",
+];
+
+/**
+ * Id the floor goes by in collision events (scene files don't name it)
+ */
+export const FLOOR_ID = "floor";
+
+/**
+ * World settings used when a scene leaves them out (and by createPhysicsWorld)
+ * contact, when set, overrides the friction and restitution of every material pair.
+ */
+export const DEFAULT_WORLD_SETTINGS = {
+  gravity: [0, -9.82, 0],
+  solver: { iterations: 20, tolerance: 0.005 }, // More iterations keep stacks stable on mobile
+  allowSleep: true,
+  sleepTimeLimit: 0.5, // Seconds at rest before sleeping
+  sleepSpeedLimit: 0.15, // Below this speed (m/s) a body counts as resting
+  contact: null,
+};
+
+/**
+ * Camera pose used when a scene leaves it out (same as ThreeScene's start pose)
+ */
+export const DEFAULT_CAMERA = {
+  position: [0, 15, 25],
+  target: [0, 5, 0],
+  fov: 75,
+};
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const isVector = (value, length) =>
+  Array.isArray(value) && value.length === length && value.every(isNumber);
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+const isName = (value) => typeof value === "string" && value !== "";
+
+/**
+ * Collects validation errors for a shape description (recursing into parts)
+ * @param {Object} spec - Shape description
+ * @param {string} path - Path used in error messages
+ * @param {string[]} errors - Error list to append to
+ */
+function checkShape(spec, path, errors) {
+  if (!SHAPE_TYPES.includes(spec.shape)) {
+    errors.push(
+      `${path}.shape must be one of ${SHAPE_TYPES.join(", ")} (got ${JSON.stringify(spec.shape)})`
+    );
+    return;
+  }
+
+  if (
+    spec.size !== undefined &&
+    !(isNumber(spec.size) && spec.size > 0) &&
+    !(
+      Array.isArray(spec.size) &&
+      spec.size.length >= 1 &&
+      spec.size.length <= 3 &&
+      spec.size.every((value) => isNumber(value) && value > 0)
+    )
+  ) {
+    errors.push(
+      `${path}.size must be a positive number or an array of 1 to 3 positive numbers`
+    );
+  }
+
+  if (spec.shape === "compound") {
+    if (!Array.isArray(spec.parts) || spec.parts.length === 0) {
+      errors.push(
+        `${path}.parts must be a non-empty array for compound shapes`
+      );
+      return;
+    }
+    spec.parts.forEach((part, index) => {
+      const partPath = `${path}.parts[${index}]`;
+      if (!isObject(part)) {
+        errors.push(`${partPath} must be an object`);
+        return;
+      }
+      checkShape(part, partPath, errors);
+      if (part.offset !== undefined && !isVector(part.offset, 3)) {
+        errors.push(`${partPath}.offset must be an array of 3 numbers`);
+      }
+      if (part.rotation !== undefined && !isVector(part.rotation, 3)) {
+        errors.push(
+          `${partPath}.rotation must be an array of 3 numbers (radians)`
+        );
+      }
+    });
+  }
+}
+
+/**
+ * Collects validation errors for the motion of a level piece
+ * @param {Object} motion - Motion description
+ * @param {string} path - Path used in error messages
+ * @param {string[]} errors - Error list to append to
+ */
+function checkMotion(motion, path, errors) {
+  if (!isObject(motion)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (!MOTION_TYPES.includes(motion.type)) {
+    errors.push(
+      `${path}.type must be one of ${MOTION_TYPES.join(", ")} (got ${JSON.stringify(motion.type)})`
+    );
+    return;
+  }
+
+  if (motion.offset !== undefined && !isVector(motion.offset, 3)) {
+    errors.push(`${path}.offset must be an array of 3 numbers`);
+  }
+  if (
+    motion.axis !== undefined &&
+    !(isVector(motion.axis, 3) && motion.axis.some((value) => value !== 0))
+  ) {
+    errors.push(`${path}.axis must be an array of 3 numbers, not all 0`);
+  }
+  ["period", "travel", "length"].forEach((key) => {
+    if (
+      motion[key] !== undefined &&
+      !(isNumber(motion[key]) && motion[key] > 0)
+    ) {
+      errors.push(`${path}.${key} must be a positive number`);
+    }
+  });
+  ["speed", "amplitude", "height", "startTime"].forEach((key) => {
+    if (motion[key] !== undefined && !isNumber(motion[key])) {
+      errors.push(`${path}.${key} must be a number`);
+    }
+  });
+  if (
+    motion.pause !== undefined &&
+    !(isNumber(motion.pause) && motion.pause >= 0)
+  ) {
+    errors.push(`${path}.pause must be a number >= 0`);
+  }
+  if (motion.loop !== undefined && typeof motion.loop !== "boolean") {
+    errors.push(`${path}.loop must be a boolean`);
+  }
+
+  if (motion.type !== "keyframes") return;
+  if (!Array.isArray(motion.keyframes) || motion.keyframes.length === 0) {
+    errors.push(`${path}.keyframes must be a non-empty array`);
+    return;
+  }
+  motion.keyframes.forEach((key, index) => {
+    const keyPath = `${path}.keyframes[${index}]`;
+    if (!isObject(key)) {
+      errors.push(`${keyPath} must be an object`);
+      return;
+    }
+    const previous = motion.keyframes[index - 1]?.time;
+    if (!(isNumber(key.time) && key.time >= 0)) {
+      errors.push(`${keyPath}.time must be a number >= 0`);
+    } else if (isNumber(previous) && key.time <= previous) {
+      errors.push(`${keyPath}.time must be later than the key before it`);
+    }
+    ["offset", "rotation"].forEach((name) => {
+      if (key[name] !== undefined && !isVector(key[name], 3)) {
+        errors.push(`${keyPath}.${name} must be an array of 3 numbers`);
+      }
+    });
+  });
+}
+
+/**
+ * Collects validation errors for a level piece
+ * @param {Object} piece - Level piece description
+ * @param {string} path - Path used in error messages
+ * @param {string[]} errors - Error list to append to
+ */
+function checkLevelPiece(piece, path, errors) {
+  if (!LEVEL_PIECE_TYPES.includes(piece.type)) {
+    errors.push(
+      `${path}.type must be one of ${LEVEL_PIECE_TYPES.join(", ")} (got ${JSON.stringify(piece.type)})`
+    );
+    return;
+  }
+
+  const isPositive = (value) => isNumber(value) && value > 0;
+  const sizeLength = piece.type === "arena" ? 2 : 3;
+  if (
+    piece.size !== undefined &&
+    !(isVector(piece.size, sizeLength) && piece.size.every(isPositive))
+  ) {
+    errors.push(
+      `${path}.size must be an array of ${sizeLength} positive numbers`
+    );
+  }
+  ["from", "to"].forEach((key) => {
+    if (piece[key] !== undefined && !isVector(piece[key], 2)) {
+      errors.push(`${path}.${key} must be an array of 2 numbers [x, z]`);
+    }
+  });
+  if (
+    piece.type === "wall" &&
+    isVector(piece.from, 2) &&
+    isVector(piece.to, 2) &&
+    piece.from.every((value, axis) => value === piece.to[axis])
+  ) {
+    errors.push(`${path}.from and ${path}.to must be different points`);
+  }
+  ["position", "rotation"].forEach((key) => {
+    if (piece[key] !== undefined && !isVector(piece[key], 3)) {
+      errors.push(`${path}.${key} must be an array of 3 numbers`);
+    }
+  });
+  if (piece.y !== undefined && !isNumber(piece.y)) {
+    errors.push(`${path}.y must be a number`);
+  }
+  ["height", "thickness"].forEach((key) => {
+    if (piece[key] !== undefined && !isPositive(piece[key])) {
+      errors.push(`${path}.${key} must be a positive number`);
+    }
+  });
+  if (
+    piece.steps !== undefined &&
+    !(Number.isInteger(piece.steps) && piece.steps >= 1 && piece.steps <= 50)
+  ) {
+    errors.push(`${path}.steps must be an integer from 1 to 50`);
+  }
+  if (piece.material !== undefined && typeof piece.material !== "string") {
+    errors.push(`${path}.material must be a material name`);
+  }
+  if (
+    piece.color !== undefined &&
+    !isNumber(piece.color) &&
+    typeof piece.color !== "string"
+  ) {
+    errors.push(`${path}.color must be a number or a CSS color string`);
+  }
+  if (piece.kinematic !== undefined && typeof piece.kinematic !== "boolean") {
+    errors.push(`${path}.kinematic must be a boolean`);
+  }
+  if (piece.motion !== undefined) {
+    checkMotion(piece.motion, `${path}.motion`, errors);
+  }
+}
+
+/**
+ * Collects validation errors for a force field
+ * @param {Object} field - Force field description
+ * @param {string} path - Path used in error messages
+ * @param {string[]} errors - Error list to append to
+ */
+function checkForceField(field, path, errors) {
+  if (!FORCE_FIELD_TYPES.includes(field.type)) {
+    errors.push(
+      `${path}.type must be one of ${FORCE_FIELD_TYPES.join(", ")} (got ${JSON.stringify(field.type)})`
+    );
+    return;
+  }
+
+  const isPositive = (value) => isNumber(value) && value > 0;
+  if (field.position !== undefined && !isVector(field.position, 3)) {
+    errors.push(`${path}.position must be an array of 3 numbers`);
+  }
+  if (
+    field.size !== undefined &&
+    !(isVector(field.size, 3) && field.size.every(isPositive))
+  ) {
+    errors.push(`${path}.size must be an array of 3 positive numbers`);
+  }
+  if (
+    field.direction !== undefined &&
+    !(
+      isVector(field.direction, 3) &&
+      field.direction.some((value) => value !== 0)
+    )
+  ) {
+    errors.push(`${path}.direction must be an array of 3 numbers, not all 0`);
+  }
+  ["radius", "height", "density"].forEach((key) => {
+    if (field[key] !== undefined && !isPositive(field[key])) {
+      errors.push(`${path}.${key} must be a positive number`);
+    }
+  });
+  ["strength", "pull", "lift", "speed"].forEach((key) => {
+    if (field[key] !== undefined && !isNumber(field[key])) {
+      errors.push(`${path}.${key} must be a number`);
+    }
+  });
+  ["drag", "angularDrag", "grip"].forEach((key) => {
+    if (
+      field[key] !== undefined &&
+      !(isNumber(field[key]) && field[key] >= 0)
+    ) {
+      errors.push(`${path}.${key} must be a number >= 0`);
+    }
+  });
+}
+
+/**
+ * Validates a scene description
+ * @param {Object} data - Parsed scene JSON
+ * @param {Object} options - Validation options
+ * @param {string[]} options.knownMaterials - Materials the scene may use
+ *   besides the ones it defines; material names are only looked up when given
+ * @returns {string[]} Human-readable errors (empty when valid)
+ */
+export function getSceneErrors(data, { knownMaterials } = {}) {
+  const errors = [];
+
+  if (!isObject(data)) {
+    return ["Scene must be a JSON object"];
+  }
+
+  if (data.version !== SCENE_FORMAT_VERSION) {
+    errors.push(
+      `version must be ${SCENE_FORMAT_VERSION} (got ${JSON.stringify(data.version)})`
+    );
+  }
+
+  // World settings
+  if (data.world !== undefined) {
+    if (!isObject(data.world)) {
+      errors.push("world must be an object");
+    } else {
+      const { gravity, solver, materials } = data.world;
+      if (gravity !== undefined && !isVector(gravity, 3)) {
+        errors.push("world.gravity must be an array of 3 numbers");
+      }
+      if (solver !== undefined) {
+        if (!isObject(solver)) {
+          errors.push("world.solver must be an object");
+        } else {
+          if (
+            solver.iterations !== undefined &&
+            !(Number.isInteger(solver.iterations) && solver.iterations > 0)
+          ) {
+            errors.push("world.solver.iterations must be a positive integer");
+          }
+          if (solver.tolerance !== undefined && !isNumber(solver.tolerance)) {
+            errors.push("world.solver.tolerance must be a number");
+          }
+        }
+      }
+      ["sleepTimeLimit", "sleepSpeedLimit"].forEach((key) => {
+        if (data.world[key] !== undefined && !isNumber(data.world[key])) {
+          errors.push(`world.${key} must be a number`);
+        }
+      });
+      const { contact } = data.world;
+      if (contact !== undefined && contact !== null) {
+        if (!isObject(contact)) {
+          errors.push("world.contact must be an object or null");
+        } else {
+          ["friction", "restitution"].forEach((key) => {
+            if (
+              contact[key] !== undefined &&
+              !(isNumber(contact[key]) && contact[key] >= 0)
+            ) {
+              errors.push(`world.contact.${key} must be a number >= 0`);
+            }
+          });
+        }
+      }
+      if (
+        data.world.allowSleep !== undefined &&
+        typeof data.world.allowSleep !== "boolean"
+      ) {
+        errors.push("world.allowSleep must be a boolean");
+      }
+      if (
+        materials !== undefined &&
+        (!isObject(materials) ||
+          (materials.materials !== undefined &&
+            !isObject(materials.materials)) ||
+          (materials.contacts !== undefined &&
+            !Array.isArray(materials.contacts)))
+      ) {
+        errors.push(
+          "world.materials must look like { materials: { name: props }, contacts: [...] }"
+        );
+      } else {
+        (materials?.contacts || []).forEach((entry, index) => {
+          if (
+            !isObject(entry) ||
+            !Array.isArray(entry.materials) ||
+            entry.materials.length !== 2 ||
+            !entry.materials.every(isName)
+          ) {
+            errors.push(
+              `world.materials.contacts[${index}].materials must be an array of 2 material names`
+            );
+          }
+        });
+      }
+    }
+  }
+
+  // Floor
+  if (data.floor !== undefined && data.floor !== null) {
+    if (!isObject(data.floor)) {
+      errors.push("floor must be an object or null");
+    } else {
+      if (data.floor.y !== undefined && !isNumber(data.floor.y)) {
+        errors.push("floor.y must be a number");
+      }
+      if (data.floor.size !== undefined && !isVector(data.floor.size, 2)) {
+        errors.push("floor.size must be an array of 2 numbers");
+      }
+      if (data.floor.material !== undefined && !isName(data.floor.material)) {
+        errors.push("floor.material must be a material name");
+      }
+    }
+  }
+
+  // Level pieces share the id space of bodies, since collisions name both
+  const ids = new Set();
+  if (data.level !== undefined && !Array.isArray(data.level)) {
+    errors.push("level must be an array");
+  } else {
+    (data.level || []).forEach((piece, index) => {
+      const path = `level[${index}]`;
+      if (!isObject(piece)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      if (piece.id !== undefined) {
+        if (typeof piece.id !== "string" || piece.id === "") {
+          errors.push(`${path}.id must be a non-empty string`);
+        } else if (ids.has(piece.id)) {
+          errors.push(
+            `${path}.id "${piece.id}" is used by more than one level piece`
+          );
+        } else {
+          ids.add(piece.id);
+        }
+      }
+      checkLevelPiece(piece, path, errors);
+    });
+  }
+  const levelIds = new Set(ids);
+
+  // Kill plane
+  if (data.killPlane !== undefined && data.killPlane !== null) {
+    if (!isObject(data.killPlane)) {
+      errors.push("killPlane must be an object or null");
+    } else {
+      if (data.killPlane.y !== undefined && !isNumber(data.killPlane.y)) {
+        errors.push("killPlane.y must be a number");
+      }
+      if (
+        data.killPlane.action !== undefined &&
+        !KILL_PLANE_ACTIONS.includes(data.killPlane.action)
+      ) {
+        errors.push(
+          `killPlane.action must be one of ${KILL_PLANE_ACTIONS.join(", ")} (got ${JSON.stringify(data.killPlane.action)})`
+        );
+      }
+    }
+  }
+
+  // Bodies
+  if (data.bodies !== undefined && !Array.isArray(data.bodies)) {
+    errors.push("bodies must be an array");
+  } else {
+    (data.bodies || []).forEach((body, index) => {
+      const path = `bodies[${index}]`;
+      if (!isObject(body)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      if (typeof body.id !== "string" || body.id === "") {
+        errors.push(`${path}.id must be a non-empty string`);
+      } else if (levelIds.has(body.id)) {
+        errors.push(`${path}.id "${body.id}" is already used by a level piece`);
+      } else if (ids.has(body.id)) {
+        errors.push(`${path}.id "${body.id}" is used by more than one body`);
+      } else {
+        ids.add(body.id);
+      }
+      checkShape(body, path, errors);
+      ["position", "velocity", "angularVelocity"].forEach((key) => {
+        if (body[key] !== undefined && !isVector(body[key], 3)) {
+          errors.push(`${path}.${key} must be an array of 3 numbers`);
+        }
+      });
+      if (body.quaternion !== undefined && !isVector(body.quaternion, 4)) {
+        errors.push(
+          `${path}.quaternion must be an array of 4 numbers [x, y, z, w]`
+        );
+      }
+      if (body.mass !== undefined && !(isNumber(body.mass) && body.mass >= 0)) {
+        errors.push(`${path}.mass must be a number >= 0`);
+      }
+      ["linearDamping", "angularDamping"].forEach((key) => {
+        if (
+          body[key] !== undefined &&
+          !(isNumber(body[key]) && body[key] >= 0 && body[key] <= 1)
+        ) {
+          errors.push(`${path}.${key} must be a number between 0 and 1`);
+        }
+      });
+      if (body.material !== undefined && typeof body.material !== "string") {
+        errors.push(`${path}.material must be a material name`);
+      }
+      if (
+        body.color !== undefined &&
+        !isNumber(body.color) &&
+        typeof body.color !== "string"
+      ) {
+        errors.push(`${path}.color must be a number or a CSS color string`);
+      }
+    });
+  }
+
+  // Constraints
+  const constraintIds = new Set();
+  if (data.constraints !== undefined && !Array.isArray(data.constraints)) {
+    errors.push("constraints must be an array");
+  } else {
+    (data.constraints || []).forEach((constraint, index) => {
+      const path = `constraints[${index}]`;
+      if (!isObject(constraint)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      if (constraint.id !== undefined) {
+        if (typeof constraint.id !== "string" || constraint.id === "") {
+          errors.push(`${path}.id must be a non-empty string`);
+        } else if (constraintIds.has(constraint.id)) {
+          errors.push(
+            `${path}.id "${constraint.id}" is used by more than one constraint`
+          );
+        } else {
+          constraintIds.add(constraint.id);
+        }
+      }
+      if (!CONSTRAINT_TYPES.includes(constraint.type)) {
+        errors.push(
+          `${path}.type must be one of ${CONSTRAINT_TYPES.join(", ")} (got ${JSON.stringify(constraint.type)})`
+        );
+      }
+      ["bodyA", "bodyB"].forEach((key) => {
+        if (!ids.has(constraint[key]) || levelIds.has(constraint[key])) {
+          errors.push(
+            `${path}.${key} must be the id of a body in this scene (got ${JSON.stringify(constraint[key])})`
+          );
+        }
+      });
+      if (constraint.bodyA === constraint.bodyB) {
+        errors.push(`${path} must connect two different bodies`);
+      }
+      ["pivotA", "pivotB", "axisA", "axisB"].forEach((key) => {
+        if (constraint[key] !== undefined && !isVector(constraint[key], 3)) {
+          errors.push(`${path}.${key} must be an array of 3 numbers`);
+        }
+      });
+      ["distance", "maxForce", "motorSpeed"].forEach((key) => {
+        if (constraint[key] !== undefined && !isNumber(constraint[key])) {
+          errors.push(`${path}.${key} must be a number`);
+        }
+      });
+      ["restLength", "stiffness", "damping"].forEach((key) => {
+        if (
+          constraint[key] !== undefined &&
+          !(isNumber(constraint[key]) && constraint[key] >= 0)
+        ) {
+          errors.push(`${path}.${key} must be a number >= 0`);
+        }
+      });
+    });
+  }
+
+  // Force fields
+  const fieldIds = new Set();
+  if (data.forceFields !== undefined && !Array.isArray(data.forceFields)) {
+    errors.push("forceFields must be an array");
+  } else {
+    (data.forceFields || []).forEach((field, index) => {
+      const path = `forceFields[${index}]`;
+      if (!isObject(field)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      if (field.id !== undefined) {
+        if (typeof field.id !== "string" || field.id === "") {
+          errors.push(`${path}.id must be a non-empty string`);
+        } else if (fieldIds.has(field.id)) {
+          errors.push(
+            `${path}.id "${field.id}" is used by more than one force field`
+          );
+        } else {
+          fieldIds.add(field.id);
+        }
+      }
+      checkForceField(field, path, errors);
+    });
+  }
+
+  // Camera
+  if (data.camera !== undefined) {
+    if (!isObject(data.camera)) {
+      errors.push("camera must be an object");
+    } else {
+      ["position", "target"].forEach((key) => {
+        if (data.camera[key] !== undefined && !isVector(data.camera[key], 3)) {
+          errors.push(`camera.${key} must be an array of 3 numbers`);
+        }
+      });
+      if (
+        data.camera.fov !== undefined &&
+        !(
+          isNumber(data.camera.fov) &&
+          data.camera.fov > 0 &&
+          data.camera.fov < 180
+        )
+      ) {
+        errors.push("camera.fov must be a number between 0 and 180");
+      }
+    }
+  }
+
+  if (knownMaterials) {
+    errors.push(...getUnknownMaterialErrors(data, knownMaterials));
+  }
+
+  return errors;
+}
+
+/**
+ * Lists the material names a scene uses that are neither known nor defined
+ * by the scene itself
+ * @param {Object} data - Parsed scene JSON
+ * @param {string[]} knownMaterials - Materials known besides the scene's own
+ * @returns {string[]} Human-readable errors (empty when all are known)
+ */
+function getUnknownMaterialErrors(data, knownMaterials) {
+  const materials = data.world?.materials;
+  const known = new Set([
+    ...knownMaterials,
+    ...Object.keys(isObject(materials?.materials) ? materials.materials : {}),
+  ]);
+
+  // [path, name] of every material name in the scene
+  const used = [];
+  if (isObject(data.floor)) used.push(["floor.material", data.floor.material]);
+  ["level", "bodies"].forEach((key) => {
+    if (!Array.isArray(data[key])) return;
+    data[key].forEach((item, index) => {
+      if (isObject(item))
+        used.push([`${key}[${index}].material`, item.material]);
+    });
+  });
+  if (Array.isArray(materials?.contacts)) {
+    materials.contacts.forEach((entry, index) => {
+      if (!Array.isArray(entry?.materials)) return;
+      entry.materials.forEach((name, side) =>
+        used.push([
+          `world.materials.contacts[${index}].materials[${side}]`,
+          name,
+        ])
+      );
+    });
+  }
+
+  return used
+    .filter(([, name]) => isName(name) && !known.has(name))
+    .map(([path, name]) => `${path} "${name}" is not a known material`);
+}
+
+/**
+ * Gives every constraint an id, so joints can be removed one at a time
+ * Constraints without one get "joint-1", "joint-2" and so on, skipping ids
+ * the scene already uses.
+ * @param {Object[]} constraints - Constraint descriptions
+ * @returns {Object[]} Constraint descriptions that all have ids
+ */
+function withConstraintIds(constraints) {
+  const used = new Set(constraints.map(({ id }) => id));
+  let index = 1;
+  return constraints.map((constraint) => {
+    if (constraint.id !== undefined) return constraint;
+    while (used.has(`joint-${index}`)) index++;
+    used.add(`joint-${index}`);
+    return { id: `joint-${index}`, ...constraint };
+  });
+}
+
+/**
+ * Gives every level piece an id, so collisions can name it
+ * Pieces without one get ids from their type, like "wall-1", skipping ids
+ * the scene already uses for pieces or bodies.
+ * @param {Object[]} level - Level piece descriptions
+ * @param {Object[]} bodies - Body descriptions
+ * @returns {Object[]} Level piece descriptions that all have ids
+ */
+function withLevelIds(level, bodies) {
+  const used = new Set([...level, ...bodies].map(({ id }) => id));
+  return level.map((piece) => {
+    if (piece.id !== undefined) return piece;
+    let index = 1;
+    while (used.has(`${piece.type}-${index}`)) index++;
+    used.add(`${piece.type}-${index}`);
+    return { id: `${piece.type}-${index}`, ...piece };
+  });
+}
+
+/**
+ * Gives every force field an id, so it can be moved and removed
+ * Fields without one get ids from their type, like "wind-1", skipping ids
+ * the scene already uses.
+ * @param {Object[]} fields - Force field descriptions
+ * @returns {Object[]} Force field descriptions that all have ids
+ */
+function withFieldIds(fields) {
+  const used = new Set(fields.map(({ id }) => id));
+  return fields.map((field) => {
+    if (field.id !== undefined) return field;
+    let index = 1;
+    while (used.has(`${field.type}-${index}`)) index++;
+    used.add(`${field.type}-${index}`);
+    return { id: `${field.type}-${index}`, ...field };
+  });
+}
+
+/**
+ * Parses and validates a scene, filling in defaults
+ * @param {string|Object} json - Scene as a JSON string or parsed object
+ * @param {Object} options - Validation options (see getSceneErrors)
+ * @returns {Object} Normalized scene description
+ * @throws {Error} When the JSON is malformed or fails validation
+ */
+export function parseScene(json, options) {
+  let data = json;
+  if (typeof json === "string") {
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Scene is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const errors = getSceneErrors(data, options);
+  if (errors.length > 0) {
+    throw new Error(`Invalid scene:\n- ${errors.join("\n- ")}`);
+  }
+
+  const floor =
+    data.floor === null
+      ? null
+      : { y: 0, size: [50, 50], material: "floor", ...data.floor };
+
+  return {
+    version: SCENE_FORMAT_VERSION,
+    world: {
+      ...DEFAULT_WORLD_SETTINGS,
+      ...data.world,
+      solver: { ...DEFAULT_WORLD_SETTINGS.solver, ...data.world?.solver },
+    },
+    floor,
+    level: withLevelIds(data.level || [], data.bodies || []),
+    // Below the floor (or the origin) unless the scene places it or turns it off
+    killPlane:
+      data.killPlane === null
+        ? null
+        : {
+            y: (floor?.y ?? 0) - KILL_PLANE_DEPTH,
+            action: "respawn",
+            ...data.killPlane,
+          },
+    bodies: data.bodies || [],
+    constraints: withConstraintIds(data.constraints || []),
+    forceFields: withFieldIds(data.forceFields || []),
+    camera: { ...DEFAULT_CAMERA, ...data.camera },
+  };
+}
+
+/**
+ * Applies world settings from a scene to a physics world
+ * @param {CANNON.World} world - Physics world created by createPhysicsWorld
+ * @param {Object} settings - World settings; keys left out keep their current values
+ */
+export function applyWorldSettings(world, settings) {
+  if (settings.gravity) world.gravity.set(...settings.gravity);
+  if (settings.solver?.iterations !== undefined) {
+    world.solver.iterations = settings.solver.iterations;
+  }
+  if (settings.solver?.tolerance !== undefined) {
+    world.solver.tolerance = settings.solver.tolerance;
+  }
+  ["allowSleep", "sleepTimeLimit", "sleepSpeedLimit"].forEach((key) => {
+    if (settings[key] !== undefined) world[key] = settings[key];
+  });
+  if (settings.contact !== undefined && world.materialRegistry) {
+    world.materialRegistry.setContactOverride(settings.contact);
+  }
+
+  if (settings.materials && world.materialRegistry) {
+    const { materials = {}, contacts = [] } = settings.materials;
+    Object.entries(materials).forEach(([name, props]) =>
+      world.materialRegistry.define(name, props)
+    );
+    contacts.forEach(({ materials: [a, b], ...props }) =>
+      world.materialRegistry.setContact(a, b, props)
+    );
+  }
+}
+
+/**
+ * Reads the world settings of a physics world as scene data
+ * @param {CANNON.World} world - Physics world
+ * @returns {Object} World settings
+ */
+export function readWorldSettings(world) {
+  return {
+    gravity: world.gravity.toArray(),
+    solver: {
+      iterations: world.solver.iterations,
+      tolerance: world.solver.tolerance,
+    },
+    allowSleep: world.allowSleep,
+    sleepTimeLimit: world.sleepTimeLimit,
+    sleepSpeedLimit: world.sleepSpeedLimit,
+    ...(world.materialRegistry?.getContactOverride() && {
+      contact: world.materialRegistry.getContactOverride(),
+    }),
+    ...(world.materialRegistry && {
+      materials: world.materialRegistry.toJSON(),
+    }),
+  };
+}
+
+/**
+ * Applies the dynamic state of a body description to a physics body
+ * @param {CANNON.Body} body - Physics body
+ * @param {Object} spec - Body description
+ */
+export function applyBodyState(body, spec) {
+  if (spec.velocity) body.velocity.set(...spec.velocity);
+  if (spec.angularVelocity) body.angularVelocity.set(...spec.angularVelocity);
+  if (spec.linearDamping !== undefined) body.linearDamping = spec.linearDamping;
+  if (spec.angularDamping !== undefined) {
+    body.angularDamping = spec.angularDamping;
+  }
+  if (spec.sleeping) body.sleep();
+}
+
+/**
+ * Reads the transform and dynamic state of a physics body as scene data
+ * @param {CANNON.Body} body - Physics body
+ * @returns {Object} Position, quaternion, velocities, damping and sleep flag
+ */
+export function readBodyState(body) {
+  return {
+    position: body.position.toArray(),
+    quaternion: body.quaternion.toArray(),
+    velocity: body.velocity.toArray(),
+    angularVelocity: body.angularVelocity.toArray(),
+    mass: body.mass,
+    linearDamping: body.linearDamping,
+    angularDamping: body.angularDamping,
+    ...(body.sleepState === CANNON.Body.SLEEPING && { sleeping: true }),
+  };
+}
+
+/**
+ * Creates a constraint from a scene description and adds it to the world
+ * Springs aren't solver constraints in Cannon.js: they go on world.springs,
+ * which the world applies before every integration (see createPhysicsWorld).
+ * @param {CANNON.World} world - Physics world
+ * @param {Object} spec - Constraint description
+ * @param {Map<string, CANNON.Body>} bodiesById - Bodies keyed by scene id
+ * @returns {CANNON.Constraint|CANNON.Spring} The constraint
+ */
+export function createSceneConstraint(world, spec, bodiesById) {
+  const bodyA = bodiesById.get(spec.bodyA);
+  const bodyB = bodiesById.get(spec.bodyB);
+  const vec = (value) => (value ? new CANNON.Vec3(...value) : undefined);
+  const maxForce = spec.maxForce ?? 1e6;
+
+  let constraint;
+  switch (spec.type) {
+    case "pointToPoint":
+      constraint = new CANNON.PointToPointConstraint(
+        bodyA,
+        vec(spec.pivotA) || new CANNON.Vec3(),
+        bodyB,
+        vec(spec.pivotB) || new CANNON.Vec3(),
+        maxForce
+      );
+      break;
+
+    case "distance":
+      constraint = new CANNON.DistanceConstraint(
+        bodyA,
+        bodyB,
+        spec.distance,
+        maxForce
+      );
+      break;
+
+    case "hinge":
+      constraint = new CANNON.HingeConstraint(bodyA, bodyB, {
+        pivotA: vec(spec.pivotA),
+        pivotB: vec(spec.pivotB),
+        axisA: vec(spec.axisA),
+        axisB: vec(spec.axisB),
+        maxForce,
+      });
+      // A motor turns the hinge at a steady speed, pushing with up to maxForce
+      if (spec.motorSpeed !== undefined) {
+        constraint.enableMotor();
+        constraint.setMotorSpeed(spec.motorSpeed);
+      }
+      break;
+
+    case "lock":
+      constraint = new CANNON.LockConstraint(bodyA, bodyB, { maxForce });
+      break;
+
+    case "spring": {
+      const spring = new CANNON.Spring(bodyA, bodyB, {
+        localAnchorA: vec(spec.pivotA),
+        localAnchorB: vec(spec.pivotB),
+        restLength:
+          spec.restLength ?? bodyA.position.distanceTo(bodyB.position),
+      });
+      // Set after construction: Cannon.js would replace a 0 with its default
+      spring.stiffness = spec.stiffness ?? 50;
+      spring.damping = spec.damping ?? 1;
+      world.springs.push(spring);
+      return spring;
+    }
+
+    default:
+      throw new Error(`Unknown constraint type "${spec.type}"`);
+  }
+
+  constraint.collideConnected = !!spec.collideConnected;
+  world.addConstraint(constraint);
+  return constraint;
+}
+
+/**
+ * Removes a constraint made by createSceneConstraint from the world
+ * @param {CANNON.World} world - Physics world
+ * @param {CANNON.Constraint|CANNON.Spring} constraint - The constraint
+ */
+export function removeConstraintFromWorld(world, constraint) {
+  if (constraint instanceof CANNON.Spring) {
+    const index = world.springs.indexOf(constraint);
+    if (index !== -1) world.springs.splice(index, 1);
+    return;
+  }
+  world.removeConstraint(constraint);
+}
+
+/**
+ * Completes a constraint description with the values Cannon.js resolved,
+ * so a reload doesn't recompute them from the bodies' current positions
+ * @param {Object} spec - Constraint description it was created from
+ * @param {CANNON.Constraint} constraint - The created constraint
+ * @returns {Object} Constraint description
+ */
+export function readConstraintSpec(spec, constraint) {
+  const resolved = { ...spec };
+
+  if (constraint instanceof CANNON.DistanceConstraint) {
+    resolved.distance = constraint.distance;
+  }
+  if (constraint instanceof CANNON.PointToPointConstraint) {
+    // Hinges are point-to-point constraints too
+    resolved.pivotA = constraint.pivotA.toArray();
+    resolved.pivotB = constraint.pivotB.toArray();
+  }
+  if (constraint instanceof CANNON.HingeConstraint) {
+    resolved.axisA = constraint.axisA.toArray();
+    resolved.axisB = constraint.axisB.toArray();
+  }
+  if (constraint instanceof CANNON.Spring) {
+    resolved.pivotA = constraint.localAnchorA.toArray();
+    resolved.pivotB = constraint.localAnchorB.toArray();
+    resolved.restLength = constraint.restLength;
+    resolved.stiffness = constraint.stiffness;
+    resolved.damping = constraint.damping;
+  }
+
+  return resolved;
+}
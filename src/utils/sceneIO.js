@@ -0,0 +1,362 @@
+/**
+ * Scene loading and saving
+ * Builds Three.js + Cannon.js scenes from the JSON format in sceneFormat.js and
+ * serializes running scenes back to it.
+ */
+
+import * as THREE from "three";
+import { createBody } from "./bodyFactory";
+import { disposeResources } from "./threeHelpers";
+import { createLevelBodySpec, createFloorBodySpec } from "./level";
+import { addBodyMotion, removeBodyMotion, addForceField } from "./physics";
+import {
+  SCENE_FORMAT_VERSION,
+  parseScene,
+  applyWorldSettings,
+  readWorldSettings,
+  applyBodyState,
+  readBodyState,
+  createSceneConstraint,
+  removeConstraintFromWorld,
+  readConstraintSpec,
+} from "./sceneFormat";
+
+/**
+ * Shape keys of a body spec that are stored in scene files
+ */
+const SHAPE_KEYS = ["shape", "size", "parts", "material"];
+
+/**
+ * Creates the mutable context that loadScene and serializeScene work on
+ * @param {Object} options - Scene, world and camera to load into, and an
+ *   optional instanced renderer and seeded generator (see random.js)
+ * @returns {Object} Scene context
+ */
+export function createSceneContext({
+  scene,
+  world,
+  camera,
+  objects = [],
+  instances = null,
+  random = null,
+}) {
+  return {
+    scene,
+    world,
+    camera,
+    instances, // instanced renderer used for new bodies, if any
+    random, // seeded generator that colors bodies without a color, if any
+    cameraTarget: new THREE.Vector3(),
+    objects, // { mesh, body, spec } entries, mutated in place
+    constraints: [], // { constraint, spec } entries
+    floor: null, // { mesh, body, spec }
+    level: [], // { mesh, body, spec } entries, one per level piece
+    killPlane: null, // { y, action }, or null when bodies may fall forever
+  };
+}
+
+/**
+ * Removes every body, constraint, level piece, force field and the floor of a
+ * scene context
+ * @param {Object} context - Scene context
+ */
+export function clearScene(context) {
+  const { scene, world } = context;
+
+  context.constraints.forEach(({ constraint }) =>
+    removeConstraintFromWorld(world, constraint)
+  );
+  context.constraints.length = 0;
+
+  const removed = [
+    ...context.objects,
+    ...context.level,
+    ...(context.floor ? [context.floor] : []),
+  ];
+  removed.forEach(({ mesh, body }) => {
+    removeBodyMotion(world, body);
+    world.removeBody(body);
+    scene.remove(mesh);
+  });
+  disposeResources({ meshes: removed.map(({ mesh }) => mesh) });
+
+  context.objects.length = 0;
+  context.level.length = 0;
+  context.floor = null;
+  world.forceFields = [];
+}
+
+/**
+ * Builds the mesh and collider of a massless floor or level body
+ * Level bodies skip instancing; there are few of them and they rarely move.
+ * @param {Object} context - Scene context
+ * @param {Object} bodySpec - Body description from level.js
+ * @returns {Object} { mesh, body }
+ */
+function createLevelBody(context, bodySpec) {
+  const { position, quaternion, ...shape } = bodySpec;
+  const { mesh, body } = createBody(context.scene, context.world, {
+    ...shape,
+    position: new THREE.Vector3(...position),
+    quaternion: new THREE.Quaternion(...quaternion),
+  });
+  return { mesh, body };
+}
+
+/**
+ * Adds a body from a scene description to the context
+ * @param {Object} context - Scene context
+ * @param {Object} spec - Body description from a scene file
+ * @returns {Object} The created { mesh, body, spec } entry
+ */
+export function addSceneBody(context, spec) {
+  const { position = [0, 0, 0], quaternion = [0, 0, 0, 1] } = spec;
+
+  const object = createBody(context.scene, context.world, {
+    ...spec,
+    instances: context.instances,
+    random: context.random,
+    position: new THREE.Vector3(...position),
+    quaternion: new THREE.Quaternion(...quaternion),
+  });
+  applyBodyState(object.body, spec);
+
+  context.objects.push(object);
+  return object;
+}
+
+/**
+ * Removes one body, and any constraint attached to it, from the context
+ * @param {Object} context - Scene context
+ * @param {Object} object - { mesh, body, spec } entry to remove
+ */
+export function removeSceneBody(context, object) {
+  const { scene, world } = context;
+  const index = context.objects.indexOf(object);
+  if (index === -1) return;
+
+  context.constraints = context.constraints.filter(({ constraint }) => {
+    const attached =
+      constraint.bodyA === object.body || constraint.bodyB === object.body;
+    if (attached) removeConstraintFromWorld(world, constraint);
+    return !attached;
+  });
+
+  world.removeBody(object.body);
+  scene.remove(object.mesh);
+  disposeResources({ meshes: [object.mesh] });
+  context.objects.splice(index, 1);
+}
+
+/**
+ * Adds a constraint from a scene description to the context
+ * @param {Object} context - Scene context
+ * @param {Object} spec - Constraint description with an id and the ids of
+ *   two bodies in the context
+ * @returns {Object} The created { constraint, spec } entry
+ */
+export function addSceneConstraint(context, spec) {
+  const bodiesById = new Map(
+    context.objects.map(({ body, spec: bodySpec }) => [bodySpec.id, body])
+  );
+  const constraint = createSceneConstraint(context.world, spec, bodiesById);
+  const entry = { constraint, spec: readConstraintSpec(spec, constraint) };
+  context.constraints.push(entry);
+  return entry;
+}
+
+/**
+ * Removes one constraint from the context
+ * @param {Object} context - Scene context
+ * @param {string} id - Scene id of the constraint
+ */
+export function removeSceneConstraint(context, id) {
+  const index = context.constraints.findIndex(({ spec }) => spec.id === id);
+  if (index === -1) return;
+  removeConstraintFromWorld(
+    context.world,
+    context.constraints[index].constraint
+  );
+  context.constraints.splice(index, 1);
+}
+
+/**
+ * Creates a constraint id that isn't used in the context yet
+ * @param {Object} context - Scene context
+ * @returns {string} Id such as "joint-3"
+ */
+export function createConstraintId(context) {
+  const used = new Set(context.constraints.map(({ spec }) => spec.id));
+  let index = 1;
+  while (used.has(`joint-${index}`)) index++;
+  return `joint-${index}`;
+}
+
+/**
+ * Creates a body id that isn't used in the context yet
+ * @param {Object} context - Scene context
+ * @param {string} prefix - Id prefix, e.g. the shape name
+ * @returns {string} Id such as "box-3"
+ */
+export function createBodyId(context, prefix = "body") {
+  // Level pieces share the id space, since collisions name both
+  const used = new Set(
+    [...context.objects, ...context.level].map(({ spec }) => spec.id)
+  );
+  let index = 1;
+  while (used.has(`${prefix}-${index}`)) index++;
+  return `${prefix}-${index}`;
+}
+
+/**
+ * Creates a force field id that isn't used in the context yet
+ * @param {Object} context - Scene context
+ * @param {string} type - Field type, used as the prefix
+ * @returns {string} Id such as "wind-2"
+ */
+export function createForceFieldId(context, type) {
+  const used = new Set(context.world.forceFields.map(({ id }) => id));
+  let index = 1;
+  while (used.has(`${type}-${index}`)) index++;
+  return `${type}-${index}`;
+}
+
+/**
+ * Checks that a scene description can be loaded into a scene context, without
+ * changing anything
+ * @param {Object} context - Scene context
+ * @param {string|Object} json - Scene as a JSON string or parsed object
+ * @returns {Object} The normalized scene description
+ * @throws {Error} When the scene is invalid or names an unknown material
+ */
+export function validateScene(context, json) {
+  // Every material must be known to the registry or defined by the scene
+  return parseScene(json, {
+    knownMaterials: context.world.materialRegistry.list(),
+  });
+}
+
+/**
+ * Replaces the contents of a scene context with a scene description
+ * The scene is fully validated before anything is removed, so an invalid
+ * file leaves the current scene untouched.
+ * @param {Object} context - Scene context
+ * @param {string|Object} json - Scene as a JSON string or parsed object
+ * @returns {Object} The normalized scene description
+ * @throws {Error} When the scene is invalid
+ */
+export function loadScene(context, json) {
+  const description = validateScene(context, json);
+  const { world, camera } = context;
+
+  clearScene(context);
+  applyWorldSettings(world, description.world);
+
+  // A loaded scene starts a fresh simulation clock (replays count steps from here)
+  world.time = 0;
+  world.stepnumber = 0;
+
+  if (description.floor) {
+    context.floor = {
+      ...createLevelBody(context, createFloorBodySpec(description.floor)),
+      spec: description.floor,
+    };
+  }
+  description.level.forEach((piece) => {
+    const entry = {
+      ...createLevelBody(context, createLevelBodySpec(piece)),
+      spec: piece,
+    };
+    if (piece.motion) addBodyMotion(world, entry.body, piece.motion);
+    context.level.push(entry);
+  });
+  context.killPlane = description.killPlane;
+
+  description.bodies.forEach((spec) => addSceneBody(context, spec));
+  description.constraints.forEach((spec) => addSceneConstraint(context, spec));
+  description.forceFields.forEach((spec) => addForceField(world, spec));
+
+  context.cameraTarget.set(...description.camera.target);
+  if (camera) {
+    camera.position.set(...description.camera.position);
+    camera.fov = description.camera.fov;
+    camera.updateProjectionMatrix();
+    camera.lookAt(context.cameraTarget);
+  }
+
+  return description;
+}
+
+/**
+ * Serializes one body of a scene context
+ * @param {Object} object - { mesh, body, spec } entry
+ * @param {string} id - Id to write (defaults to the spec's id)
+ * @returns {Object} Body description that addSceneBody accepts
+ */
+export function serializeSceneBody({ body, spec }, id = spec.id) {
+  const shape = {};
+  SHAPE_KEYS.forEach((key) => {
+    if (spec[key] !== undefined) shape[key] = spec[key];
+  });
+
+  return {
+    id,
+    ...shape,
+    ...(spec.color !== undefined && {
+      color: `#${new THREE.Color(spec.color).getHexString()}`,
+    }),
+    ...readBodyState(body),
+  };
+}
+
+/**
+ * Serializes the current state of a scene context
+ * @param {Object} context - Scene context
+ * @returns {Object} Scene description that loadScene accepts
+ */
+export function serializeScene(context) {
+  const { world, camera, objects } = context;
+  // Bodies that weren't loaded from a file get an id derived from their physics id
+  const ids = new Map(
+    objects.map(({ body, spec }) => [body, spec.id ?? `body-${body.id}`])
+  );
+
+  const bodies = objects.map((object) =>
+    serializeSceneBody(object, ids.get(object.body))
+  );
+
+  const constraints = context.constraints.map(({ constraint, spec }) => ({
+    ...readConstraintSpec(spec, constraint),
+    bodyA: ids.get(constraint.bodyA),
+    bodyB: ids.get(constraint.bodyB),
+  }));
+
+  return {
+    version: SCENE_FORMAT_VERSION,
+    world: readWorldSettings(world),
+    floor: context.floor ? { ...context.floor.spec } : null,
+    // Motions carry on from where they are now when the scene is loaded again
+    level: context.level.map(({ spec }) =>
+      spec.motion
+        ? {
+            ...spec,
+            motion: {
+              ...spec.motion,
+              startTime: (spec.motion.startTime ?? 0) + world.time,
+            },
+          }
+        : { ...spec }
+    ),
+    killPlane: context.killPlane ? { ...context.killPlane } : null,
+    bodies,
+    constraints,
+    forceFields: world.forceFields.map(({ spec }) => ({ ...spec })),
+    ...(camera && {
+      camera: {
+        position: camera.position.toArray(),
+        target: context.cameraTarget.toArray(),
+        fov: camera.fov,
+      },
+    }),
+  };
+}
@@ -0,0 +1,667 @@
+/**
+ * Scene input
+ * Turns mouse, touch, pen, wheel and keyboard events on a scene's canvas into
+ * simulation inputs and editing actions: pointers on a body drag it (and throw
+ * it on release), fingers on empty space steer the camera, right-clicks and
+ * long presses delete, clicks and taps spawn in spawn mode, and force field
+ * handles can be dragged to move their field.
+ */
+
+import * as THREE from "three";
+import {
+  getIntersections,
+  getPointerRay,
+  getNormalizedEventCoords,
+} from "./threeHelpers";
+import { createPointerInput } from "./pointerInput";
+import { normalizeSize } from "./physicsShapes";
+import {
+  readPinch,
+  orbitCamera,
+  panCamera,
+  zoomCamera,
+} from "./cameraGestures";
+import { createDragPlane, getDragPoint, pushAlongViewRay } from "./dragModes";
+import { getThrowVelocity } from "./throwing";
+
+/**
+ * How long a touch must hold still on a body to delete it (ms)
+ */
+const LONG_PRESS_DELAY = 600;
+
+/**
+ * How far a touch may move (px) and still count as a long press
+ */
+const LONG_PRESS_TOLERANCE = 10;
+
+/**
+ * Height above the floor that spawned bodies drop from
+ */
+const SPAWN_DROP_HEIGHT = 4;
+
+/**
+ * How far (m) a pixel of wheel scrolling or of a second finger's vertical slide
+ * pushes dragged bodies along the view ray
+ */
+const WHEEL_DEPTH_SPEED = 0.01;
+const TOUCH_DEPTH_SPEED = 0.05;
+
+/**
+ * How far (radians) a pixel of Shift-dragging or of a second finger's sideways
+ * slide turns a rigidly held body
+ */
+const MOUSE_ROTATE_SPEED = 0.01;
+const TOUCH_ROTATE_SPEED = 0.01;
+
+/**
+ * Most a single pointer event may turn a body (radians); the lock that holds a
+ * rigid grab can settle on the mirrored orientation after a quarter turn at once
+ */
+const MAX_ROTATE_STEP = 0.3;
+
+/**
+ * Small upward impulse given to a body as it's grabbed, to unstick it from
+ * whatever it rests on; fingers cover the body, so they get a stronger one
+ */
+const DRAG_NUDGE = { mouse: 0, pen: 0.1, touch: 0.2 };
+
+/**
+ * Starts handling input on a scene's canvas
+ * Only the wheel (and the orbit controls) work unless options.interactive is set.
+ * @param {Object} view - Scene view (see createSceneView)
+ * @param {Object} simulation - Scene simulation (see createSceneSimulation)
+ * @param {Object} options - Input options
+ * @param {boolean} options.interactive - Let pointers drag, spawn and delete bodies
+ * @param {Object} options.fieldGizmos - Force field gizmos, for their handles
+ * @param {Function} options.getSpawnSettings - Returns { active, options } of the spawn palette
+ * @param {Function} options.getDragSettings - Returns { mode, rigid } for new drags
+ * @param {Function} options.getThrowOptions - Returns the throw options (see throwing.js)
+ * @param {Object} options.actions - Editing actions of the scene: selectBody(id),
+ *   spawnBody(description), deleteBody(id), moveField(id, position), undo(),
+ *   redo(), beginDrag() and commitDrag() around each drag for the undo
+ *   history, and updateControls() when a field drag starts or ends
+ * @returns {Object} { isDraggingField, cancelFieldDrag, cancelLongPress, dispose }
+ */
+export function createSceneInput(view, simulation, options) {
+  const { camera, renderer, raycaster, director } = view;
+  const { sceneContext, objects, drags, world } = simulation;
+  const { fieldGizmos, actions } = options;
+  const element = renderer.domElement;
+
+  let pointerInput = null;
+  const cameraTouches = new Map(); // touch id -> { clientX, clientY, startX, startY } for fingers on empty space
+  let pinch = null; // Last two-finger reading ({ x, y, distance, angle }), see readPinch
+  let pinched = false; // Whether the fingers on empty space have made a two-finger gesture
+  let longPress = null; // { pointer, timer, clientX, clientY } while a touch may become a long press
+  let fieldDrag = null; // { pointer, fieldId, mode, plane, anchor, offset, from, position } while a field handle is dragged
+
+  // The wheel pushes and pulls dragged bodies (and zooms otherwise)
+  element.addEventListener("wheel", handleWheel, { passive: false });
+
+  // Non-interactive scenes only let the camera move
+  if (options.interactive) {
+    // Right-click deletes a body (long-press does the same on touch screens)
+    element.addEventListener("contextmenu", handleContextMenu);
+
+    // Ctrl/Cmd+Z and friends drive the undo history while the canvas has
+    // focus (pressing it focuses it), so each scene on a page has its own
+    element.tabIndex = 0;
+    element.style.outline = "none";
+    element.addEventListener("keydown", handleKeyDown);
+
+    // Mouse, touch and pen all drive the scene at once through Pointer Events
+    pointerInput = createPointerInput(element, {
+      onDown: handlePointerDown,
+      onMove: handlePointerMove,
+      onUp: handlePointerUp,
+    });
+  }
+
+  /**
+   * Find the body under a screen position
+   * Instanced hits resolve through their instanceId; compound bodies through
+   * the group that owns the hit part.
+   * @param {Object} coords - { clientX, clientY }
+   * @returns {Object|null} { object, point } for the nearest body hit
+   */
+  function pickObject(coords) {
+    const instances = sceneContext.instances;
+    const hits = getIntersections(
+      coords.clientX,
+      coords.clientY,
+      [
+        ...objects.map(({ mesh }) => mesh),
+        ...(instances ? instances.getMeshes() : []),
+      ],
+      camera,
+      raycaster,
+      element
+    );
+
+    for (const hit of hits) {
+      let target = instances?.getProxy(hit) ?? hit.object;
+      while (target) {
+        const object = objects.find(({ mesh }) => mesh === target);
+        if (object) return { object, point: hit.point };
+        target = target.parent;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Handle pointer down events - check for body hits and start dragging
+   * Every mouse, pen or finger on a body drags it; fingers on empty space
+   * steer the camera (see handlePointerMove).
+   */
+  function handlePointerDown(event) {
+    // Ignore anything but the primary button (right-click deletes, see handleContextMenu)
+    if (event.button !== 0) return;
+    element.focus({ preventScroll: true });
+
+    // Prevent default to avoid text selection and emulated mouse events
+    if (event.cancelable) {
+      event.preventDefault();
+    }
+
+    // Get normalized coordinates
+    const coords = getNormalizedEventCoords(event);
+    const touch = event.pointerType === "touch";
+
+    // A second finger turns a pending long press into a multi-touch gesture
+    if (touch && pointerInput.count("touch") > 1) cancelLongPress();
+
+    // Force field handles sit in front of the bodies
+    const handle = simulation.isReplaying() ? null : pickFieldHandle(coords);
+    if (handle) {
+      if (!fieldDrag) startFieldDrag(event.pointerId, handle);
+      return;
+    }
+
+    // Find which body was pressed, if any
+    const picked = pickObject(coords);
+    if (!picked) {
+      // Fingers steer the camera, or spawn on a tap (see handlePointerUp);
+      // in spawn mode a click drops a new body right away
+      if (touch) {
+        cameraTouches.set(event.pointerId, {
+          ...coords,
+          startX: coords.clientX,
+          startY: coords.clientY,
+        });
+        pinch = null;
+      } else if (options.getSpawnSettings().active) {
+        spawnAt(coords);
+      }
+      return;
+    }
+    const { object: selectedCube, point: hitPoint } = picked;
+
+    // The joint's stiffness and the nudge depend on the kind of pointer
+    const { mode, rigid } = options.getDragSettings();
+    actions.beginDrag();
+    simulation.dispatch({
+      type: "dragStart",
+      pointer: event.pointerId,
+      body: selectedCube.spec.id,
+      point: hitPoint.toArray(),
+      mode,
+      rigid,
+      pointerType: event.pointerType,
+      nudge: DRAG_NUDGE[event.pointerType] ?? 0,
+    });
+    actions.selectBody(selectedCube.spec.id);
+
+    // Holding a pen or a single finger still on the body deletes it
+    if (event.pointerType !== "mouse" && pointerInput.count("touch") <= 1) {
+      startLongPress(selectedCube.spec.id, coords, event.pointerId);
+    }
+  }
+
+  /**
+   * Handle pointer move events - update dragging and two-finger gestures
+   */
+  function handlePointerMove(event) {
+    const coords = getNormalizedEventCoords(event);
+
+    const cameraTouch = cameraTouches.get(event.pointerId);
+    if (cameraTouch) {
+      // While dragging, a second finger sliding up pushes the bodies away, down
+      // pulls them closer, and sliding sideways turns rigidly held bodies
+      if (drags.size > 0 && cameraTouches.size === 1) {
+        pushDrags((cameraTouch.clientY - coords.clientY) * TOUCH_DEPTH_SPEED);
+        drags.forEach((drag, pointer) =>
+          rotateDrag(
+            pointer,
+            (coords.clientX - cameraTouch.clientX) * TOUCH_ROTATE_SPEED,
+            0
+          )
+        );
+        pinched = true; // Not a tap
+      }
+      Object.assign(cameraTouch, coords);
+      if (cameraTouches.size === 2) applyCameraGesture();
+      return;
+    }
+
+    if (fieldDrag?.pointer === event.pointerId) {
+      moveFieldDrag(coords);
+      return;
+    }
+
+    const drag = drags.get(event.pointerId);
+    if (!drag) return;
+
+    // Prevent default to avoid text selection while dragging
+    if (event.cancelable) {
+      event.preventDefault();
+    }
+    cancelLongPressIfMoved(event.pointerId, coords);
+
+    // Holding Shift turns a rigidly held body instead of moving it
+    if (event.shiftKey && drag.rigid) {
+      rotateDrag(
+        event.pointerId,
+        event.movementX * MOUSE_ROTATE_SPEED,
+        event.movementY * MOUSE_ROTATE_SPEED
+      );
+      return;
+    }
+    dragPointerTo(event.pointerId, coords);
+  }
+
+  /**
+   * Turn a rigidly held body about its grab point
+   * @param {number} pointer - Pointer id
+   * @param {number} yaw - Turn about the vertical axis (radians)
+   * @param {number} pitch - Turn about the camera's horizontal axis (radians)
+   */
+  function rotateDrag(pointer, yaw, pitch) {
+    const drag = drags.get(pointer);
+    if (!drag?.rigid || simulation.isReplaying()) return;
+
+    const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+    const clamp = (angle) =>
+      THREE.MathUtils.clamp(angle, -MAX_ROTATE_STEP, MAX_ROTATE_STEP);
+    const rotation = new THREE.Quaternion()
+      .setFromAxisAngle(new THREE.Vector3(0, 1, 0), clamp(yaw))
+      .multiply(new THREE.Quaternion().setFromAxisAngle(right, clamp(pitch)))
+      .multiply(drag.rotation);
+    simulation.dispatch({
+      type: "dragRotate",
+      pointer,
+      quaternion: rotation.toArray(),
+    });
+  }
+
+  /**
+   * Move a pointer's drag to where the pointer meets its drag plane
+   * @param {number} pointer - Pointer id
+   * @param {Object} coords - { clientX, clientY } of the pointer
+   */
+  function dragPointerTo(pointer, coords) {
+    const drag = drags.get(pointer);
+    const ray = getPointerRay(
+      coords.clientX,
+      coords.clientY,
+      camera,
+      raycaster,
+      element
+    );
+    const point = getDragPoint(drag.mode, ray, drag.plane, drag.anchor);
+
+    if (point) {
+      simulation.dispatch({
+        type: "dragMove",
+        pointer,
+        point: point.toArray(),
+      });
+    }
+  }
+
+  /**
+   * Push every dragged body away from the camera, or pull it closer
+   * Each drag plane moves along with its joint, so the pointer keeps dragging at the new depth.
+   * @param {number} amount - Distance in meters (negative pulls)
+   */
+  function pushDrags(amount) {
+    if (simulation.isReplaying()) return;
+
+    drags.forEach((drag, pointer) => {
+      const point = pushAlongViewRay(drag.point, camera, amount);
+      drag.plane.setFromNormalAndCoplanarPoint(drag.plane.normal, point);
+      drag.anchor.copy(point);
+      simulation.dispatch({
+        type: "dragMove",
+        pointer,
+        point: point.toArray(),
+      });
+    });
+  }
+
+  /**
+   * Handle wheel events - push dragged bodies away or pull them closer
+   * Orbit controls zoom instead while nothing is being dragged.
+   */
+  function handleWheel(event) {
+    if (drags.size === 0) return;
+    event.preventDefault();
+
+    // Line and page scrolling (deltaMode 1 and 2) move much further than pixels
+    const pixels =
+      event.deltaY * [1, 16, element.clientHeight][event.deltaMode];
+    pushDrags(-pixels * WHEEL_DEPTH_SPEED);
+  }
+
+  /**
+   * Handle pointer up and cancel events - throw dragged bodies and finish taps
+   */
+  function handlePointerUp(event) {
+    cancelLongPress(event.pointerId);
+
+    const cameraTouch = cameraTouches.get(event.pointerId);
+    if (cameraTouch) {
+      cameraTouches.delete(event.pointerId);
+      pinch = null;
+
+      // A one-finger tap on empty space drops a body in spawn mode
+      const moved = Math.hypot(
+        cameraTouch.clientX - cameraTouch.startX,
+        cameraTouch.clientY - cameraTouch.startY
+      );
+      if (
+        event.type === "pointerup" &&
+        options.getSpawnSettings().active &&
+        !pinched &&
+        moved <= LONG_PRESS_TOLERANCE
+      ) {
+        spawnAt({ clientX: cameraTouch.startX, clientY: cameraTouch.startY });
+      }
+      if (cameraTouches.size === 0) pinched = false;
+      return;
+    }
+
+    if (fieldDrag?.pointer === event.pointerId) {
+      endFieldDrag(event.type === "pointerup");
+      return;
+    }
+
+    // Throw the body this pointer was holding
+    throwDrag(event.pointerId);
+  }
+
+  /**
+   * End a pointer's drag, throwing the body with the pointer's recent velocity
+   * @param {number} pointer - Pointer id
+   */
+  function throwDrag(pointer) {
+    const drag = drags.get(pointer);
+    if (!drag) return;
+
+    const throwOptions = options.getThrowOptions();
+    simulation.dispatch({
+      type: "dragEnd",
+      pointer,
+      velocity: getThrowVelocity(drag.samples, performance.now(), throwOptions),
+      spin: throwOptions.spin,
+    });
+    actions.commitDrag();
+  }
+
+  /**
+   * Find the force field handle under a screen position
+   * @param {Object} coords - { clientX, clientY }
+   * @returns {Object|null} { fieldId, point } for the nearest handle hit
+   */
+  function pickFieldHandle(coords) {
+    const [hit] = getIntersections(
+      coords.clientX,
+      coords.clientY,
+      fieldGizmos.getHandles(),
+      camera,
+      raycaster,
+      element
+    );
+    return hit
+      ? { fieldId: hit.object.userData.fieldId, point: hit.point }
+      : null;
+  }
+
+  /**
+   * Start moving a force field by its handle, on the current drag plane
+   * The field only moves when the handle is let go; until then the gizmo
+   * shows where it will go.
+   * @param {number} pointer - Pointer id
+   * @param {Object} picked - { fieldId, point } from pickFieldHandle
+   */
+  function startFieldDrag(pointer, { fieldId, point }) {
+    const field = world.forceFields.find(({ id }) => id === fieldId);
+    const { mode } = options.getDragSettings();
+    const from = new THREE.Vector3(...(field.spec.position ?? [0, 0, 0]));
+    fieldDrag = {
+      pointer,
+      fieldId,
+      mode,
+      plane: createDragPlane(mode, point, camera),
+      anchor: point.clone(),
+      offset: from.clone().sub(point),
+      from,
+      position: from.clone(),
+    };
+    actions.updateControls();
+  }
+
+  /**
+   * Show the dragged force field where the pointer meets its drag plane
+   * @param {Object} coords - { clientX, clientY } of the pointer
+   */
+  function moveFieldDrag(coords) {
+    const ray = getPointerRay(
+      coords.clientX,
+      coords.clientY,
+      camera,
+      raycaster,
+      element
+    );
+    const point = getDragPoint(
+      fieldDrag.mode,
+      ray,
+      fieldDrag.plane,
+      fieldDrag.anchor
+    );
+    if (!point) return;
+    fieldDrag.position.copy(point).add(fieldDrag.offset);
+    fieldGizmos.preview(fieldDrag.fieldId, fieldDrag.position.toArray());
+  }
+
+  /**
+   * Let go of the dragged force field handle, moving the field there
+   * @param {boolean} commit - False to put the field back, e.g. when the
+   *   pointer is cancelled
+   */
+  function endFieldDrag(commit = true) {
+    const { fieldId, from, position } = fieldDrag;
+    fieldDrag = null;
+    fieldGizmos.preview(fieldId, null);
+    actions.updateControls();
+    if (commit && !position.equals(from)) {
+      actions.moveField(fieldId, position.toArray());
+    }
+  }
+
+  /**
+   * Start timing a touch on a body; holding still long enough deletes it
+   * @param {string} bodyId - Scene id of the touched body
+   * @param {Object} coords - { clientX, clientY } where the touch started
+   * @param {number} pointer - Id of the touching pointer
+   */
+  function startLongPress(bodyId, coords, pointer) {
+    cancelLongPress();
+    longPress = {
+      ...coords,
+      pointer,
+      timer: setTimeout(() => {
+        longPress = null;
+        actions.deleteBody(bodyId);
+      }, LONG_PRESS_DELAY),
+    };
+  }
+
+  /**
+   * Stop waiting for a long press
+   * @param {number} pointer - Only cancel the long press of this pointer (any when omitted)
+   */
+  function cancelLongPress(pointer) {
+    if (!longPress) return;
+    if (pointer !== undefined && longPress.pointer !== pointer) return;
+    clearTimeout(longPress.timer);
+    longPress = null;
+  }
+
+  /**
+   * Cancel a pending long press once the touch has moved away
+   * @param {number} pointer - Id of the pointer that moved
+   * @param {Object} coords - { clientX, clientY } of the pointer now
+   */
+  function cancelLongPressIfMoved(pointer, coords) {
+    if (
+      longPress?.pointer === pointer &&
+      Math.hypot(
+        coords.clientX - longPress.clientX,
+        coords.clientY - longPress.clientY
+      ) > LONG_PRESS_TOLERANCE
+    ) {
+      cancelLongPress();
+    }
+  }
+
+  /**
+   * Handle right-clicks - delete the body under the pointer
+   */
+  function handleContextMenu(event) {
+    event.preventDefault();
+
+    const picked = pickObject(getNormalizedEventCoords(event));
+    if (picked) actions.deleteBody(picked.object.spec.id);
+  }
+
+  /**
+   * Drop a new body from the spawn palette settings under a screen position
+   * Bodies land on the floor or level piece that was clicked; clicks on empty
+   * space place the body in front of the camera, at the distance of the orbit target.
+   * @param {Object} coords - { clientX, clientY }
+   */
+  function spawnAt(coords) {
+    const { shape, size, color, mass, material } =
+      options.getSpawnSettings().options;
+
+    // Capsules need some length beyond their diameter to look like one
+    const extents = shape === "capsule" ? [size, size * 2, size] : size;
+
+    const surfaces = [sceneContext.floor, ...sceneContext.level]
+      .filter(Boolean)
+      .map(({ mesh }) => mesh);
+    const [hit] = getIntersections(
+      coords.clientX,
+      coords.clientY,
+      surfaces,
+      camera,
+      raycaster,
+      element
+    );
+    let position;
+    if (hit) {
+      position = hit.point.clone();
+      position.y += normalizeSize(extents)[1] / 2 + SPAWN_DROP_HEIGHT;
+    } else {
+      position = raycaster.ray.at(
+        camera.position.distanceTo(sceneContext.cameraTarget),
+        new THREE.Vector3()
+      );
+    }
+
+    actions.spawnBody({
+      shape,
+      size: extents,
+      color,
+      mass,
+      material,
+      position: position.toArray(),
+    });
+  }
+
+  /**
+   * Handle keyboard shortcuts - Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes
+   */
+  function handleKeyDown(event) {
+    // Leave text fields, sliders and selects their own shortcuts
+    if (event.target.closest?.("input, select, textarea")) return;
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+    const key = event.key.toLowerCase();
+    if (key === "z" && !event.shiftKey) {
+      event.preventDefault();
+      actions.undo();
+    } else if ((key === "z" && event.shiftKey) || key === "y") {
+      event.preventDefault();
+      actions.redo();
+    }
+  }
+
+  /**
+   * Orbit, pan and zoom the camera with the two fingers on empty space
+   */
+  function applyCameraGesture() {
+    const [a, b] = [...cameraTouches.values()];
+    const next = readPinch(a, b);
+
+    if (pinch && pinch.distance > 0 && next.distance > 0) {
+      const target = sceneContext.cameraTarget;
+      director.cancel();
+
+      // Twisting turns the scene with the fingers (wrapped to the shorter turn)
+      const twist = next.angle - pinch.angle;
+      orbitCamera(camera, target, Math.atan2(Math.sin(twist), Math.cos(twist)));
+      zoomCamera(camera, target, next.distance / pinch.distance);
+      panCamera(
+        camera,
+        target,
+        next.x - pinch.x,
+        next.y - pinch.y,
+        element.clientHeight
+      );
+    }
+
+    pinch = next;
+    pinched = true;
+  }
+
+  return {
+    /**
+     * Whether a force field handle is being dragged
+     * @returns {boolean}
+     */
+    isDraggingField: () => fieldDrag !== null,
+
+    /**
+     * Put a dragged force field back without moving it, e.g. when it's removed
+     * @param {string} fieldId - Only cancel the drag of this field
+     */
+    cancelFieldDrag(fieldId) {
+      if (fieldDrag?.fieldId === fieldId) endFieldDrag(false);
+    },
+
+    cancelLongPress,
+
+    /**
+     * Remove the listeners and forget any pending long press
+     */
+    dispose() {
+      element.removeEventListener("wheel", handleWheel);
+      element.removeEventListener("contextmenu", handleContextMenu);
+      element.removeEventListener("keydown", handleKeyDown);
+      cancelLongPress();
+      pointerInput?.dispose();
+    },
+  };
+}
@@ -0,0 +1,734 @@
+/**
+ * Scene simulation
+ * The physics side of a PhysicsScene: the world and its scene objects, the
+ * physics backend stepping them at a fixed rate, and the recorder and replay
+ * player around it. Every change to the simulation is an input ({ type, ... })
+ * that goes through dispatch(), so it can be recorded and replayed at the
+ * same step; drags keep their marker and plane guide here too.
+ * UI concerns are left to the hooks, which are called after the simulation
+ * has changed.
+ */
+
+import * as CANNON from "cannon-es";
+import * as THREE from "three";
+import {
+  createPhysicsWorld,
+  createClickMarker,
+  disposeResources,
+} from "./threeHelpers";
+import {
+  createSceneContext,
+  loadScene,
+  serializeScene,
+  addSceneBody,
+  removeSceneBody,
+  addSceneConstraint,
+  removeSceneConstraint,
+  validateScene,
+} from "./sceneIO";
+import { addForceField, removeForceField, moveForceField } from "./physics";
+import { createPhysicsBackend } from "./physicsBackend";
+import { setBodyState, setBodyProperties } from "./physicsCommands";
+import { FLOOR_ID, readBodyState, applyWorldSettings } from "./sceneFormat";
+import { createInstancedRenderer } from "./instancedRenderer";
+import {
+  DEFAULT_LEVEL_MATERIAL,
+  findFallenBodies,
+  getRespawnState,
+} from "./level";
+import { QUALITY_LEVELS } from "./adaptiveQuality";
+import { createDragPlane, createDragGuide, updateDragGuide } from "./dragModes";
+import { addSample } from "./throwing";
+import { createRandom } from "./random";
+import {
+  createFixedStepper,
+  createRecorder,
+  createReplayPlayer,
+  parseReplay,
+} from "./replay";
+
+/**
+ * Creates the simulation of a scene and loads its first scene description
+ * @param {Object} view - Scene view (see createSceneView) the bodies are drawn in
+ * @param {Object} options - Simulation options
+ * @param {string|Object} options.scene - Scene description to start from
+ * @param {number} options.seed - Seed for the simulation's randomness (random when omitted)
+ * @param {boolean} options.worker - Step physics in a Web Worker when possible
+ * @param {boolean} options.instancing - Draw bodies of the same kind as instances
+ * @param {boolean} options.kick - Give dynamic bodies a random push when the scene starts
+ * @param {Object} options.bounds - { min, max } corners of the area bodies may stay in
+ * @param {Object} hooks - Optional callbacks
+ * @param {Function} hooks.emit - Receives (name, event) for the onDragStart,
+ *   onDragEnd, onSleep, onBodyOutOfBounds and onBodyFell events of PhysicsScene
+ * @param {Function} hooks.onCollisions - Receives each frame's collisions,
+ *   with the materials of both bodies
+ * @param {Function} hooks.onInput - Receives each input once it has been
+ *   applied, live or from a replay (inputs that found nothing to change are skipped)
+ * @param {Function} hooks.onLoad - Called after a scene replaces the running one
+ * @param {Function} hooks.onDragsChange - Called when a drag starts or ends
+ * @param {Function} hooks.onReplayChange - Called when a replay starts, stops
+ *   or is controlled, and a few times per second while it plays
+ * @param {Function} hooks.onPhysicsFallback - Receives the Error when physics
+ *   stops stepping in the worker and moves to the main thread
+ * @returns {Object} Simulation API
+ */
+export function createSceneSimulation(view, options, hooks = {}) {
+  const { scene, camera } = view;
+  const objects = [];
+  const drags = new Map(); // pointer id -> { bodyId, mode, rigid, plane, anchor, point, rotation, marker, guide, samples } per dragged body
+  const sleepingIds = new Set(); // Bodies last seen asleep, for onSleep
+  const outOfBoundsIds = new Set(); // Bodies last seen out of bounds, for onBodyOutOfBounds
+
+  // Deterministic stepping, randomness and record/replay
+  const rng = createRandom(options.seed ?? Date.now());
+  const recorder = createRecorder();
+  let paused = false; // Live stepping stops while paused (see step)
+  let player = null;
+  let replayData = null;
+  let replayStatusFrames = 0;
+
+  // Create physics world with visible debugging
+  const world = createPhysicsWorld();
+
+  // Bodies of the same shape share one InstancedMesh unless turned off
+  const instances = options.instancing ? createInstancedRenderer(scene) : null;
+
+  // Build the floor, bodies and camera pose from the scene description
+  const sceneContext = createSceneContext({
+    scene,
+    world,
+    camera,
+    objects,
+    instances,
+    random: rng,
+  });
+  loadScene(sceneContext, options.scene);
+  if (options.kick) kickBodies();
+
+  // Step at a fixed rate so recorded inputs line up with step indices
+  // Slow devices get fewer catch-up steps per frame, not a longer step
+  const topLevel = QUALITY_LEVELS[QUALITY_LEVELS.length - 1];
+  const stepper = createFixedStepper(1 / 60, topLevel.maxCatchUpSteps);
+
+  // Step in a worker unless asked to stay on the main thread
+  const physics = createPhysicsBackend({
+    world,
+    objects,
+    serialize: () => serializeScene(sceneContext),
+    getBodyId,
+    dt: stepper.dt,
+    useWorker: options.worker,
+    onFallback: (error) => hooks.onPhysicsFallback?.(error),
+  });
+  physics.load();
+  startRecording();
+
+  /**
+   * Wake every dynamic body and give it a random push so the scene starts moving
+   */
+  function kickBodies() {
+    objects.forEach(({ body }) => {
+      if (body.mass === 0) return;
+
+      // Wake up bodies to ensure they start moving
+      body.wakeUp();
+
+      // Apply stronger initial impulse to make them move visibly
+      const randomImpulse = new CANNON.Vec3(
+        rng.range(-5, 5),
+        5, // Add upward force
+        rng.range(-5, 5)
+      );
+      body.applyImpulse(randomImpulse, body.position);
+    });
+  }
+
+  /**
+   * Start recording inputs from the current (freshly loaded) state
+   */
+  function startRecording() {
+    recorder.start({
+      scene: serializeScene(sceneContext),
+      rngState: rng.getState(),
+      seed: rng.seed,
+      dt: stepper.dt,
+    });
+  }
+
+  /**
+   * Leave replay mode and continue live from the current replay step
+   * The recording keeps the replay's inputs up to this step, so exporting
+   * afterwards still reproduces the whole session.
+   */
+  function stopReplay() {
+    if (!player) return;
+
+    recorder.resume(replayData, physics.stepNumber);
+    player = null;
+    replayData = null;
+    stepper.reset();
+
+    // Nobody is holding the bodies that were being dragged in the replay
+    endAllDrags();
+    hooks.onReplayChange?.();
+  }
+
+  /**
+   * Apply a user input and record it
+   * Inputs are ignored while a replay is playing. An input that throws is
+   * left out of the recording, so replays never stop on it.
+   * @param {Object} input - Input data ({ type, ... })
+   */
+  function dispatch(input) {
+    if (player) return;
+    const step = physics.stepNumber;
+    applyInput(input);
+    recorder.record(step, input);
+  }
+
+  /**
+   * Apply a user input to the simulation (live or from a replay)
+   * @param {Object} input - Input data ({ type, ... })
+   * @throws {Error} When the input type is unknown
+   */
+  function applyInput(input) {
+    switch (input.type) {
+      case "dragStart": {
+        const target = objects.find((object) => object.spec.id === input.body);
+        if (!target) return;
+
+        const pointer = input.pointer ?? 0;
+        const mode = input.mode ?? "camera";
+        const hitPoint = new THREE.Vector3(...input.point);
+        releaseDrag(pointer);
+
+        // Show a click marker for visual feedback
+        const marker = createClickMarker(scene);
+        marker.visible = true;
+        marker.position.copy(hitPoint);
+
+        // The plane the body slides on, and a guide showing it
+        const plane = createDragPlane(mode, hitPoint, camera);
+        const guide = createDragGuide(scene, mode);
+        updateDragGuide(guide, plane, hitPoint);
+
+        // Constrain the body to the pointer (wakes it and applies the nudge)
+        physics.run({
+          type: "dragStart",
+          pointer,
+          rigid: input.rigid,
+          body: input.body,
+          point: input.point,
+          // Replays from before pointer types were recorded only flag touches
+          pointerType: input.pointerType ?? (input.touch ? "touch" : "mouse"),
+          nudge: input.nudge,
+        });
+
+        // Set dragging state; samples of the dragged point feed the throw on release
+        const samples = [];
+        addSample(samples, input.point, performance.now());
+        drags.set(pointer, {
+          bodyId: input.body,
+          mode,
+          rigid: Boolean(input.rigid),
+          plane,
+          anchor: hitPoint.clone(), // Lift axis in vertical mode
+          point: hitPoint.clone(), // Current joint position
+          rotation: new THREE.Quaternion(), // Turn since the grab (rigid grabs)
+          marker,
+          guide,
+          samples,
+        });
+        hooks.onDragsChange?.();
+        hooks.emit?.("onDragStart", {
+          body: input.body,
+          pointer,
+          point: input.point,
+        });
+        break;
+      }
+
+      case "dragMove": {
+        const pointer = input.pointer ?? 0;
+        const drag = drags.get(pointer);
+        if (!drag) return;
+
+        // Update marker, guide and constraint positions
+        drag.point.fromArray(input.point);
+        drag.marker.position.copy(drag.point);
+        updateDragGuide(drag.guide, drag.plane, drag.point);
+        addSample(drag.samples, input.point, performance.now());
+        physics.run({ type: "dragMove", pointer, point: input.point });
+        break;
+      }
+
+      case "dragRotate": {
+        const pointer = input.pointer ?? 0;
+        const drag = drags.get(pointer);
+        if (!drag) return;
+
+        drag.rotation.fromArray(input.quaternion);
+        physics.run({
+          type: "dragRotate",
+          pointer,
+          quaternion: input.quaternion,
+        });
+        break;
+      }
+
+      case "dragEnd": {
+        const pointer = input.pointer ?? 0;
+        const drag = drags.get(pointer);
+
+        // Replays recorded before velocity-based throwing fling touch releases randomly
+        if (input.fling && drag) {
+          physics.run({
+            type: "applyImpulse",
+            body: drag.bodyId,
+            impulse: [rng.range(-1, 1), rng.range(1, 2), rng.range(-1, 1)],
+          });
+        }
+
+        // Throws carry the release velocity (see createSceneInput)
+        releaseDrag(pointer, { velocity: input.velocity, spin: input.spin });
+        break;
+      }
+
+      case "impulse":
+        physics.run({
+          type: "applyImpulse",
+          body: input.body,
+          impulse: input.impulse,
+          point: input.point,
+        });
+        break;
+
+      case "connect": {
+        // Both bodies must still be there (a recorded delete may have run first)
+        const ids = objects.map(({ spec }) => spec.id);
+        if (!ids.includes(input.spec.bodyA) || !ids.includes(input.spec.bodyB))
+          return;
+        addSceneConstraint(sceneContext, input.spec);
+        physics.run({ type: "addConstraint", spec: input.spec });
+        break;
+      }
+
+      case "disconnect":
+        removeSceneConstraint(sceneContext, input.constraint);
+        physics.run({
+          type: "removeConstraint",
+          constraint: input.constraint,
+        });
+        break;
+
+      case "spawn":
+        addSceneBody(sceneContext, input.spec);
+        physics.run({ type: "addBody", spec: input.spec });
+        break;
+
+      case "remove": {
+        const target = objects.find((object) => object.spec.id === input.body);
+        if (!target) return;
+
+        drags.forEach((drag, pointer) => {
+          if (drag.bodyId === input.body) releaseDrag(pointer);
+        });
+        physics.run({ type: "removeBody", body: input.body });
+        removeSceneBody(sceneContext, target);
+        break;
+      }
+
+      case "restore":
+        // Mirror bodies in worker mode only pick the states up on the next sync
+        input.states.forEach((state) => {
+          const target = objects.find((object) => object.spec.id === state.id);
+          if (target) setBodyState(target.body, state);
+        });
+        physics.run({ type: "setBodyStates", states: input.states });
+        break;
+
+      case "tuneWorld":
+        // The mirror keeps the settings for saving and the panel
+        applyWorldSettings(world, input.settings);
+        physics.run({
+          type: "setWorldSettings",
+          settings: input.settings,
+          wake: input.wake,
+        });
+        break;
+
+      case "addField":
+        addForceField(world, input.spec);
+        physics.run({ type: "addForceField", spec: input.spec });
+        break;
+
+      case "removeField":
+        removeForceField(world, input.field);
+        physics.run({ type: "removeForceField", field: input.field });
+        break;
+
+      case "moveField":
+        moveForceField(world, input.field, input.position);
+        physics.run({
+          type: "moveForceField",
+          field: input.field,
+          position: input.position,
+        });
+        break;
+
+      case "tuneBody": {
+        const target = objects.find((object) => object.spec.id === input.body);
+        if (!target) return;
+        setBodyProperties(target.body, input.properties);
+        physics.run({
+          type: "setBodyProperties",
+          body: input.body,
+          properties: input.properties,
+        });
+        break;
+      }
+
+      default:
+        // Replay files are checked against REPLAY_INPUT_TYPES when parsed
+        throw new Error(`Unknown input type "${input.type}"`);
+    }
+    hooks.onInput?.(input);
+  }
+
+  /**
+   * Release the body a pointer is dragging, or every dragged body
+   * @param {number} pointer - Pointer id (all pointers when omitted)
+   * @param {Object} release - Extra dragEnd fields, e.g. { velocity, spin } to throw the body
+   */
+  function releaseDrag(pointer, release = {}) {
+    const pointers = pointer === undefined ? [...drags.keys()] : [pointer];
+    pointers.forEach((id) => {
+      const drag = drags.get(id);
+      if (!drag) return;
+
+      // Remove marker, plane guide and constraint
+      scene.remove(drag.marker, drag.guide);
+      disposeResources({ meshes: [drag.marker, drag.guide] });
+      physics.run({ type: "dragEnd", pointer: id, ...release });
+      drags.delete(id);
+      hooks.emit?.("onDragEnd", {
+        body: drag.bodyId,
+        pointer: id,
+        velocity: release.velocity ?? null,
+      });
+    });
+    hooks.onDragsChange?.();
+  }
+
+  /**
+   * End every drag through recorded inputs
+   */
+  function endAllDrags() {
+    [...drags.keys()].forEach((pointer) =>
+      dispatch({ type: "dragEnd", pointer })
+    );
+  }
+
+  /**
+   * Run one fixed physics step
+   */
+  function stepSimulation() {
+    physics.step();
+  }
+
+  /**
+   * Look up the scene id of a main-thread body
+   * @param {CANNON.Body} body - Physics body
+   * @returns {string|undefined} Scene id, FLOOR_ID for the floor, or
+   *   undefined for helper bodies such as drag joints
+   */
+  function getBodyId(body) {
+    if (body === sceneContext.floor?.body) return FLOOR_ID;
+    return [...objects, ...sceneContext.level].find(
+      (object) => object.body === body
+    )?.spec.id;
+  }
+
+  /**
+   * Look up the material of a body, for impact sounds
+   * @param {string} bodyId - Scene or level piece id, or FLOOR_ID
+   * @returns {string} Material name
+   */
+  function getMaterialName(bodyId) {
+    if (bodyId === FLOOR_ID) return sceneContext.floor?.spec.material;
+    const piece = sceneContext.level.find(({ spec }) => spec.id === bodyId);
+    if (piece) return piece.spec.material ?? DEFAULT_LEVEL_MATERIAL;
+    const target = objects.find(({ spec }) => spec.id === bodyId);
+    return target?.spec.material ?? "cube";
+  }
+
+  /**
+   * Report collisions, bodies that fell asleep and bodies that left the bounds
+   * Each is reported once: sleep again after waking, bounds after coming back.
+   */
+  function emitBodyEvents() {
+    const collisions = physics.takeCollisions().map((collision) => ({
+      ...collision,
+      materials: [
+        getMaterialName(collision.bodyA),
+        getMaterialName(collision.bodyB),
+      ],
+    }));
+    hooks.onCollisions?.(collisions);
+
+    const { min, max } = options.bounds;
+    objects.forEach(({ body, spec }) => {
+      const sleeping = body.sleepState === CANNON.Body.SLEEPING;
+      if (sleeping && !sleepingIds.has(spec.id)) {
+        hooks.emit?.("onSleep", { body: spec.id });
+      }
+      if (sleeping) sleepingIds.add(spec.id);
+      else sleepingIds.delete(spec.id);
+
+      const position = body.position.toArray();
+      const outside = position.some(
+        (value, axis) => value < min[axis] || value > max[axis]
+      );
+      if (outside && !outOfBoundsIds.has(spec.id)) {
+        hooks.emit?.("onBodyOutOfBounds", { body: spec.id, position });
+      }
+      if (outside) outOfBoundsIds.add(spec.id);
+      else outOfBoundsIds.delete(spec.id);
+    });
+  }
+
+  /**
+   * Respawn or remove the bodies that fell below the scene's kill plane
+   * Both go through recorded inputs, so replays repeat them at the same step.
+   * Held bodies are left alone until they are let go.
+   */
+  function applyKillPlane() {
+    const { killPlane } = sceneContext;
+    if (!killPlane || player) return;
+
+    const heldBodyIds = new Set([...drags.values()].map((d) => d.bodyId));
+    const fallen = findFallenBodies(objects, killPlane).filter(
+      ({ spec }) => !heldBodyIds.has(spec.id)
+    );
+    if (fallen.length === 0) return;
+
+    if (killPlane.action === "remove") {
+      fallen.forEach(({ spec }) => dispatch({ type: "remove", body: spec.id }));
+    } else {
+      dispatch({
+        type: "restore",
+        states: fallen.map(({ spec }) => ({
+          id: spec.id,
+          ...getRespawnState(spec),
+        })),
+      });
+    }
+    fallen.forEach(({ spec }) =>
+      hooks.emit?.("onBodyFell", { body: spec.id, action: killPlane.action })
+    );
+  }
+
+  /**
+   * Copy the body transforms onto their meshes
+   */
+  function syncMeshes() {
+    const heldBodyIds = new Set([...drags.values()].map((d) => d.bodyId));
+
+    // Sync the three.js meshes with the bodies
+    for (let i = 0; i < objects.length; i++) {
+      const obj = objects[i];
+      obj.mesh.position.copy(obj.body.position);
+      obj.mesh.quaternion.copy(obj.body.quaternion);
+
+      // Wake up dragged bodies that might be stuck
+      if (
+        heldBodyIds.has(obj.spec.id) &&
+        obj.body.sleepState === CANNON.Body.SLEEPING
+      ) {
+        obj.body.wakeUp();
+      }
+    }
+
+    // Animated level pieces move too
+    sceneContext.level.forEach(({ mesh, body, spec }) => {
+      if (!spec.motion) return;
+      mesh.position.copy(body.position);
+      mesh.quaternion.copy(body.quaternion);
+    });
+
+    // Write the synced transforms into the instance matrices
+    instances?.update();
+  }
+
+  return {
+    world,
+    sceneContext,
+    objects,
+    drags,
+    physics,
+    dispatch,
+    releaseDrag,
+    endAllDrags,
+    stopReplay,
+
+    /**
+     * Whether a replay is playing (live inputs are ignored meanwhile)
+     * @returns {boolean}
+     */
+    isReplaying: () => player !== null,
+
+    /**
+     * Stop or resume live stepping; step() still advances a paused scene
+     * @param {boolean} value - True to pause
+     */
+    setPaused(value) {
+      paused = value;
+    },
+
+    /**
+     * Limit the catch-up steps per frame (see createFixedStepper)
+     * @param {number} count - Most steps per frame
+     */
+    setMaxCatchUpSteps: (count) => stepper.setMaxCatchUpSteps(count),
+
+    /**
+     * Replace the running scene with a scene description
+     * @param {string|Object} json - Scene JSON (validated before anything is removed)
+     * @param {Object} loadOptions - { kick } to push the new bodies like on creation
+     */
+    load(json, { kick = false } = {}) {
+      // An invalid scene throws here, leaving the replay and recording as they are
+      validateScene(sceneContext, json);
+      stopReplay();
+
+      // Let go of anything being dragged before its body disappears
+      releaseDrag();
+      loadScene(sceneContext, json);
+      if (kick) kickBodies();
+      sleepingIds.clear();
+      outOfBoundsIds.clear();
+      physics.load();
+      hooks.onLoad?.();
+      startRecording();
+    },
+
+    /**
+     * Serialize the running scene (see serializeScene)
+     * @returns {Object} Scene description
+     */
+    serialize: () => serializeScene(sceneContext),
+
+    /**
+     * Read the state of every body, for restoring it later
+     * @returns {Object[]} { id, position, quaternion, velocity, ... } per body
+     */
+    snapshotBodies() {
+      return objects.map(({ body, spec }) => ({
+        id: spec.id,
+        ...readBodyState(body),
+      }));
+    },
+
+    /**
+     * Build a replay file of everything since the last scene load
+     * @returns {Object} Replay data
+     */
+    exportReplay() {
+      return recorder.toJSON(physics.stepNumber);
+    },
+
+    /**
+     * Switch to replay mode and play a replay from its first step
+     * @param {string|Object} json - Replay file contents
+     */
+    startReplay(json) {
+      const replay = parseReplay(json);
+      validateScene(sceneContext, replay.scene);
+      stopReplay();
+
+      player = createReplayPlayer(replay, {
+        restore: ({ scene: snapshot, rngState }) => {
+          releaseDrag();
+          loadScene(sceneContext, snapshot);
+          physics.load();
+          rng.setState(rngState);
+          hooks.onLoad?.();
+        },
+        applyInput,
+        step: stepSimulation,
+      });
+      replayData = replay;
+      hooks.onReplayChange?.();
+    },
+
+    /**
+     * Run a player command, e.g. to pause or seek the replay
+     * @param {Function} command - Receives the player
+     */
+    controlReplay(command) {
+      if (!player) return;
+      command(player);
+      hooks.onReplayChange?.();
+    },
+
+    /**
+     * Status of the playing replay (see createReplayPlayer)
+     * @returns {Object|null} Status, or null when live
+     */
+    getReplayStatus: () => (player ? player.getStatus() : null),
+
+    /**
+     * Run fixed steps right away, e.g. to advance a paused scene frame by frame
+     * Ignored during replays, which step at their own pace.
+     * @param {number} count - Steps to run
+     */
+    step(count) {
+      if (player) return;
+      for (let i = 0; i < count; i++) stepSimulation();
+    },
+
+    /**
+     * Advance the simulation by a frame and bring the meshes up to date
+     * @param {number} elapsed - Seconds since the previous frame
+     */
+    advance(elapsed) {
+      if (player) {
+        player.advance(elapsed);
+
+        // Refresh the replay UI a few times per second
+        if (++replayStatusFrames % 10 === 0) hooks.onReplayChange?.();
+      } else if (paused) {
+        // Hold still; step() still advances the scene on request
+      } else if (physics.isBehind()) {
+        // Drop time rather than queue more steps than the worker can catch up on
+        stepper.reset();
+      } else {
+        stepper.advance(elapsed, stepSimulation);
+      }
+
+      // Send this frame's commands and pick up the latest body states
+      physics.sync();
+      applyKillPlane();
+      emitBodyEvents();
+      syncMeshes();
+    },
+
+    /**
+     * Stop the physics worker (or release the drag constraint) and free the
+     * meshes of the bodies and drags
+     */
+    dispose() {
+      physics.dispose();
+      instances?.dispose();
+      disposeResources({
+        meshes: [
+          ...objects.map(({ mesh }) => mesh),
+          ...[...drags.values()].flatMap(({ marker, guide }) => [
+            marker,
+            guide,
+          ]),
+        ],
+      });
+    },
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * Scene view
+ * The Three.js side of a PhysicsScene: renderer, camera, lights, orbit
+ * controls and camera director, drawn into a container element and sized to
+ * follow it rather than the window, so scenes can be embedded at any size
+ * (and several can share a page).
+ */
+
+import * as THREE from "three";
+import {
+  createScene,
+  setupCamera,
+  createRenderer,
+  createControls,
+  setupLighting,
+  setupRaycaster,
+  disposeResources,
+} from "./threeHelpers";
+import { createCameraDirector } from "./cameraDirector";
+
+/**
+ * Creates the view of a scene inside a container element
+ * The camera pose comes from the scene description (see loadScene).
+ * @param {HTMLElement} container - Element the canvas fills
+ * @returns {Object} { scene, camera, renderer, raycaster, controls, director,
+ *   applyQuality, update, render, dispose }
+ */
+export function createSceneView(container) {
+  // Create scene with gray background for better object visibility
+  const scene = createScene();
+  scene.background = new THREE.Color(0x333333);
+
+  // Setup camera
+  const width = container.clientWidth;
+  const height = container.clientHeight;
+  const camera = setupCamera(width, height);
+
+  // Create renderer with better settings
+  const renderer = createRenderer(width, height);
+  renderer.setClearColor(0x87ceeb); // Sky blue background for better visibility
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Performance optimization
+  renderer.outputColorSpace = THREE.SRGBColorSpace; // Modern color space
+
+  // Add renderer to DOM and ensure it fills container
+  container.innerHTML = ""; // Clear any existing content first
+  container.appendChild(renderer.domElement);
+
+  // Ensure renderer fills container completely
+  renderer.domElement.style.display = "block";
+  renderer.domElement.style.width = "100%";
+  renderer.domElement.style.height = "100%";
+
+  // Force an initial resize to ensure correct dimensions
+  renderer.setSize(width, height);
+
+  // Add enhanced lighting for better visibility
+  const lights = setupLighting(scene);
+
+  // Make directional light stronger and reposition
+  const directionalLight = new THREE.DirectionalLight(0xffffff, 1.5);
+  directionalLight.position.set(10, 20, 15);
+  directionalLight.castShadow = true;
+  directionalLight.shadow.mapSize.width = 2048;
+  directionalLight.shadow.mapSize.height = 2048;
+  scene.add(directionalLight);
+
+  // Their shadow map sizes follow the quality level
+  const shadowLights = [lights.directionalLight, directionalLight];
+
+  // Add additional lights for better visibility
+  const ambientLight = new THREE.AmbientLight(0xffffff, 0.7); // Brighter ambient
+  scene.add(ambientLight);
+
+  // Add a helpful grid to visualize the ground plane - make it larger
+  const gridHelper = new THREE.GridHelper(40, 40, 0x444444, 0x888888);
+  scene.add(gridHelper);
+
+  // Setup raycaster
+  const raycaster = setupRaycaster();
+
+  // Orbit, pan and zoom; one finger orbits, two-finger gestures are handled
+  // by the scene's input (see createSceneInput)
+  const controls = createControls(camera, renderer.domElement);
+  controls.touches = { ONE: THREE.TOUCH.ROTATE, TWO: null };
+  const director = createCameraDirector(camera, controls);
+
+  /**
+   * Handle container resizing
+   */
+  const handleResize = () => {
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    if (width === 0 || height === 0) return; // Hidden; keep the last size
+
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    renderer.setSize(width, height);
+  };
+  const resizeObserver = new ResizeObserver(handleResize);
+  resizeObserver.observe(container);
+
+  return {
+    scene,
+    camera,
+    renderer,
+    raycaster,
+    controls,
+    director,
+
+    /**
+     * Apply the resolution and shadow detail of a quality level
+     * @param {Object} level - Entry of QUALITY_LEVELS (see adaptiveQuality.js)
+     */
+    applyQuality(level) {
+      renderer.setPixelRatio(
+        Math.min(window.devicePixelRatio, level.pixelRatio)
+      );
+      shadowLights.forEach(({ shadow }) => {
+        if (shadow.mapSize.x === level.shadowMapSize) return;
+        shadow.mapSize.set(level.shadowMapSize, level.shadowMapSize);
+        // Drop the old map so the renderer allocates one at the new size
+        shadow.map?.dispose();
+        shadow.map = null;
+      });
+    },
+
+    /**
+     * Move the camera: director moves and follow-cam first, then orbit damping
+     * @param {number} elapsed - Seconds since the previous frame
+     */
+    update(elapsed) {
+      director.update(elapsed);
+      controls.update();
+    },
+
+    /**
+     * Draw a frame
+     */
+    render() {
+      renderer.render(scene, camera);
+    },
+
+    /**
+     * Stop following the container, remove the canvas and free the renderer
+     */
+    dispose() {
+      resizeObserver.disconnect();
+      director.dispose();
+      controls.dispose();
+      if (container.contains(renderer.domElement)) {
+        container.removeChild(renderer.domElement);
+      }
+      disposeResources({ renderer });
+    },
+  };
+}
@@ -4,8 +4,17 @@
  */
 
 import * as THREE from "three";
-import * as CANNON from "cannon-es";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls";
+import { createBody } from "./bodyFactory";
+
+// Physics-only helpers live in physics.js; re-exported here for existing imports
+export {
+  createPhysicsWorld,
+  createJointBody,
+  addJointConstraint,
+  moveJoint,
+  removeJointConstraint,
+} from "./physics";
 
 /**
  * Creates and configures a Three.js scene
@@ -42,67 +51,6 @@ export function createControls(camera, domElement) {
   return controls;
 }
 
-/**
- * Creates a physics world for simulation
- * @returns {CANNON.World} Configured physics world
- */
-export function createPhysicsWorld() {
-  const world = new CANNON.World({
-    gravity: new CANNON.Vec3(0, -9.82, 0),
-  });
-
-  // Configure the solver for better stability
-  world.solver.iterations = 20; // Increased iterations for more stable simulation (especially on mobile)
-  world.solver.tolerance = 0.005; // Lower tolerance for more precise solutions
-
-  // Configure sleep properties to allow objects to rest
-  world.allowSleep = true;
-  world.sleepTimeLimit = 0.5; // Reduced time before sleeping (seconds) for better mobile performance
-  world.sleepSpeedLimit = 0.15; // Increased speed limit before sleeping (m/s) to prevent premature sleep
-
-  // Configure material properties
-  // BOUNCE CONTROL: Lower restitution (bounciness) value makes objects less bouncy
-  world.defaultContactMaterial.restitution = 0.2; // Low default bounciness
-  world.defaultContactMaterial.friction = 0.7; // Good friction
-  world.defaultContactMaterial.contactEquationStiffness = 1e7; // More stable contacts
-  world.defaultContactMaterial.contactEquationRelaxation = 3; // Relaxation for stability
-
-  // Create materials for specific interactions
-  const cubeMaterial = new CANNON.Material("cube");
-  const floorMaterial = new CANNON.Material("floor");
-
-  // Create a contact material for better cube-floor interactions
-  // BOUNCE CONTROL: Lower restitution value for cube-floor makes cubes bounce less against the floor
-  const cubeFloorContactMaterial = new CANNON.ContactMaterial(
-    cubeMaterial,
-    floorMaterial,
-    {
-      friction: 0.8, // High friction with floor
-      restitution: 0.1, // Very low bounce with floor (reduced from 0.2)
-      contactEquationStiffness: 1e8, // Very stable floor contacts
-      contactEquationRelaxation: 3, // Good relaxation
-    }
-  );
-
-  // Create cube-to-cube contact material
-  // BOUNCE CONTROL: Lower restitution value for cube-cube makes cubes bounce less against each other
-  const cubeCubeContactMaterial = new CANNON.ContactMaterial(
-    cubeMaterial,
-    cubeMaterial,
-    {
-      friction: 0.4, // Lower friction between cubes
-      restitution: 0.3, // Reduced bounce between cubes (reduced from 0.6)
-      contactEquationStiffness: 1e7, // Stable cube-cube contacts
-      contactEquationRelaxation: 5, // More relaxation for cube collisions
-    }
-  );
-
-  world.addContactMaterial(cubeFloorContactMaterial);
-  world.addContactMaterial(cubeCubeContactMaterial);
-
-  return world;
-}
-
 /**
  * Creates a cube with both Three.js visual mesh and Cannon.js physics body
  * @param {THREE.Scene} scene - Scene to add the cube to
@@ -110,93 +58,28 @@ export function createPhysicsWorld() {
  * @param {THREE.Vector3} position - Initial position
  * @param {number|string} color - Cube color
  * @param {number} size - Cube size
- * @returns {Object} Object containing mesh and physics body
- */
-export function createCube(scene, world, position, color = 0xffffff, size = 2) {
-  // Three.js geometry
-  const geometry = new THREE.BoxGeometry(size, size, size);
-
-  // Create material
-  const material = new THREE.MeshStandardMaterial({
-    color:
-      color || new THREE.Color(Math.random(), Math.random(), Math.random()),
-    metalness: 0.3,
-    roughness: 0.4,
-  });
-
-  // Create mesh and add to scene
-  const cube = new THREE.Mesh(geometry, material);
-  cube.position.copy(position);
-  cube.castShadow = true;
-  cube.receiveShadow = true;
-  scene.add(cube);
-
-  // Create physics body
-  const shape = new CANNON.Box(new CANNON.Vec3(size / 2, size / 2, size / 2));
-  const cubeMaterial = new CANNON.Material("cube");
-  const body = new CANNON.Body({
-    mass: 1,
-    position: new CANNON.Vec3(position.x, position.y, position.z),
-    shape,
-    material: cubeMaterial,
-  });
-
-  // Add physics properties for better behavior with pointer interaction
-  // BOUNCE CONTROL: Higher damping values reduce the energy in the system, making objects settle faster
-  body.linearDamping = 0.6; // Increased linear damping to reduce motion (was 0.5)
-  body.angularDamping = 0.8; // Increased angular damping for less rotation (was 0.7)
-  body.allowSleep = true; // Allow objects to sleep when inactive for performance
-
-  // Add to physics world
-  world.addBody(body);
-
-  return { mesh: cube, body };
-}
-
-/**
- * Creates a floor for objects to land on
- * @param {THREE.Scene} scene - Scene to add the floor to
- * @param {CANNON.World} world - Physics world
- * @param {number} width - Floor width
- * @param {number} height - Floor height
- * @param {number} yPosition - Y-axis position
- * @returns {Object} Object containing mesh and physics body
+ * @param {string} materialName - Name of a material in the world's registry
+ * @param {Object} bodySettings - Optional { mass, linearDamping, angularDamping },
+ *   e.g. the body part of an exported physics config
+ * @returns {Object} Object containing mesh, physics body and spec (see createBody)
  */
-export function createFloor(
+export function createCube(
   scene,
   world,
-  width = 30,
-  height = 30,
-  yPosition = -5
+  position,
+  color = 0xffffff,
+  size = 2,
+  materialName = "cube",
+  bodySettings = {}
 ) {
-  // Create Three.js floor
-  const floorGeometry = new THREE.PlaneGeometry(width, height);
-  const floorMaterial = new THREE.MeshStandardMaterial({
-    color: 0x666666,
-    metalness: 0.3,
-    roughness: 0.4,
-  });
-
-  const floor = new THREE.Mesh(floorGeometry, floorMaterial);
-  floor.rotation.x = -Math.PI / 2;
-  floor.position.y = yPosition;
-  floor.receiveShadow = true;
-  scene.add(floor);
-
-  // Create physics floor
-  const floorShape = new CANNON.Plane();
-  const floorPhysicsMaterial = new CANNON.Material("floor");
-  const floorBody = new CANNON.Body({
-    mass: 0, // Static body
-    material: floorPhysicsMaterial,
+  return createBody(scene, world, {
+    shape: "box",
+    size,
+    color,
+    position,
+    material: materialName,
+    ...bodySettings,
   });
-
-  floorBody.addShape(floorShape);
-  floorBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
-  floorBody.position.y = yPosition;
-  world.addBody(floorBody);
-
-  return { mesh: floor, body: floorBody };
 }
 
 /**
@@ -257,39 +140,19 @@ export function setupRaycaster() {
   return new THREE.Raycaster();
 }
 
-/**
- * Updates physics bodies and visual meshes
- * @param {Array} objects - Array of objects with mesh and body properties
- */
-export function updatePhysicsObjects(objects) {
-  objects.forEach((object) => {
-    const { mesh, body } = object;
-
-    // Check if the body has any significant velocity before updating
-    const hasVelocity = body.velocity.lengthSquared() > 0.001;
-    const hasAngularVelocity = body.angularVelocity.lengthSquared() > 0.001;
-
-    if (
-      hasVelocity ||
-      hasAngularVelocity ||
-      body.sleepState === CANNON.Body.AWAKE
-    ) {
-      // Only update the mesh if the body is actually moving or awake
-      mesh.position.copy(body.position);
-      mesh.quaternion.copy(body.quaternion);
-    }
-  });
-}
-
 /**
  * Calculates normalized mouse coordinates for raycasting
- * @param {MouseEvent} event - Mouse event
- * @returns {THREE.Vector2} Normalized coordinates
+ * Coordinates are relative to the element the scene is drawn in, so picking
+ * works wherever the canvas sits on the page and whatever its size.
+ * @param {Object} event - Pointer event, or any { clientX, clientY }
+ * @param {HTMLElement} element - Element the scene is drawn in (the renderer canvas)
+ * @returns {THREE.Vector2} Normalized coordinates (-1 to 1 across the element, y up)
  */
-export function getNormalizedMouseCoordinates(event) {
+export function getNormalizedMouseCoordinates(event, element) {
+  const rect = element.getBoundingClientRect();
   return new THREE.Vector2(
-    (event.clientX / window.innerWidth) * 2 - 1,
-    -(event.clientY / window.innerHeight) * 2 + 1
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
   );
 }
 
@@ -305,15 +168,17 @@ export function disposeResources(resources) {
     renderer = null,
   } = resources;
 
-  // Dispose meshes
-  meshes.forEach((mesh) => {
-    if (mesh.geometry) mesh.geometry.dispose();
-
-    if (Array.isArray(mesh.material)) {
-      mesh.material.forEach((material) => material.dispose());
-    } else if (mesh.material) {
-      mesh.material.dispose();
-    }
+  // Dispose meshes, including the children of compound bodies
+  meshes.forEach((root) => {
+    root.traverse((mesh) => {
+      if (mesh.geometry) mesh.geometry.dispose();
+
+      if (Array.isArray(mesh.material)) {
+        mesh.material.forEach((material) => material.dispose());
+      } else if (mesh.material) {
+        mesh.material.dispose();
+      }
+    });
   });
 
   // Dispose individual geometries
@@ -345,184 +210,43 @@ export function createClickMarker(scene) {
 }
 
 /**
- * Creates a movement plane for dragging
- * @param {THREE.Scene} scene - Three.js scene
- * @returns {THREE.Mesh} Movement plane mesh
+ * Points the raycaster through a screen position
+ * @param {number} clientX - Client X coordinate
+ * @param {number} clientY - Client Y coordinate
+ * @param {THREE.Camera} camera - Camera
+ * @param {THREE.Raycaster} raycaster - Raycaster
+ * @param {HTMLElement} element - Element the scene is drawn in (the renderer canvas)
+ * @returns {THREE.Ray} The raycaster's ray
  */
-export function createMovementPlane(scene) {
-  const planeGeometry = new THREE.PlaneGeometry(100, 100);
-  const planeMaterial = new THREE.MeshLambertMaterial({
-    color: 0x777777,
-    visible: false,
-    opacity: 0.25,
-    transparent: true,
-  });
-  const movementPlane = new THREE.Mesh(planeGeometry, planeMaterial);
-  movementPlane.visible = false; // Hidden by default
-  scene.add(movementPlane);
-  return movementPlane;
-}
-
-/**
- * Creates a joint body for constraints
- * @param {CANNON.World} world - Cannon.js physics world
- * @returns {CANNON.Body} Joint body
- */
-export function createJointBody(world) {
-  const jointShape = new CANNON.Sphere(0.1);
-  const jointBody = new CANNON.Body({ mass: 0 });
-  jointBody.addShape(jointShape);
-  jointBody.collisionFilterGroup = 0;
-  jointBody.collisionFilterMask = 0;
-  world.addBody(jointBody);
-  return jointBody;
-}
-
-/**
- * Gets a hit point from raycasting
- * @param {number} clientX - Mouse X position
- * @param {number} clientY - Mouse Y position
- * @param {THREE.Object3D} mesh - Mesh to test intersection with
- * @param {THREE.Camera} camera - Camera for raycasting
- * @param {THREE.Raycaster} raycaster - Raycaster to use
- * @returns {THREE.Vector3|undefined} Hit point or undefined
- */
-export function getHitPoint(clientX, clientY, mesh, camera, raycaster) {
-  const mouse = new THREE.Vector2();
-  mouse.x = (clientX / window.innerWidth) * 2 - 1;
-  mouse.y = -((clientY / window.innerHeight) * 2 - 1);
+export function getPointerRay(clientX, clientY, camera, raycaster, element) {
+  const mouse = getNormalizedMouseCoordinates({ clientX, clientY }, element);
 
   raycaster.setFromCamera(mouse, camera);
-
-  const hits = raycaster.intersectObject(mesh);
-  return hits.length > 0 ? hits[0].point : undefined;
-}
-
-/**
- * Moves the movement plane to face the camera at the hit point
- * @param {THREE.Mesh} movementPlane - The movement plane mesh
- * @param {THREE.Vector3} point - Point to center plane at
- * @param {THREE.Camera} camera - Camera to face
- */
-export function moveMovementPlane(movementPlane, point, camera) {
-  movementPlane.position.copy(point);
-  movementPlane.quaternion.copy(camera.quaternion);
+  return raycaster.ray;
 }
 
 /**
- * Adds a point-to-point constraint
- * @param {THREE.Vector3} position - Constraint position
- * @param {CANNON.Body} constrainedBody - Body to constrain
- * @param {CANNON.Body} jointBody - Joint body
- * @param {CANNON.World} world - Physics world
- * @returns {CANNON.PointToPointConstraint} Constraint
+ * Raycasts from a screen position against several objects
+ * @param {number} clientX - Client X coordinate
+ * @param {number} clientY - Client Y coordinate
+ * @param {THREE.Object3D[]} objects - Objects to test (children included)
+ * @param {THREE.Camera} camera - Camera
+ * @param {THREE.Raycaster} raycaster - Raycaster
+ * @param {HTMLElement} element - Element the scene is drawn in (the renderer canvas)
+ * @returns {Object[]} Intersections, nearest first
  */
-export function addJointConstraint(
-  position,
-  constrainedBody,
-  jointBody,
-  world,
-  isMobile = false
+export function getIntersections(
+  clientX,
+  clientY,
+  objects,
+  camera,
+  raycaster,
+  element
 ) {
-  // Vector from body to clicked point
-  const vector = new CANNON.Vec3()
-    .copy(position)
-    .vsub(constrainedBody.position);
+  const mouse = getNormalizedMouseCoordinates({ clientX, clientY }, element);
 
-  // Transform to local body coordinates
-  const antiRotation = constrainedBody.quaternion.inverse();
-  const pivot = antiRotation.vmult(vector);
-
-  // Move the joint body to the clicked position
-  jointBody.position.copy(position);
-
-  // Create constraint
-  const constraint = new CANNON.PointToPointConstraint(
-    constrainedBody,
-    pivot,
-    jointBody,
-    new CANNON.Vec3(0, 0, 0)
-  );
-
-  // Configure constraint differently for mobile vs desktop
-  if (isMobile) {
-    // For mobile touch: more responsive but softer constraint
-    // This makes touch dragging feel more natural and less rigid
-    const eqs = constraint.equations;
-    if (eqs && eqs.length) {
-      eqs.forEach((eq) => {
-        // Use much softer parameters for mobile for a more natural "held" feel
-        // First parameter controls stiffness (lower = softer)
-        // Second parameter controls relaxation (higher = more damping)
-        eq.setSpookParams(1e6, 10, world.dt);
-      });
-    }
-    // Always allow collisions for more realistic touch behavior
-    constraint.collideConnected = true;
-  } else {
-    // For desktop: more precise and rigid constraint
-    const eqs = constraint.equations;
-    if (eqs && eqs.length) {
-      eqs.forEach((eq) => {
-        // Stiffer parameters for mouse control (more precise)
-        eq.setSpookParams(1e7, 3, world.dt);
-      });
-    }
-    constraint.collideConnected = false;
-  }
-
-  // Add to world
-  world.addConstraint(constraint);
-  return constraint;
-}
-
-/**
- * Update joint position
- * @param {THREE.Vector3} position - New position
- * @param {CANNON.Body} jointBody - Joint body
- * @param {CANNON.PointToPointConstraint} constraint - Constraint to update
- */
-export function moveJoint(position, jointBody, constraint) {
-  jointBody.position.copy(position);
-  constraint.update();
-}
-
-/**
- * Remove a constraint from the physics world
- * @param {CANNON.World} world - Physics world
- * @param {CANNON.Constraint} constraint - Constraint to remove
- */
-export function removeJointConstraint(world, constraint) {
-  if (constraint) {
-    world.removeConstraint(constraint);
-  }
-}
-
-/**
- * Helper to detect if running on mobile device
- * @returns {boolean} True if the user is on a mobile device
- */
-export function isMobileDevice() {
-  // First check the user agent
-  const userAgentCheck =
-    /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(
-      navigator.userAgent
-    );
-
-  // Secondary checks to catch tablets and other edge cases
-  const touchCheck =
-    "ontouchstart" in window ||
-    navigator.maxTouchPoints > 0 ||
-    navigator.msMaxTouchPoints > 0;
-
-  // Screen size check (most phones are < 1024px width)
-  const smallScreen = window.innerWidth < 1024;
-
-  // Orientation available usually means mobile device
-  const orientationCheck = typeof window.orientation !== "undefined";
-
-  // Return true if either check passes (user agent is sufficient for most cases)
-  return userAgentCheck || (touchCheck && smallScreen) || orientationCheck;
+  raycaster.setFromCamera(mouse, camera);
+  return raycaster.intersectObjects(objects);
 }
 
 /**
@@ -0,0 +1,65 @@
+/**
+ * Throwing
+ * Estimates how fast the pointer was moving a dragged body when it let go, so
+ * the body leaves the hand with that velocity. Works on plain [x, y, z] arrays
+ * so the result can be recorded with the input that releases the body.
+ */
+
+/**
+ * Throw settings used until changed
+ */
+export const DEFAULT_THROW_OPTIONS = {
+  scale: 1, // Multiplier on the pointer's velocity
+  maxSpeed: 25, // Fastest release speed (m/s)
+  spin: 0.5, // How strongly a throw spins a body grabbed off-center (0 for none)
+};
+
+/**
+ * Only pointer movement this recent (ms) counts toward the release velocity
+ */
+const SAMPLE_WINDOW = 100;
+
+/**
+ * Most samples kept per drag
+ */
+const MAX_SAMPLES = 12;
+
+/**
+ * Records where a dragged point was at a given time
+ * @param {Object[]} samples - { point, time } samples, oldest first (mutated)
+ * @param {number[]} point - World-space point on the movement plane
+ * @param {number} time - Timestamp in milliseconds
+ */
+export function addSample(samples, point, time) {
+  samples.push({ point, time });
+  if (samples.length > MAX_SAMPLES) samples.shift();
+}
+
+/**
+ * Works out the velocity to release a body with
+ * A pointer that stopped before letting go releases with no velocity.
+ * @param {Object[]} samples - { point, time } samples, oldest first
+ * @param {number} time - Release timestamp in milliseconds
+ * @param {Object} options - { scale, maxSpeed } (see DEFAULT_THROW_OPTIONS)
+ * @returns {number[]} Release velocity in m/s
+ */
+export function getThrowVelocity(samples, time, options) {
+  const recent = samples.filter(
+    (sample) => time - sample.time <= SAMPLE_WINDOW
+  );
+  if (recent.length < 2) return [0, 0, 0];
+
+  const first = recent[0];
+  const last = recent[recent.length - 1];
+  const seconds = (last.time - first.time) / 1000;
+  if (seconds <= 0) return [0, 0, 0];
+
+  const velocity = last.point.map(
+    (value, axis) => ((value - first.point[axis]) / seconds) * options.scale
+  );
+
+  const speed = Math.hypot(...velocity);
+  return speed > options.maxSpeed
+    ? velocity.map((value) => (value * options.maxSpeed) / speed)
+    : velocity;
+}
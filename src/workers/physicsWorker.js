@@ -0,0 +1,68 @@
+/**
+ * Physics worker
+ * Owns a headless copy of the running scene and applies the commands the main
+ * thread queues each frame, then sends the resulting body states back in a
+ * transferable Float32Array (see physicsBackend.js for the other side).
+ */
+
+import { createHeadlessSimulation } from "../utils/headless.js";
+import {
+  createCommandRunner,
+  writeBodyStates,
+  readDebugInfo,
+} from "../utils/physicsCommands.js";
+
+let simulation = null;
+let runner = null;
+
+// Id of the last scene load or body change, echoed back so stale states can be ignored
+let generation = 0;
+
+self.addEventListener("message", ({ data }) => {
+  const started = performance.now();
+  data.commands.forEach((command) => {
+    if (command.type === "load") {
+      simulation = createHeadlessSimulation(command.scene, { dt: command.dt });
+      runner = createCommandRunner(
+        simulation.world,
+        simulation.getBody,
+        command.dt,
+        {
+          addBody: simulation.addBody,
+          removeBody: simulation.removeBody,
+          addConstraint: simulation.addConstraint,
+          removeConstraint: simulation.removeConstraint,
+          addForceField: simulation.addForceField,
+          removeForceField: simulation.removeForceField,
+          moveForceField: simulation.moveForceField,
+          getBodyId: simulation.getBodyId,
+        }
+      );
+      generation = command.generation;
+      return;
+    }
+
+    // Nothing to run until the first scene arrives
+    if (!runner) return;
+    runner.run(command);
+
+    // Body changes make earlier states stale (see STATE_CHANGING_COMMANDS)
+    if (command.generation !== undefined) generation = command.generation;
+  });
+
+  const buffer = writeBodyStates(
+    simulation ? simulation.getBodies() : [],
+    data.buffer
+  );
+  // Contacts and constraints only exist here, so the debug overlay needs them sent
+  const debug =
+    data.debug && simulation ? readDebugInfo(simulation.world) : undefined;
+  // Time spent on this batch, for the performance HUD
+  const time = performance.now() - started;
+  const collisions = runner ? runner.takeCollisions() : [];
+  // The main thread places animated level pieces from the world clock
+  const worldTime = simulation ? simulation.world.time : 0;
+  self.postMessage({ buffer, generation, debug, time, collisions, worldTime }, [
+    buffer.buffer,
+  ]);
+});
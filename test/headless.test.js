@@ -0,0 +1,240 @@
+/**
+ * Headless simulation tests
+ * Runs scenes through createHeadlessSimulation and checks how they settle,
+ * save and replay, and how materials, moving platforms, force fields and
+ * joints act on bodies.
+ * Run with `npm test`.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import * as CANNON from "cannon-es";
+import { createHeadlessSimulation } from "../src/utils/headless.js";
+import {
+  createRecorder,
+  createReplayPlayer,
+  parseReplay,
+} from "../src/utils/replay.js";
+import { createRandom } from "../src/utils/random.js";
+
+const DEFAULT_SCENE = JSON.parse(
+  readFileSync(new URL("../src/scenes/default.json", import.meta.url), "utf8")
+);
+
+test("cubes dropped onto the floor come to rest within 5 s", () => {
+  // The default scene's cubes, without its bouncy ball and other shapes
+  const simulation = createHeadlessSimulation({
+    ...DEFAULT_SCENE,
+    bodies: DEFAULT_SCENE.bodies.filter(({ shape }) => shape === "box"),
+  });
+  const settledAfter = simulation.stepUntilAtRest({ maxSeconds: 5 });
+
+  assert.notEqual(settledAfter, null, "still moving after 5 s");
+});
+
+test("a stack of 10 cubes stays standing", () => {
+  const size = 1;
+  const bodies = Array.from({ length: 10 }, (_, index) => ({
+    id: `cube-${index}`,
+    shape: "box",
+    size,
+    material: "cube",
+    position: [0, size / 2 + index * size, 0],
+  }));
+  const simulation = createHeadlessSimulation({ version: 1, bodies });
+  simulation.advance(5);
+
+  assert.ok(simulation.isAtRest(), "the stack is still moving");
+  simulation.getBodyStates().forEach(({ id, position: [x, y, z] }, index) => {
+    assert.ok(Math.hypot(x, z) < 0.05, `${id} slid ${Math.hypot(x, z)} m`);
+    assert.ok(
+      Math.abs(y - (size / 2 + index * size)) < 0.05,
+      `${id} is at height ${y}`
+    );
+  });
+});
+
+test("a serialized simulation loads and carries on identically", () => {
+  const simulation = createHeadlessSimulation(DEFAULT_SCENE);
+  simulation.advance(0.5);
+  const scene = simulation.serialize();
+  const loaded = createHeadlessSimulation(JSON.stringify(scene));
+
+  assert.deepEqual(loaded.serialize(), scene);
+  simulation.advance(0.5);
+  loaded.advance(0.5);
+  assert.deepEqual(loaded.getBodyStates(), simulation.getBodyStates());
+});
+
+test("invalid scenes are rejected with every error listed", () => {
+  assert.throws(
+    () => createHeadlessSimulation("{ not json"),
+    /Scene is not valid JSON/
+  );
+  assert.throws(
+    () =>
+      createHeadlessSimulation({
+        version: 1,
+        bodies: [
+          { id: "a", shape: "teapot" },
+          { id: "b", shape: "box", material: "nope" },
+        ],
+      }),
+    (error) =>
+      /Invalid scene/.test(error.message) &&
+      /bodies\[0\]\.shape/.test(error.message) &&
+      /bodies\[1\]\.material "nope"/.test(error.message)
+  );
+});
+
+test("a replay reproduces the recorded body states", () => {
+  const scene = {
+    ...DEFAULT_SCENE,
+    bodies: DEFAULT_SCENE.bodies.filter(({ shape }) => shape === "box"),
+  };
+  const length = 120;
+
+  // Pushes a body in a seeded random direction, like a kick in the app
+  const createApplyInput = (simulation, random) => (input) => {
+    const impulse = [random.range(-5, 5), 5, random.range(-5, 5)];
+    simulation.getBody(input.body).applyImpulse(new CANNON.Vec3(...impulse));
+  };
+
+  // Record a live run with a push every 30 steps
+  const live = createHeadlessSimulation(scene);
+  const random = createRandom(42);
+  const recorder = createRecorder();
+  recorder.start({
+    scene: live.serialize(),
+    rngState: random.getState(),
+    seed: random.seed,
+    dt: live.dt,
+  });
+  const applyLive = createApplyInput(live, random);
+  for (let step = 0; step < length; step++) {
+    if (step % 30 === 0) {
+      const input = { type: "impulse", body: scene.bodies[step / 30].id };
+      applyLive(input);
+      recorder.record(step, input);
+    }
+    live.step();
+  }
+
+  // Play it back from the file it would be saved as
+  const replay = parseReplay(JSON.stringify(recorder.toJSON(length)));
+  let replayed;
+  let applyReplayed;
+  const player = createReplayPlayer(replay, {
+    restore: ({ scene: start, seed, rngState }) => {
+      replayed = createHeadlessSimulation(start);
+      const replayRandom = createRandom(seed);
+      replayRandom.setState(rngState);
+      applyReplayed = createApplyInput(replayed, replayRandom);
+    },
+    applyInput: (input) => applyReplayed(input),
+    step: () => replayed.step(),
+  });
+  player.seek(length);
+
+  assert.deepEqual(replayed.getBodyStates(), live.getBodyStates());
+});
+
+test("a scene's contact pair overrides how its materials bounce", () => {
+  // Highest point a rubber ball's center reaches after its first bounce
+  // (0.5 m up when it lies on the floor)
+  const bounceHeight = (world) => {
+    const simulation = createHeadlessSimulation({
+      version: 1,
+      world,
+      bodies: [
+        {
+          id: "ball",
+          shape: "sphere",
+          size: 0.5,
+          material: "rubber",
+          position: [0, 3, 0],
+        },
+      ],
+    });
+    const ball = simulation.getBody("ball");
+    let bounced = false;
+    let height = 0;
+    for (let step = 0; step < 180; step++) {
+      simulation.step();
+      if (ball.velocity.y > 0) bounced = true;
+      if (bounced) height = Math.max(height, ball.position.y);
+    }
+    return height;
+  };
+
+  const dead = {
+    materials: {
+      contacts: [{ materials: ["rubber", "floor"], restitution: 0 }],
+    },
+  };
+  assert.ok(bounceHeight() > 0.8, "rubber barely bounces on the floor");
+  assert.ok(bounceHeight(dead) < 0.55, "the contact pair still lets it bounce");
+});
+
+test("a moving platform carries the cube resting on it", () => {
+  const simulation = createHeadlessSimulation({
+    version: 1,
+    level: [
+      {
+        id: "shuttle",
+        type: "platform",
+        position: [0, 1, 0],
+        size: [4, 0.5, 4],
+        motion: { type: "pingPong", offset: [6, 0, 0], period: 6 },
+      },
+    ],
+    bodies: [
+      // The platform's top is 1.5 m up (position is its underside)
+      { id: "rider", shape: "box", size: 1, position: [0, 2, 0] },
+    ],
+  });
+  simulation.advance(3);
+
+  const [{ position }] = simulation.getBodyStates();
+  assert.ok(Math.abs(position[0] - 6) < 0.2, `the cube is at x ${position[0]}`);
+  assert.ok(position[1] > 1.5, `the cube fell to height ${position[1]}`);
+});
+
+test("a wind field pushes only the bodies inside it", () => {
+  const simulation = createHeadlessSimulation({
+    version: 1,
+    world: { gravity: [0, 0, 0] },
+    floor: null,
+    bodies: [
+      { id: "inside", shape: "sphere", size: 0.5, position: [0, 0, 0] },
+      { id: "outside", shape: "sphere", size: 0.5, position: [0, 0, 20] },
+    ],
+    forceFields: [{ type: "wind", position: [0, 0, 0], size: [40, 4, 4] }],
+  });
+  simulation.advance(1);
+
+  const [inside, outside] = simulation.getBodyStates();
+  assert.ok(inside.velocity[0] > 1, `inside moves at ${inside.velocity[0]}`);
+  assert.deepEqual(outside.velocity, [0, 0, 0]);
+});
+
+test("a distance joint keeps a hanging body at its length", () => {
+  const simulation = createHeadlessSimulation({
+    version: 1,
+    floor: null,
+    bodies: [
+      { id: "anchor", shape: "box", size: 0.5, mass: 0, position: [0, 5, 0] },
+      { id: "bob", shape: "sphere", size: 0.3, position: [2, 5, 0] },
+    ],
+    constraints: [{ type: "distance", bodyA: "anchor", bodyB: "bob" }],
+  });
+  simulation.advance(2);
+
+  const [anchor, bob] = simulation.getBodyStates();
+  const length = Math.hypot(
+    ...bob.position.map((value, axis) => value - anchor.position[axis])
+  );
+  assert.ok(Math.abs(length - 2) < 0.05, `the joint stretched to ${length}`);
+  assert.ok(bob.position[1] < 5, "the bob never swung down");
+});
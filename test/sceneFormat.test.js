@@ -0,0 +1,82 @@
+/**
+ * Scene format tests
+ * Checks that scene validation rejects what loading a scene would fail on,
+ * so an invalid file never gets as far as clearing the running scene.
+ * Run with `npm test`.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getSceneErrors, parseScene } from "../src/utils/sceneFormat.js";
+import { createHeadlessSimulation } from "../src/utils/headless.js";
+
+const KNOWN_MATERIALS = ["cube", "floor", "rubber"];
+
+test("an unknown floor material is rejected", () => {
+  const scene = { version: 1, floor: { material: "nope" } };
+
+  assert.deepEqual(getSceneErrors(scene, { knownMaterials: KNOWN_MATERIALS }), [
+    'floor.material "nope" is not a known material',
+  ]);
+  assert.throws(
+    () => createHeadlessSimulation(scene),
+    /floor\.material "nope"/
+  );
+});
+
+test("a material contact naming an unknown material is rejected", () => {
+  const scene = {
+    version: 1,
+    world: {
+      materials: {
+        materials: { ice: { friction: 0.02 } },
+        contacts: [{ materials: ["ice", "nope"], friction: 0 }],
+      },
+    },
+  };
+
+  assert.deepEqual(getSceneErrors(scene, { knownMaterials: KNOWN_MATERIALS }), [
+    'world.materials.contacts[0].materials[1] "nope" is not a known material',
+  ]);
+  assert.throws(
+    () => createHeadlessSimulation(scene),
+    /contacts\[0\]\.materials\[1\] "nope"/
+  );
+});
+
+test("a material contact without a pair of names is rejected", () => {
+  const contacts = [{ friction: 0 }, { materials: ["cube"] }, "cube"];
+  const scene = { version: 1, world: { materials: { contacts } } };
+
+  assert.deepEqual(
+    getSceneErrors(scene),
+    contacts.map(
+      (_, index) =>
+        `world.materials.contacts[${index}].materials must be an array of 2 material names`
+    )
+  );
+  assert.throws(
+    () => parseScene(scene, { knownMaterials: KNOWN_MATERIALS }),
+    (error) =>
+      !(error instanceof TypeError) && /Invalid scene/.test(error.message)
+  );
+});
+
+test("materials the scene defines itself are known", () => {
+  const scene = {
+    version: 1,
+    world: {
+      materials: {
+        materials: { ice: { friction: 0.02 } },
+        contacts: [{ materials: ["ice", "cube"], friction: 0 }],
+      },
+    },
+    floor: { material: "ice" },
+    bodies: [{ id: "puck", shape: "cylinder", size: 1, material: "ice" }],
+  };
+
+  assert.deepEqual(
+    getSceneErrors(scene, { knownMaterials: KNOWN_MATERIALS }),
+    []
+  );
+});